@@ -0,0 +1,46 @@
+/**
+ * PCM Capture Worklet
+ *
+ * Runs on the audio rendering thread. Converts microphone input to 16-bit
+ * PCM and posts fixed-size frames (20ms at the context's sample rate) to the
+ * main thread together with their capture time.
+ */
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const frameMs = options.processorOptions?.frameMs || 20;
+    this.frameSamples = Math.round(sampleRate * frameMs / 1000);
+    this.frame = new Int16Array(this.frameSamples);
+    this.filled = 0;
+    this.frameStartTime = currentTime;
+  }
+
+  process(inputs) {
+    const channel = inputs[0]?.[0];
+    if (!channel) {
+      return true;
+    }
+
+    for (let i = 0; i < channel.length; i++) {
+      if (this.filled === 0) {
+        this.frameStartTime = currentTime + i / sampleRate;
+      }
+
+      const sample = Math.max(-1, Math.min(1, channel[i]));
+      this.frame[this.filled++] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
+
+      if (this.filled === this.frameSamples) {
+        // Transfer a copy so the next frame can reuse our buffer
+        const pcm = this.frame.slice();
+        this.port.postMessage({ pcm, timestamp: this.frameStartTime * 1000 }, [pcm.buffer]);
+        this.filled = 0;
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('pcm-capture', PcmCaptureProcessor);
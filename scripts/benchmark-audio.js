@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * Benchmark for the audio codec hot path
+ *
+ * Times each codec utility on realistic chunk sizes and reports samples/sec,
+ * then runs the per-call pipeline (everything media-stream does to a window
+ * except the voice transform itself) to estimate how many concurrent calls
+ * one core can carry.
+ *
+ * Usage:
+ *   npm run bench                    # ~1s per benchmark
+ *   BENCH_MS=250 npm run bench       # quicker, noisier
+ */
+
+import {
+  mulawDecode,
+  mulawEncode,
+  resample,
+  normalizeAudio,
+  calculateRMS,
+} from '../src/utils/audio-codec.js';
+import { Resampler } from '../src/utils/resampler.js';
+import { VoiceActivityDetector } from '../src/utils/voice-activity.js';
+import { AudioPreprocessor } from '../src/utils/audio-preprocess.js';
+
+const BENCH_MS = parseInt(process.env.BENCH_MS) || 1000;
+
+// One transform window (200ms) and one Twilio frame (20ms)
+const WINDOW_MS = 200;
+const FRAME_SAMPLES = 160;
+
+/**
+ * Speech-like test signal: two tones with a slow envelope
+ */
+function createSignal(rate, ms) {
+  const samples = new Int16Array(Math.round(rate * ms / 1000));
+  for (let i = 0; i < samples.length; i++) {
+    const t = i / rate;
+    const envelope = 0.5 + 0.5 * Math.sin(2 * Math.PI * 3 * t);
+    samples[i] = Math.round(envelope * (6000 * Math.sin(2 * Math.PI * 220 * t) + 3000 * Math.sin(2 * Math.PI * 1250 * t)));
+  }
+  return Buffer.from(samples.buffer);
+}
+
+/**
+ * Run fn repeatedly for BENCH_MS (after a warm-up) and return samples/sec
+ *
+ * @param {number} samplesPerRun - Input samples processed by one call of fn
+ * @param {function} fn
+ */
+function measure(samplesPerRun, fn) {
+  const warmupEnd = performance.now() + BENCH_MS / 5;
+  while (performance.now() < warmupEnd) fn();
+
+  let runs = 0;
+  const start = performance.now();
+  let elapsed = 0;
+  do {
+    for (let i = 0; i < 10; i++) fn();
+    runs += 10;
+    elapsed = performance.now() - start;
+  } while (elapsed < BENCH_MS);
+
+  return samplesPerRun * runs / (elapsed / 1000);
+}
+
+function formatRate(samplesPerSec) {
+  if (samplesPerSec >= 1e6) return `${(samplesPerSec / 1e6).toFixed(2)}M`;
+  return `${(samplesPerSec / 1e3).toFixed(1)}k`;
+}
+
+function report(label, samplesPerSec, realtimeRate) {
+  const realtime = realtimeRate ? `  (${Math.floor(samplesPerSec / realtimeRate)}x realtime)` : '';
+  console.log(`   ${label.padEnd(44)} ${formatRate(samplesPerSec).padStart(9)} samples/s${realtime}`);
+}
+
+function runBenchmarks() {
+  console.log('🏁 Audio Codec Benchmark');
+  console.log('='.repeat(50));
+  console.log(`Node ${process.version}, ${BENCH_MS}ms per benchmark\n`);
+
+  const pcm8k = createSignal(8000, WINDOW_MS);
+  const pcm16k = createSignal(16000, WINDOW_MS);
+  const mulaw = mulawEncode(pcm8k);
+  const windowSamples = pcm8k.length / 2;
+
+  // Reused output buffers, as the media path uses them
+  const pcmOut = new Int16Array(windowSamples * 2);
+  const mulawOut = Buffer.alloc(windowSamples);
+
+  console.log('μ-law (200ms windows at 8kHz):');
+  report('mulawDecode', measure(windowSamples, () => mulawDecode(mulaw)), 8000);
+  report('mulawDecode into output buffer', measure(windowSamples, () => mulawDecode(mulaw, pcmOut)), 8000);
+  report('mulawEncode', measure(windowSamples, () => mulawEncode(pcm8k)), 8000);
+  report('mulawEncode into output buffer', measure(windowSamples, () => mulawEncode(pcm8k, mulawOut)), 8000);
+
+  console.log('\nResampling (200ms clips, input samples):');
+  report('resample 8k → 16k', measure(windowSamples, () => resample(pcm8k, 8000, 16000)), 8000);
+  report('resample 8k → 16k into output buffer', measure(windowSamples, () => resample(pcm8k, 8000, 16000, pcmOut)), 8000);
+  report('resample 16k → 8k', measure(windowSamples * 2, () => resample(pcm16k, 16000, 8000)), 16000);
+  for (const rate of [22050, 24000, 44100]) {
+    const input = createSignal(rate, WINDOW_MS);
+    report(`resample ${rate / 1000}k → 16k`, measure(input.length / 2, () => resample(input, rate, 16000)), rate);
+  }
+
+  const upsampler = new Resampler(8000, 16000);
+  const streamOut = new Int16Array(upsampler.maxOutputSamples(FRAME_SAMPLES));
+  const frame = pcm8k.subarray(0, FRAME_SAMPLES * 2);
+  report('Resampler 8k → 16k, 20ms frames', measure(FRAME_SAMPLES, () => upsampler.process(frame, streamOut)), 8000);
+
+  console.log('\nLevels (200ms windows at 8kHz):');
+  report('normalizeAudio', measure(windowSamples, () => normalizeAudio(pcm8k, 0.8)), 8000);
+  report('normalizeAudio into output buffer', measure(windowSamples, () => normalizeAudio(pcm8k, 0.8, pcmOut)), 8000);
+  report('calculateRMS', measure(windowSamples, () => calculateRMS(pcm8k)), 8000);
+
+  console.log('\nPreprocessing (200ms windows at 16kHz):');
+  for (const stages of ['highPass', 'noiseSuppression', 'agc', 'highPass,noiseSuppression,agc']) {
+    const chain = new AudioPreprocessor({ sampleRate: 16000, stages });
+    report(stages.replace(/,/g, ' + '), measure(windowSamples * 2, () => chain.process(pcm16k)), 16000);
+  }
+
+  // What one call's transformed track costs per window, minus the transform:
+  // decode + VAD per frame, 8k → 16k out, preprocessing, 16k → 8k back, encode
+  console.log('\nPer-call pipeline (one transformed track, transform excluded):');
+  const vad = new VoiceActivityDetector();
+  const preprocessor = new AudioPreprocessor({ sampleRate: 16000 });
+  const frameScratch = new Int16Array(FRAME_SAMPLES);
+  const windowPcm = new Int16Array(windowSamples);
+  const pcm16Out = new Int16Array(windowSamples * 2);
+  const pipeline = measure(windowSamples, () => {
+    for (let offset = 0; offset < mulaw.length; offset += FRAME_SAMPLES) {
+      vad.process(mulawDecode(mulaw.subarray(offset, offset + FRAME_SAMPLES), frameScratch));
+    }
+    mulawDecode(mulaw, windowPcm);
+    resample(windowPcm, 8000, 16000, pcm16Out);
+    resample(preprocessor.process(pcm16Out), 16000, 8000, windowPcm);
+    mulawEncode(windowPcm, mulawOut);
+  });
+  report('decode + VAD + resample + preprocess + encode', pipeline, 8000);
+
+  const callsPerCore = Math.floor(pipeline / 8000);
+  console.log('\n' + '='.repeat(50));
+  console.log(`≈ ${callsPerCore} concurrent calls per core for codec work alone`);
+  console.log('   (a call is one 8kHz track; local DSP or provider I/O costs come on top)');
+  console.log('='.repeat(50));
+}
+
+runBenchmarks();
@@ -9,24 +9,16 @@
 
 import 'dotenv/config';
 import twilio from 'twilio';
-
-// Available voice presets
-const VOICE_PRESETS = [
-  'deep_male',
-  'young_male', 
-  'british_male',
-  'narrator_male',
-  'soft_female',
-  'professional_female',
-  'warm_female',
-  'mysterious',
-  'friendly_elder',
-  'custom',
-];
+import { listPresets } from '../src/utils/voice-presets.js';
+import { PresetStore } from '../src/services/preset-store.js';
 
 async function main() {
   const args = process.argv.slice(2);
   
+  // Same presets as the server: built-ins plus the preset file
+  await new PresetStore().load();
+  const VOICE_PRESETS = listPresets().map(preset => preset.id);
+  
   if (args.length === 0 || args[0] === '--help' || args[0] === '-h') {
     console.log(`
 🎭 Voice Changer Phone - Call Initiator
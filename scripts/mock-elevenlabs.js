@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+/**
+ * Mock ElevenLabs server for offline testing
+ *
+ * Implements just enough of the API for the voice transformer:
+ * - POST /v1/speech-to-speech/:voiceId (per-chunk HTTP)
+ * - GET  /v1/voices                    (FIXTURE_VOICES)
+ * - POST /v1/voices/add                (instant voice cloning)
+ *
+ * The "transformation" halves the amplitude so tests can tell transformed
+ * audio from passthrough. The voice list holds the built-in presets' voices
+ * plus a cloned one, shaped like the real response; voices cloned through
+ * the mock are added to it.
+ *
+ * Usage:
+ *   node scripts/mock-elevenlabs.js            # listens on MOCK_PORT or 8787
+ *   ELEVENLABS_API_URL=http://localhost:8787/v1 npm start
+ */
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+/**
+ * Voices the mock account has, as GET /v1/voices returns them
+ */
+export const FIXTURE_VOICES = [
+  ['pNInz6obpgDQGcFmaJgB', 'Adam', { accent: 'american', gender: 'male', age: 'middle aged' }],
+  ['TxGEqnHWrfWFTfGW9XjX', 'Josh', { accent: 'american', gender: 'male', age: 'young' }],
+  ['SOYHLrjzK2X1ezoPC6cr', 'Harry', { accent: 'british', gender: 'male', age: 'young' }],
+  ['zcAOhNBS3c14rBihAFp1', 'Marcus', { accent: 'american', gender: 'male', age: 'middle aged' }],
+  ['EXAVITQu4vr4xnSDxMaL', 'Bella', { accent: 'american', gender: 'female', age: 'young' }],
+  ['21m00Tcm4TlvDq8ikWAM', 'Rachel', { accent: 'american', gender: 'female', age: 'young' }],
+  ['AZnzlk1XvdvUeBnXmlld', 'Domi', { accent: 'american', gender: 'female', age: 'young' }],
+  ['VR6AewLTigWG4xSOukaG', 'Arnold', { accent: 'american', gender: 'male', age: 'middle aged' }],
+  ['GBv7mTt0atIp3Br8iCZE', 'Thomas', { accent: 'american', gender: 'male', age: 'old' }],
+].map(([voiceId, name, labels]) => ({
+  voice_id: voiceId,
+  name,
+  category: 'premade',
+  description: null,
+  labels,
+  preview_url: `https://storage.example.com/premade/voices/${voiceId}/preview.mp3`,
+})).concat({
+  voice_id: 'mockClonedVoice000001',
+  name: 'My Cloned Voice',
+  category: 'cloned',
+  description: 'Instant voice clone',
+  labels: { accent: 'british', gender: 'female' },
+  preview_url: null,
+});
+
+/**
+ * Default mock transformation - halve the amplitude of 16-bit PCM
+ */
+export function halveAmplitude(pcmBuffer) {
+  const output = Buffer.alloc(pcmBuffer.length - (pcmBuffer.length % 2));
+  for (let i = 0; i < output.length; i += 2) {
+    output.writeInt16LE(pcmBuffer.readInt16LE(i) >> 1, i);
+  }
+  return output;
+}
+
+/**
+ * Start the mock server
+ *
+ * @param {object} options
+ * @param {number} [options.port] - Port to listen on (0 = random)
+ * @param {function} [options.transform] - (pcm Buffer) => transformed PCM Buffer
+ * @param {Array} [options.voices] - GET /v1/voices list (default: FIXTURE_VOICES); mutable
+ *   through the returned `voices` to simulate voices being added or deleted
+ * @returns {Promise<{httpUrl: string, requests: object, voices: Array, clones: Array,
+ *   close: function}>} - `clones` records each clone request ({ name, files, labels })
+ */
+export async function startMockElevenLabs(options = {}) {
+  const transform = options.transform || halveAmplitude;
+  const voices = options.voices || structuredClone(FIXTURE_VOICES);
+  const clones = [];
+  const requests = {
+    voices: 0,
+    http: 0,
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === '/v1/voices') {
+      requests.voices++;
+      return sendJson(res, 200, { voices });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/v1/voices/add') {
+      const parts = parseMultipart(await readBody(req), req.headers['content-type']);
+      const name = parts.find(part => part.name === 'name')?.data.toString();
+      const files = parts.filter(part => part.name === 'files' && part.filename);
+      if (!name || files.length === 0) {
+        return sendJson(res, 422, { detail: 'name and files are required' });
+      }
+
+      const labels = parts.find(part => part.name === 'labels');
+      const voiceId = `mockClone${String(clones.length + 1).padStart(12, '0')}`;
+      clones.push({ name, files: files.map(file => file.filename), labels: labels ? JSON.parse(labels.data) : null });
+      voices.push({ voice_id: voiceId, name, category: 'cloned', description: null, labels: {}, preview_url: null });
+      return sendJson(res, 200, { voice_id: voiceId, requires_verification: false });
+    }
+
+    if (req.method === 'POST' && url.pathname.startsWith('/v1/speech-to-speech/')) {
+      requests.http++;
+      const body = await readBody(req);
+      const pcm = extractWavPcm(body);
+      if (!pcm) {
+        return sendJson(res, 400, { detail: 'audio file missing' });
+      }
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+      return res.end(transform(pcm));
+    }
+
+    sendJson(res, 404, { detail: 'not found' });
+  });
+
+  await new Promise(resolve => server.listen(options.port ?? 0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    httpUrl: `http://127.0.0.1:${port}/v1`,
+    requests,
+    voices,
+    clones,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Split a multipart/form-data body into { name, filename, data } parts
+ */
+function parseMultipart(body, contentType = '') {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType);
+  if (!boundary) return [];
+
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+  const parts = [];
+  let start = body.indexOf(delimiter);
+  while (start >= 0) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next < 0) break;
+
+    const part = body.subarray(start + delimiter.length + 2, next - 2);  // Skip CRLFs
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = part.subarray(0, headerEnd).toString();
+    parts.push({
+      name: /name="([^"]*)"/.exec(headers)?.[1],
+      filename: /filename="([^"]*)"/.exec(headers)?.[1],
+      data: part.subarray(headerEnd + 4),
+    });
+    start = next;
+  }
+  return parts;
+}
+
+/**
+ * Pull the PCM data chunk out of the WAV inside a multipart body
+ */
+function extractWavPcm(body) {
+  const riff = body.indexOf('RIFF');
+  if (riff < 0) return null;
+
+  const dataTag = body.indexOf('data', riff + 12);
+  if (dataTag < 0) return null;
+
+  const size = body.readUInt32LE(dataTag + 4);
+  return body.subarray(dataTag + 8, dataTag + 8 + size);
+}
+
+// Run standalone
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.env.MOCK_PORT) || 8787;
+  const mock = await startMockElevenLabs({ port });
+  console.log(`🧪 Mock ElevenLabs listening`);
+  console.log(`   ELEVENLABS_API_URL=${mock.httpUrl}`);
+}
@@ -6,15 +6,76 @@
  * - μ-law encoding/decoding
  * - Resampling
  * - ElevenLabs API connection
+ * - Client audio → Twilio bridge pipeline
+ * - WebM/Opus demuxing and decoding
+ * - Framed PCM client protocol
+ * - Called party audio → browser playback frames
+ * - Track-aware Twilio media routing
+ * - ElevenLabs over HTTP (mock server)
+ * - Voice provider selection without an API key
+ * - Local DSP pitch/formant shifting + provider fallback
+ * - Failure policies (passthrough, silence, hangup)
+ * - Ordered, sequence-numbered Twilio output (reorder + late concealment)
+ * - Paced 20ms outbound frames with comfort noise on underrun, concurrent sources mixed
+ * - Overlapping windows crossfaded at chunk boundaries
+ * - Voice activity detection gating silence away from the provider
+ * - Adaptive chunk sizing from transform latency and outbound depth
+ * - Band-limited resampling: alias/image rejection and chunked streaming
+ * - Codec output buffers: reuse, odd-offset input, undersized output
+ * - G.711 A-law tables and codec selection from the stream's mediaFormat
+ * - Worker-thread audio pool: per-call ordering, DSP sessions, failures
+ * - Twilio packet loss: gap/duplicate detection and concealment
+ * - Preprocessing chain: high-pass, noise suppression, AGC, per-call stages
+ * - Mid-call voice switching: waits for a pause, stats, bridge crossfade
+ * - Preset store: validation, versioning, persistence across restarts
+ * - Provider voice catalog: sync, TTL cache, missing preset voices (mock server)
+ * - Voice previews: WAV parsing, reference clip, phone-line round trip
+ * - Voice cloning: sample checks, provider clone (mock server), new preset
  */
 
 import 'dotenv/config';
 import fs from 'fs';
+import os from 'os';
+import { EventEmitter } from 'events';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
-import { mulawDecode, mulawEncode, resample, calculateRMS } from '../src/utils/audio-codec.js';
+import {
+  mulawDecode,
+  mulawEncode,
+  alawDecode,
+  alawEncode,
+  getTelephonyCodec,
+  TELEPHONY_CODECS,
+  resample,
+  normalizeAudio,
+  calculateRMS,
+  pcmToWav,
+  wavToPcm,
+} from '../src/utils/audio-codec.js';
+import { SlidingAudioBuffer, Crossfader } from '../src/utils/audio-buffer.js';
+import { VoiceActivityDetector } from '../src/utils/voice-activity.js';
+import { Resampler } from '../src/utils/resampler.js';
+import { toSamples, toBuffer } from '../src/utils/pcm-samples.js';
+import { VoiceDisguiser, disguiseVoice } from '../src/utils/voice-dsp.js';
 import { VoiceTransformer } from '../src/services/voice-transformer.js';
+import { AudioBridge } from '../src/services/audio-bridge.js';
+import { CallManager } from '../src/services/call-manager.js';
+import { PresetStore } from '../src/services/preset-store.js';
+import { VoiceCatalog } from '../src/services/voice-catalog.js';
+import { VoicePreview } from '../src/services/voice-preview.js';
+import { VoiceCloner } from '../src/services/voice-cloner.js';
+import { handleMediaStream } from '../src/services/media-stream.js';
+import { OutboundScheduler } from '../src/services/outbound-scheduler.js';
+import { AdaptiveBufferController } from '../src/services/buffer-controller.js';
+import { AudioWorkerPool } from '../src/services/audio-worker-pool.js';
+import { LatencyTracker } from '../src/utils/latency-tracker.js';
+import { PacketLossDetector, LossConcealer } from '../src/utils/packet-loss.js';
+import { AudioPreprocessor, parsePreprocessing, formatPreprocessing } from '../src/utils/audio-preprocess.js';
+import { LocalDspProvider } from '../src/services/providers/index.js';
+import { startMockElevenLabs, FIXTURE_VOICES } from './mock-elevenlabs.js';
+import { WebMOpusDecoder } from '../src/utils/webm-opus-decoder.js';
+import { encodeClientFrame, parseClientFrame, PcmFrameDecoder } from '../src/utils/client-frame.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -60,11 +121,18 @@ async function runTests() {
     // μ-law has ~64dB SNR, so we expect some quantization error
     const errorAcceptable = maxError < 1000; // Allow reasonable error
     
-    if (sizeCorrect && errorAcceptable) {
+    // Reference codes from the G.711 encoder (bias 0x84, clip 32635)
+    const reference = [[0, 0xFF], [100, 0xF2], [-100, 0x72], [1000, 0xCE], [-1000, 0x4E], [4000, 0xAF], [12345, 0x97], [-20000, 0x0C], [32767, 0x80], [-32768, 0x00]];
+    const referencePcm = Buffer.alloc(reference.length * 2);
+    reference.forEach(([sample], i) => referencePcm.writeInt16LE(sample, i * 2));
+    const encoded = mulawEncode(referencePcm);
+    const referenceOk = reference.every(([, code], i) => encoded[i] === code);
+    
+    if (sizeCorrect && errorAcceptable && referenceOk) {
       console.log(`   ✅ PASSED (max error: ${maxError})`);
       passed++;
     } else {
-      console.log(`   ❌ FAILED (size correct: ${sizeCorrect}, max error: ${maxError})`);
+      console.log(`   ❌ FAILED (size correct: ${sizeCorrect}, max error: ${maxError}, reference codes: ${referenceOk} ${[...encoded].map(code => code.toString(16)).join(' ')})`);
       failed++;
     }
   } catch (error) {
@@ -178,6 +246,1488 @@ async function runTests() {
     console.log(`      Missing: ${missing.join(', ')}`);
   }
   
+  // Test 6: Audio bridge forwards client audio as 20ms Twilio frames
+  console.log('\nTest 6: Audio Bridge (client PCM → Twilio media frames)');
+  try {
+    const transformer = new VoiceTransformer();
+    const transform = transformer.transform.bind(transformer);
+    let transformCalls = 0;
+    transformer.transform = (...args) => {
+      transformCalls++;
+      return transform(...args);
+    };
+    const bridge = new AudioBridge(transformer);
+    const twilioSocket = createFakeSocket();
+    
+    bridge.createBridge('test-call', 'deep_male');
+    bridge.connectClientStream('test-call', createFakeSocket());
+    bridge.connectTwilioStream('test-call', twilioSocket, 'MZ-test');
+    
+    // 220ms of 16kHz PCM as 20ms frames (as the worklet sends them): the
+    // first 200ms make one transform → 1600 μ-law bytes → 10 frames of 160
+    // bytes (the last one short by the resampler's few ms of lookahead);
+    // the last 20ms wait for the next chunk
+    const clientPcm = Buffer.alloc(3520 * 2);
+    for (let i = 0; i < 3520; i++) {
+      clientPcm.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 300 * i / 16000) * 8000), i * 2);
+    }
+    
+    for (let offset = 0; offset < clientPcm.length; offset += 640) {
+      await bridge.processClientAudio('test-call', clientPcm.subarray(offset, offset + 640));
+    }
+    await waitFor(() => !bridge.getBridgeStatus('test-call').isProcessing);
+    
+    const messages = twilioSocket.sent.map(m => JSON.parse(m));
+    const frameSizes = messages.map(m => Buffer.from(m.media.payload, 'base64').length);
+    const framesOk = transformCalls === 1 && messages.length === 10 && messages.every(m =>
+      m.event === 'media' &&
+      m.streamSid === 'MZ-test'
+    ) && frameSizes.slice(0, 9).every(size => size === 160) && frameSizes[9] > 120;
+    
+    bridge.removeBridge('test-call');
+    
+    if (framesOk) {
+      console.log(`   ✅ PASSED (${transformCalls} transform for 11 client frames, ${messages.length} frames sent)`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (${transformCalls} transforms, ${messages.length} messages sent)`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 7: WebM/Opus decoding with header only in the first chunk
+  console.log('\nTest 7: WebM/Opus Demux + Decode (MediaRecorder chunks)');
+  try {
+    const decoder = new WebMOpusDecoder(16000);
+    const { header, clusters } = buildTestWebM(3, 5);
+    
+    // First chunk: header + first cluster; later clusters split mid-element
+    const chunks = [Buffer.concat([header, clusters[0]])];
+    for (const cluster of clusters.slice(1)) {
+      chunks.push(cluster.subarray(0, 7), cluster.subarray(7));
+    }
+    
+    // Corrupt chunk (unknown-size SimpleBlock), then a valid cluster: decoding resumes there
+    const extra = buildTestWebM(1, 5).clusters[0];
+    chunks.push(ebml([0xA3], Buffer.alloc(0), true), extra);
+    
+    let totalSamples = 0;
+    for (const chunk of chunks) {
+      const pcm = await decoder.decode(chunk);
+      totalSamples += pcm.length / 2;
+    }
+    
+    const pendingBytes = decoder.demuxer.pending.length;
+    const stats = decoder.getStats();
+    decoder.close();
+    
+    // 20 frames x 20ms at 16kHz = 6400 samples
+    if (stats.framesDecoded === 20 && totalSamples === 6400 && stats.decodeErrors === 0 && stats.resyncs >= 1 && pendingBytes < 16) {
+      console.log(`   ✅ PASSED (${stats.framesDecoded} frames → ${totalSamples} samples, ${stats.resyncs} resync)`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (frames: ${stats.framesDecoded}, samples: ${totalSamples}, errors: ${stats.decodeErrors}, resyncs: ${stats.resyncs}, pending: ${pendingBytes})`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 8: Framed PCM protocol detects lost, reordered and duplicate frames
+  console.log('\nTest 8: Client PCM Frames (sequence tracking, jitter)');
+  try {
+    const decoder = new PcmFrameDecoder();
+    const payload = Buffer.alloc(640, 1);  // 20ms at 16kHz
+    
+    // 0, 1, 3, 2 (reordered), 3 and 2 (duplicates), 6 (4 and 5 lost);
+    // odd frames arrive 8ms later than even ones
+    const order = [0, 1, 3, 2, 3, 2, 6];
+    let delivered = 0;
+    for (const sequence of order) {
+      const arrivedAt = 1000 + sequence * 20 + (sequence % 2) * 8;
+      const pcm = await decoder.decode(encodeClientFrame(sequence, sequence * 20, payload), arrivedAt);
+      if (pcm.length > 0) delivered++;
+    }
+    
+    const stats = decoder.getStats();
+    const statsOk = delivered === 4 &&
+      stats.framesLost === 2 &&
+      stats.framesReordered === 1 &&
+      stats.framesDuplicate === 2 &&
+      stats.jitterMs > 0 && stats.jitterMs < 8;
+    
+    // Through the bridge: a frame queued behind a slow decode keeps its arrival time
+    const bridge = new AudioBridge(new VoiceTransformer());
+    const arrivals = [];
+    let releaseFirst;
+    const firstHeld = new Promise(resolve => { releaseFirst = resolve; });
+    bridge.createBridge('jitter-call', 'deep_male');
+    bridge.connectClientStream('jitter-call', createFakeSocket(), async (chunk, arrivedAt) => {
+      arrivals.push(arrivedAt);
+      if (arrivals.length === 1) await firstHeld;
+      return Buffer.alloc(0);
+    });
+    const sentAt = Date.now();
+    const decoded = [bridge.processClientAudio('jitter-call', payload), bridge.processClientAudio('jitter-call', payload)];
+    await waitFor(() => false, 50);
+    releaseFirst();
+    await Promise.all(decoded);
+    bridge.removeBridge('jitter-call');
+    const arrivalOk = arrivals.length === 2 && arrivals[1] - sentAt < 20;
+    
+    if (statsOk && arrivalOk) {
+      console.log(`   ✅ PASSED (lost: ${stats.framesLost}, reordered: ${stats.framesReordered}, duplicate: ${stats.framesDuplicate}, jitter: ${stats.jitterMs}ms)`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (delivered: ${delivered}, stats: ${JSON.stringify(stats)}, arrivals: ${arrivals.map(at => at - sentAt)}ms)`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 9: Called party audio is forwarded to the browser as PCM frames
+  console.log('\nTest 9: Audio Bridge (Twilio μ-law → browser PCM frames)');
+  try {
+    const bridge = new AudioBridge(new VoiceTransformer());
+    const clientSocket = createFakeSocket();
+    
+    bridge.createBridge('test-call', 'deep_male');
+    bridge.connectClientStream('test-call', clientSocket);
+    
+    const mulawFrame = mulawEncode(Buffer.alloc(320));  // 20ms of silence
+    bridge.forwardAudioToClient('test-call', mulawFrame, 0);
+    bridge.forwardAudioToClient('test-call', mulawFrame, 20);
+    bridge.removeBridge('test-call');
+    
+    const control = JSON.parse(clientSocket.sent[0]);
+    const frames = clientSocket.sent.slice(1).map(parseClientFrame);
+    const framesOk = control.type === 'playback' &&
+      control.sampleRate === 8000 &&
+      frames.length === 2 &&
+      frames[1].sequence === 1 &&
+      frames[1].timestamp === 20 &&
+      frames[1].payload.length === 320;
+    
+    if (framesOk) {
+      console.log(`   ✅ PASSED (${frames.length} playback frames)`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (${clientSocket.sent.length} messages sent)`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 10: Inbound and outbound tracks are routed by their own policies
+  console.log('\nTest 10: Track-Aware Media Routing (inbound pass, outbound drop)');
+  try {
+    const twilioSocket = createFakeSocket();
+    handleMediaStream(twilioSocket, createMediaStreamOptions());
+    
+    emitTwilio(twilioSocket, { event: 'connected' });
+    emitTwilio(twilioSocket, {
+      event: 'start',
+      start: { streamSid: 'MZ-test', customParameters: { inboundPolicy: 'pass', outboundPolicy: 'drop' } },
+    });
+    await waitFor(() => true, 10);
+    
+    // 200ms per track: inbound = 0x11 bytes, outbound = 0x22 bytes
+    for (let i = 0; i < 10; i++) {
+      for (const [track, fill] of [['inbound', 0x11], ['outbound', 0x22]]) {
+        emitTwilio(twilioSocket, {
+          event: 'media',
+          media: { track, timestamp: String(i * 20), payload: Buffer.alloc(160, fill).toString('base64') },
+        });
+      }
+    }
+    
+    // Output is paced as 20ms frames (comfort noise once playback underruns)
+    const sentFrames = () => twilioSocket.sent.map(m => Buffer.from(JSON.parse(m).media.payload, 'base64'));
+    await waitFor(() => sentFrames().filter(frame => frame[0] === 0x11).length === 10);
+    emitTwilio(twilioSocket, { event: 'stop' });
+    
+    const frames = sentFrames();
+    const inboundFrames = frames.filter(frame => frame.every(byte => byte === 0x11));
+    const onlyInbound = inboundFrames.length === 10 && frames.every(frame => frame.length === 160) &&
+      !frames.some(frame => frame.includes(0x22));
+    
+    if (onlyInbound) {
+      console.log(`   ✅ PASSED (${inboundFrames.length * 160} inbound bytes passed through, outbound dropped)`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (${inboundFrames.length} inbound frames of ${frames.length} sent back)`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 11: ElevenLabs over HTTP against the mock server
+  console.log('\nTest 11: ElevenLabs HTTP Speech-to-Speech (mock server)');
+  const mock = await startMockElevenLabs();
+  try {
+    const transformer = new VoiceTransformer({ apiKey: 'test-key', apiUrl: mock.httpUrl });
+    await transformer.initializeStream('http-call', 'deep_male');
+    
+    const pcm = Buffer.alloc(3200);
+    pcm.writeInt16LE(1000, 0);
+    const viaHttp = await transformer.transform(pcm, 'deep_male', { sampleRate: 16000, callId: 'http-call' });
+    await transformer.closeStream('http-call');
+    
+    if (mock.requests.http === 1 && viaHttp.length === pcm.length && viaHttp.readInt16LE(0) === 500) {
+      console.log('   ✅ PASSED (one Speech-to-Speech request per chunk)');
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (requests: ${JSON.stringify(mock.requests)}, first sample: ${viaHttp.readInt16LE(0)})`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  } finally {
+    await mock.close();
+  }
+  
+  // Test 12: Provider selection per preset and per call, no API key
+  console.log('\nTest 12: Voice Provider Selection (no API key)');
+  try {
+    const transformer = new VoiceTransformer({ apiKey: '' });
+    
+    // 100ms of a 200Hz tone
+    const tone = Buffer.alloc(3200);
+    for (let i = 0; i < 1600; i++) {
+      tone.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 200 * i / 16000) * 8000), i * 2);
+    }
+    
+    const viaDsp = await transformer.transform(tone, 'dsp_deep', { sampleRate: 16000 });
+    const viaPassthrough = await transformer.transform(tone, 'original', { sampleRate: 16000 });
+    const viaMissingKey = await transformer.transform(tone, 'deep_male', { sampleRate: 16000 });
+    
+    // Per-call override: an ElevenLabs preset rendered by local DSP
+    await transformer.initializeStream('dsp-call', 'deep_male', { provider: 'local-dsp' });
+    const viaCallOverride = await transformer.transform(tone, 'deep_male', { sampleRate: 16000, callId: 'dsp-call' });
+    await transformer.closeStream('dsp-call');
+    
+    const status = transformer.getProviderStatus();
+    const dspOk = viaDsp.length === tone.length && !viaDsp.equals(tone) && calculateRMS(viaDsp) > 1000;
+    const passOk = viaPassthrough.equals(tone);
+    // No key and no failure policy configured: passthrough, as before policies existed
+    const overrideOk = !viaCallOverride.equals(tone) && viaMissingKey.equals(tone) && transformer.failurePolicy === 'passthrough';
+    const statusOk = !status.elevenlabs.available && status['local-dsp'].available &&
+      status.elevenlabs.capabilities.voiceListing;
+    
+    if (dspOk && passOk && overrideOk && statusOk) {
+      console.log(`   ✅ PASSED (local-dsp, passthrough, per-call override and missing-key default work offline)`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (dsp: ${dspOk}, passthrough: ${passOk}, override: ${overrideOk}, status: ${statusOk})`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 13: Local DSP engine - pitch/formant shifting and ElevenLabs-down fallback
+  console.log('\nTest 13: Local DSP Voice Disguise');
+  try {
+    // 1s of a 200Hz tone
+    const tone = Buffer.alloc(32000);
+    for (let i = 0; i < 16000; i++) {
+      tone.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 200 * i / 16000) * 8000), i * 2);
+    }
+    
+    const lower = estimateFrequency(disguiseVoice(tone, { pitch: 0.8 }, 16000), 16000);
+    const higher = estimateFrequency(disguiseVoice(tone, { semitones: 4 }, 16000), 16000);
+    const formantOnly = estimateFrequency(disguiseVoice(tone, { formant: 1.2 }, 16000), 16000);
+    
+    // Streaming in 20ms chunks matches processing the whole clip
+    const streamed = new VoiceDisguiser({ pitch: 0.8 });
+    const chunks = [];
+    for (let i = 0; i < tone.length; i += 640) {
+      chunks.push(streamed.process(tone.subarray(i, i + 640)));
+    }
+    const chunkedOk = Buffer.concat(chunks).equals(new VoiceDisguiser({ pitch: 0.8 }).process(tone));
+    
+    // A call's streams (Twilio track, browser mic) keep separate engines:
+    // interleaving them changes neither one's output
+    const preset = { id: 'deep_male', dsp: { pitch: 0.8 } };
+    const shared = new LocalDspProvider();
+    const alone = new LocalDspProvider();
+    const mic = Buffer.alloc(3200, 0x11);
+    const interleaved = [];
+    const separate = [];
+    for (let i = 0; i < tone.length; i += 3200) {
+      const part = tone.subarray(i, i + 3200);
+      interleaved.push(await shared.transform(part, preset, { callId: 'two-streams', stream: 'inbound' }));
+      await shared.transform(mic, preset, { callId: 'two-streams', stream: 'client' });
+      separate.push(await alone.transform(part, preset, { callId: 'two-streams', stream: 'inbound' }));
+    }
+    shared.release('two-streams');
+    alone.release('two-streams');
+    const streamsOk = Buffer.concat(interleaved).equals(Buffer.concat(separate)) &&
+      shared.pool.inline.sessions.size === 0;
+    
+    // ElevenLabs unreachable → disguised locally instead of the real voice
+    const transformer = new VoiceTransformer({ apiKey: 'test-key', apiUrl: 'http://127.0.0.1:9/v1', failurePolicy: 'dsp' });
+    const chunk = tone.subarray(0, 3200);
+    const viaFallback = await transformer.transform(chunk, 'deep_male', { sampleRate: 16000, callId: 'down-call' });
+    await transformer.closeStream('down-call');
+    const fallbackOk = !viaFallback.equals(chunk) && transformer.getUsage().failuresByPolicy.dsp === 1;
+    
+    const pitchOk = Math.abs(lower - 160) < 5 && Math.abs(higher - 252) < 6 && Math.abs(formantOnly - 200) < 5;
+    
+    if (pitchOk && chunkedOk && streamsOk && fallbackOk) {
+      console.log(`   ✅ PASSED (200Hz → ${lower.toFixed(0)}Hz / ${higher.toFixed(0)}Hz, formant-only ${formantOnly.toFixed(0)}Hz, fallback ok)`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (pitch: ${lower.toFixed(1)}/${higher.toFixed(1)}/${formantOnly.toFixed(1)}, chunked: ${chunkedOk}, streams: ${streamsOk}, fallback: ${fallbackOk})`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 14: Failure policies - the real voice only leaks when asked to
+  console.log('\nTest 14: Failure Policies (passthrough, silence, hangup)');
+  try {
+    const transformer = new VoiceTransformer({ apiKey: '', failurePolicy: 'silence', maxFailures: 3 });
+    const speech = Buffer.alloc(3200);
+    for (let i = 0; i < 1600; i++) {
+      speech.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 300 * i / 16000) * 10000), i * 2);
+    }
+    
+    // Default policy (silence) → comfort noise only
+    const silenced = await transformer.transform(speech, 'deep_male', { sampleRate: 16000 });
+    
+    // Per-call passthrough keeps today's behaviour
+    await transformer.initializeStream('pass-call', 'deep_male', { failurePolicy: 'passthrough' });
+    const passedThrough = await transformer.transform(speech, 'deep_male', { sampleRate: 16000, callId: 'pass-call' });
+    const passMetrics = await transformer.closeStream('pass-call');
+    
+    // Hang up after 3 consecutive failures; a success in between resets the count
+    const hangups = [];
+    await transformer.initializeStream('hangup-call', 'deep_male', {
+      failurePolicy: 'hangup',
+      onHangup: reason => hangups.push(reason),
+    });
+    const options = { sampleRate: 16000, callId: 'hangup-call' };
+    await transformer.transform(speech, 'deep_male', options);
+    await transformer.transform(speech, 'deep_male', options);
+    await transformer.transform(speech, 'original', options);
+    const beforeHangup = hangups.length;
+    let lastChunk;
+    for (let i = 0; i < 4; i++) {
+      lastChunk = await transformer.transform(speech, 'deep_male', options);
+    }
+    const hangupMetrics = await transformer.closeStream('hangup-call');
+    
+    const silenceOk = silenced.length === speech.length && calculateRMS(silenced) < 100;
+    const passOk = passedThrough.equals(speech) && passMetrics.failuresByPolicy.passthrough === 1;
+    const hangupOk = beforeHangup === 0 && hangups.length === 1 && calculateRMS(lastChunk) < 100 &&
+      hangupMetrics.hangupRequested && hangupMetrics.failuresByPolicy.hangup === 6;
+    
+    if (silenceOk && passOk && hangupOk) {
+      console.log(`   ✅ PASSED (silence rms ${calculateRMS(silenced).toFixed(0)}, hangup after 3 consecutive failures)`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (silence: ${silenceOk}, passthrough: ${passOk}, hangup: ${hangupOk}, hangups: ${hangups.length})`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 15: Out-of-order transform results still reach Twilio in order
+  console.log('\nTest 15: Ordered Output (reorder, in-flight cap, late concealment)');
+  try {
+    // Chunk 0 is slow, chunk 1 fast, chunk 2 never returns, chunk 3 fast
+    const delays = [60, 5, null, 5];
+    let calls = 0;
+    const slowTransformer = {
+      async initializeStream() {},
+      async closeStream() { return null; },
+      transform(pcm) {
+        const index = calls++;
+        const output = Buffer.alloc(pcm.length);
+        for (let i = 0; i < output.length; i += 2) output.writeInt16LE((index + 1) * 1000, i);
+        if (delays[index] === null) return new Promise(() => {});
+        return new Promise(resolve => setTimeout(() => resolve(output), delays[index]));
+      },
+    };
+    
+    const logLines = [];
+    const twilioSocket = createFakeSocket();
+    handleMediaStream(twilioSocket, createMediaStreamOptions({
+      voiceTransformer: slowTransformer,
+      logger: { info: line => logLines.push(line), warn() {}, error() {}, debug() {} },
+    }));
+    emitTwilio(twilioSocket, { event: 'connected' });
+    emitTwilio(twilioSocket, { event: 'start', start: { streamSid: 'MZ-order' } });
+    await waitFor(() => true, 10);
+    
+    // Four 200ms chunks of inbound speech, plus the 40ms crossfade lookahead
+    const speech = createMulawTone(840);
+    for (let chunk = 0; chunk < 4; chunk++) {
+      for (let i = 0; i < (chunk === 3 ? 12 : 10); i++) {
+        const offset = (chunk * 10 + i) * 160;
+        emitTwilio(twilioSocket, {
+          event: 'media',
+          media: { track: 'inbound', payload: speech.subarray(offset, offset + 160).toString('base64') },
+        });
+      }
+      await waitFor(() => false, 20);
+    }
+    
+    // The level of each flat 20ms frame tells which chunk it came from
+    // (frames inside a crossfade are skipped)
+    const frameSources = () => twilioSocket.sent.map(m => {
+      const pcm = mulawDecode(Buffer.from(JSON.parse(m).media.payload, 'base64'));
+      const first = pcm.readInt16LE(0);
+      const last = pcm.readInt16LE(pcm.length - 2);
+      if (Math.abs(first) < 200 && Math.abs(last) < 200) return 'noise';
+      return Math.abs(first - last) > 100 ? 'fade' : Math.round(first / 1000) - 1;
+    }).filter(source => source !== 'fade');
+    await waitFor(() => frameSources().filter(source => source === 3).length === 10, 2500);
+    emitTwilio(twilioSocket, { event: 'stop' });
+    await waitFor(() => logLines.some(line => line.includes('inbound track')), 500);
+    
+    // Collapse runs of frames (and trailing underrun noise) into chunk order
+    const order = frameSources().filter((source, i, all) => source !== all[i - 1]);
+    while (order[order.length - 1] === 'noise') order.pop();
+    const events = JSON.parse(logLines.find(line => line.includes('inbound track')).split('events=')[1].split(', vad=')[0]);
+    
+    if (order.join(',') === '0,1,noise,3' && calls === 4 && events.reordered === 2 && events.concealed === 1) {
+      console.log(`   ✅ PASSED (released ${order.join(', ')}; events ${JSON.stringify(events)})`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (order: ${order.join(',')}, calls: ${calls}, events: ${JSON.stringify(events)})`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 16: Outbound scheduler paces a burst as real-time 20ms frames
+  console.log('\nTest 16: Paced Outbound Frames (jitter buffer + comfort noise)');
+  try {
+    const sent = [];
+    const scheduler = new OutboundScheduler({ send: frame => sent.push({ at: Date.now(), frame }) });
+    
+    // 210ms burst: 10 whole frames plus half a frame carried over
+    scheduler.enqueue(Buffer.alloc(1680, 0x55));
+    const depthMs = scheduler.getStats().depthMs;
+    await waitFor(() => sent.length >= 14, 1000);
+    const stats = scheduler.getStats();
+    
+    // After the underrun the next burst plays on the next tick, without
+    // waiting for the prebuffer to refill
+    const resumedAt = Date.now();
+    scheduler.enqueue(Buffer.alloc(800, 0x33));
+    await waitFor(() => sent.some(({ frame }) => frame.includes(0x33)), 1000);
+    const resumeMs = sent.find(({ frame }) => frame.includes(0x33)).at - resumedAt;
+    scheduler.stop();
+    
+    const audioFrames = sent.filter(({ frame }) => frame.every(byte => byte === 0x55));
+    const spanMs = audioFrames[audioFrames.length - 1].at - audioFrames[0].at;
+    const pacedOk = audioFrames.length === 10 && sent.every(({ frame }) => frame.length === 160) &&
+      spanMs >= 150 && spanMs <= 300;
+    const underrunOk = stats.underruns === 1 && stats.comfortFrames >= 4 && depthMs === 210 && resumeMs < 45;
+    
+    // Two sources at once (a track and the bridge's mic) are mixed frame by
+    // frame instead of played back to back
+    const mixed = [];
+    const mixer = new OutboundScheduler({ send: frame => mixed.push(Buffer.from(frame)) });
+    const speech = mulawEncode(new Int16Array(800).fill(1000));
+    mixer.enqueue(speech, 'inbound');
+    mixer.enqueue(speech, 'client');
+    await waitFor(() => mixed.length >= 8, 1000);
+    mixer.stop();
+    const levels = mixed.map(frame => Math.abs(mulawDecode(frame).readInt16LE(0)));
+    const mixOk = levels.filter(level => level > 1500).length === 5 && levels.every(level => level < 500 || level > 1500);
+    
+    if (pacedOk && underrunOk && mixOk) {
+      console.log(`   ✅ PASSED (10 frames over ${spanMs}ms, ${stats.comfortFrames} comfort frames after underrun, 2 sources mixed)`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (frames: ${audioFrames.length}, span: ${spanMs}ms, depth: ${depthMs}ms, resumed after ${resumeMs}ms, mixed: ${levels}, stats: ${JSON.stringify(stats)})`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 17: Overlapping windows are crossfaded instead of butted together
+  console.log('\nTest 17: Windowed Crossfade (SlidingAudioBuffer + Crossfader)');
+  try {
+    // 1s of 8kHz sine as μ-law, read as 240ms windows every 200ms
+    // (306.25Hz puts a waveform peak on the first chunk boundary)
+    const tone = Buffer.alloc(8000 * 2);
+    for (let i = 0; i < 8000; i++) {
+      tone.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 306.25 * i / 8000) * 8000), i * 2);
+    }
+    const window = new SlidingAudioBuffer(240, 200, 8000);
+    const overlap = window.getOverlapBytes();
+    window.push(mulawEncode(tone));
+    
+    const windows = [];
+    while (window.isReady()) windows.push(window.getWindow());
+    
+    // Each window "transformed" independently with a different gain
+    const gains = [1.0, 0.5, 1.0, 0.5];
+    const scale = (pcm, gain) => {
+      const output = Buffer.alloc(pcm.length);
+      for (let i = 0; i < pcm.length; i += 2) output.writeInt16LE(Math.round(pcm.readInt16LE(i) * gain), i);
+      return output;
+    };
+    const maxStep = (pcm) => {
+      let step = 0;
+      for (let i = 2; i < pcm.length; i += 2) step = Math.max(step, Math.abs(pcm.readInt16LE(i) - pcm.readInt16LE(i - 2)));
+      return step;
+    };
+    
+    const joined = [];
+    const butted = [];
+    const identity = [];
+    const crossfader = new Crossfader(overlap);
+    const identityFader = new Crossfader(overlap);
+    windows.forEach((chunk, i) => {
+      const pcm = mulawDecode(chunk);
+      joined.push(crossfader.push(scale(pcm, gains[i]), i > 0));
+      butted.push(scale(pcm, gains[i]).subarray(0, pcm.length - overlap * 2));
+      identity.push(identityFader.push(pcm, i > 0));
+    });
+    
+    // Unchanged windows reassemble the input exactly, one hop per window
+    const decoded = mulawDecode(mulawEncode(tone));
+    const identityOut = Buffer.concat(identity);
+    const identityOk = identityOut.length === windows.length * 1600 * 2 &&
+      identityOut.equals(decoded.subarray(0, identityOut.length));
+    
+    // Level changes are smoothed: no boundary jump beyond the sine's own slope
+    const smoothStep = maxStep(Buffer.concat(joined));
+    const hardStep = maxStep(Buffer.concat(butted));
+    const sineStep = maxStep(decoded);
+    
+    // Local DSP with overlapping context matches processing the audio once
+    const dsp = new LocalDspProvider();
+    const preset = { dsp: { pitch: 0.8 } };
+    const pcm16k = resample(decoded, 8000, 16000);
+    const contiguous = new VoiceDisguiser({ pitch: 0.8 }).process(pcm16k);
+    const windowed = new Crossfader(overlap * 2);
+    const dspParts = [];
+    for (let start = 0, i = 0; start + 3840 * 2 <= pcm16k.length; start += 3200 * 2, i++) {
+      const output = await dsp.transform(pcm16k.subarray(start, start + 3840 * 2), preset, {
+        sampleRate: 16000, callId: 'overlap-call', contextSamples: i > 0 ? 640 : 0,
+      });
+      dspParts.push(windowed.push(output, i > 0));
+    }
+    const dspOut = Buffer.concat(dspParts);
+    const dspOk = dspOut.equals(contiguous.subarray(0, dspOut.length));
+    
+    if (identityOk && smoothStep <= sineStep * 1.2 && hardStep > sineStep * 1.5 && dspOk) {
+      console.log(`   ✅ PASSED (max step ${smoothStep} crossfaded vs ${hardStep} butted, sine ${sineStep})`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (identity: ${identityOk}, steps: ${smoothStep}/${hardStep}/${sineStep}, dsp: ${dspOk})`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 18: Silence is skipped, speech segments keep pre-roll and hangover
+  console.log('\nTest 18: Voice Activity Detection (silence gating + saved seconds)');
+  try {
+    // Detector alone: silence and hiss are not speech, a tone is, hangover holds it
+    const vad = new VoiceActivityDetector({ hangoverMs: 100 });
+    const hiss = Buffer.alloc(320);
+    for (let i = 0; i < 160; i++) hiss.writeInt16LE(Math.round((Math.random() * 2 - 1) * 600), i * 2);
+    const tonePcm = mulawDecode(createMulawTone(20));
+    
+    const quietOk = !vad.process(Buffer.alloc(320)) && !vad.process(hiss);
+    const speechOk = vad.process(tonePcm);
+    const hangover = [1, 2, 3, 4, 5, 6].map(() => vad.process(Buffer.alloc(320)));
+    const hangoverOk = hangover.join(',') === 'true,true,true,true,true,false';
+    
+    // Through the media stream: 400ms silence, 600ms speech, 1s silence
+    const calls = [];
+    let skippedSeconds = 0;
+    const countingTransformer = {
+      async initializeStream() {},
+      async closeStream() { return null; },
+      async transform(pcm) { calls.push(pcm.length); return pcm; },
+      recordSkippedAudio(id, seconds) { skippedSeconds += seconds; },
+    };
+    
+    const twilioSocket = createFakeSocket();
+    handleMediaStream(twilioSocket, createMediaStreamOptions({ voiceTransformer: countingTransformer }));
+    emitTwilio(twilioSocket, { event: 'connected' });
+    emitTwilio(twilioSocket, { event: 'start', start: { streamSid: 'MZ-vad' } });
+    await waitFor(() => true, 10);
+    
+    const silence = Buffer.alloc(160, 0xFF);
+    const speech = createMulawTone(600);
+    const frames = [
+      ...Array(20).fill(silence),
+      ...Array.from({ length: 30 }, (_, i) => speech.subarray(i * 160, (i + 1) * 160)),
+      ...Array(50).fill(silence),
+    ];
+    for (const frame of frames) {
+      emitTwilio(twilioSocket, { event: 'media', media: { track: 'inbound', payload: frame.toString('base64') } });
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    await waitFor(() => false, 50);
+    emitTwilio(twilioSocket, { event: 'stop' });
+    
+    // 100ms pre-roll + 600ms speech + 300ms hangover = 1s transformed as
+    // four windows and a short final chunk; 0.9s of silence skipped
+    const segmentOk = calls.length === 5 && calls[4] < calls[1];
+    const skippedOk = Math.abs(skippedSeconds - 0.9) < 0.05;
+    
+    if (quietOk && speechOk && hangoverOk && segmentOk && skippedOk) {
+      console.log(`   ✅ PASSED (${calls.length} transforms for 2s of audio, ${skippedSeconds.toFixed(2)}s skipped)`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (quiet: ${quietOk}, speech: ${speechOk}, hangover: ${hangover}, transforms: ${calls}, skipped: ${skippedSeconds}s)`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 19: Buffer target follows underruns and latency, within bounds
+  console.log('\nTest 19: Adaptive Buffer Controller (grow, shrink, bounds)');
+  try {
+    const latencyTracker = new LatencyTracker();
+    const outboundStats = { underruns: 0, depthMs: 200 };
+    const controller = new AdaptiveBufferController({
+      initialMs: 200,
+      minMs: 160,
+      maxMs: 240,
+      maxInFlight: 2,
+      latencyTracker,
+      getOutboundStats: () => ({ ...outboundStats }),
+    });
+    const runChunks = (count, latencyMs) => {
+      const adjustments = [];
+      for (let i = 0; i < count; i++) {
+        latencyTracker.record(latencyMs, 'transform');
+        const adjustment = controller.chunkDone();
+        if (adjustment) adjustments.push(adjustment);
+      }
+      return adjustments;
+    };
+    
+    // Underruns grow the buffer one step per evaluation, up to the bound
+    outboundStats.underruns = 3;
+    const afterUnderrun = runChunks(5, 150);
+    outboundStats.underruns = 5;
+    const secondUnderrun = runChunks(5, 150);
+    outboundStats.underruns = 6;
+    const atBound = runChunks(5, 150);
+    const growOk = afterUnderrun[0]?.toMs === 220 && afterUnderrun[0].reason.includes('underrun') &&
+      secondUnderrun[0]?.toMs === 240 && atBound.length === 0;
+    
+    // Calm with fast transforms: shrink only after two quiet evaluations
+    latencyTracker.reset();
+    const firstCalm = runChunks(5, 40);
+    const shrunk = runChunks(5, 40);
+    const shrinkOk = firstCalm.length === 0 && shrunk[0]?.toMs === 220 && shrunk[0].reason.includes('p95');
+    
+    // Transforms slower than the in-flight chunks can cover grow it again
+    latencyTracker.reset();
+    const slow = runChunks(5, 480);
+    const slowOk = slow[0]?.toMs === 240 && slow[0].reason.includes('exceeds');
+    
+    // The sliding buffer takes the new hop and keeps its overlap
+    const window = new SlidingAudioBuffer(240, 200, 8000);
+    window.adjustHop(slow[0].toMs);
+    const hopOk = window.hopBytes === 1920 && window.getOverlapBytes() === 320;
+    
+    if (growOk && shrinkOk && slowOk && hopOk && controller.getStats().adjustments === 4) {
+      console.log(`   ✅ PASSED (${controller.getStats().history.map(h => `${h.fromMs}→${h.toMs}`).join(', ')})`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (grow: ${growOk}, shrink: ${shrinkOk}, slow: ${slowOk}, hop: ${hopOk}, ${JSON.stringify(controller.getStats())})`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 20: Resampler rejects aliases and images, and chunking is seamless
+  console.log('\nTest 20: Polyphase Resampler (alias rejection, arbitrary rates, streaming)');
+  try {
+    const createTone = (frequency, rate, ms) => {
+      const pcm = Buffer.alloc(rate * ms / 1000 * 2);
+      for (let i = 0; i < pcm.length / 2; i++) {
+        pcm.writeInt16LE(Math.round(Math.sin(2 * Math.PI * frequency * i / rate) * 10000), i * 2);
+      }
+      return pcm;
+    };
+    const dB = (level) => 20 * Math.log10(Math.max(level, 1e-3) / 10000);
+    
+    // Downsampling: a tone above the target Nyquist must vanish, an in-band
+    // tone must keep its level. Includes the providers' rates.
+    const cases = [
+      [16000, 8000, 6000, 1000],
+      [22050, 16000, 10000, 1000],
+      [24000, 16000, 9000, 1000],
+      [44100, 16000, 12000, 1000],
+    ];
+    const results = cases.map(([from, to, alias, passband]) => ({
+      label: `${from / 1000}k→${to / 1000}k`,
+      alias: dB(toneLevel(resample(createTone(alias, from, 300), from, to), Math.abs(to - alias), to)),
+      passband: dB(toneLevel(resample(createTone(passband, from, 300), from, to), passband, to)),
+    }));
+    const downOk = results.every(r => r.alias < -60 && Math.abs(r.passband) < 0.5);
+    
+    // Upsampling: no image of a 3kHz tone at 5kHz
+    const upsampled = resample(createTone(3000, 8000, 300), 8000, 16000);
+    const image = dB(toneLevel(upsampled, 5000, 16000));
+    const upOk = image < -60 && Math.abs(dB(toneLevel(upsampled, 3000, 16000))) < 0.5;
+    
+    // Odd-sized chunks through one Resampler match a single pass exactly
+    const speech = createTone(440, 16000, 500);
+    const whole = new Resampler(16000, 8000).process(speech);
+    const streaming = new Resampler(16000, 8000);
+    const chunks = [];
+    for (let offset = 0, size = 74; offset < speech.length; offset += size, size = size * 3 % 998 + 2) {
+      chunks.push(streaming.process(speech.subarray(offset, offset + size)));
+    }
+    const streamOk = Buffer.concat(chunks).equals(whole);
+    
+    if (downOk && upOk && streamOk) {
+      console.log(`   ✅ PASSED (aliases ${results.map(r => `${r.label} ${r.alias.toFixed(0)}dB`).join(', ')}; image ${image.toFixed(0)}dB)`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (${JSON.stringify(results)}, image: ${image}, streaming: ${streamOk})`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 21: Caller-supplied output buffers give the same audio without allocating
+  console.log('\nTest 21: Codec Output Buffers (Int16Array views)');
+  try {
+    const mulaw = createMulawTone(200);
+    const decoded = mulawDecode(mulaw);
+    
+    // Same result written into the caller's buffer, sharing its memory
+    const scratch = new Int16Array(mulaw.length);
+    const intoScratch = mulawDecode(mulaw, scratch);
+    const decodeOk = intoScratch.equals(decoded) && intoScratch.buffer === scratch.buffer;
+    
+    const encodeOut = Buffer.alloc(mulaw.length);
+    const encodeOk = mulawEncode(scratch, encodeOut).equals(mulawEncode(decoded)) && encodeOut.equals(mulaw);
+    
+    const upsampled = resample(decoded, 8000, 16000);
+    const resampleOk = resample(decoded, 8000, 16000, new Int16Array(upsampled.length / 2)).equals(upsampled);
+    const normalizeOk = normalizeAudio(scratch, 0.5, new Int16Array(scratch.length)).equals(normalizeAudio(decoded, 0.5));
+    
+    // PCM sliced at an odd byte offset (e.g. out of a framed message) still decodes
+    const framed = Buffer.concat([Buffer.from([0]), decoded]);
+    const oddOk = mulawEncode(framed.subarray(1)).equals(mulawEncode(decoded)) &&
+      Math.abs(calculateRMS(framed.subarray(1)) - calculateRMS(decoded)) < 1e-9;
+    
+    // Too-small output is a caller bug - fail loudly rather than truncate
+    let rangeError = false;
+    try {
+      mulawDecode(mulaw, new Int16Array(10));
+    } catch (error) {
+      rangeError = error instanceof RangeError;
+    }
+    
+    if (decodeOk && encodeOk && resampleOk && normalizeOk && oddOk && rangeError) {
+      console.log('   ✅ PASSED (decode, encode, resample, normalize match; odd offsets handled; undersized output rejected)');
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (decode: ${decodeOk}, encode: ${encodeOk}, resample: ${resampleOk}, normalize: ${normalizeOk}, odd offset: ${oddOk}, range error: ${rangeError})`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 22: A-law streams are decoded and answered in A-law
+  console.log('\nTest 22: G.711 A-law Codec (tables + mediaFormat negotiation)');
+  try {
+    // Reference points: digital silence, full scale, and every code round-trips
+    const silenceOk = alawEncode(Buffer.alloc(2))[0] === 0xD5 && alawDecode(Buffer.from([0xAA])).readInt16LE(0) === 32256;
+    const codes = Buffer.from(Array.from({ length: 256 }, (_, i) => i));
+    const roundTripOk = alawEncode(alawDecode(codes)).equals(codes);
+    
+    const selectionOk = getTelephonyCodec('audio/x-alaw') === TELEPHONY_CODECS.ALAW &&
+      getTelephonyCodec('PCMU') === TELEPHONY_CODECS.MULAW &&
+      getTelephonyCodec(undefined) === TELEPHONY_CODECS.MULAW;
+    let unsupportedOk = false;
+    try {
+      getTelephonyCodec('audio/l16');
+    } catch (error) {
+      unsupportedOk = /Unsupported/.test(error.message);
+    }
+    
+    // 600ms A-law tone through a transformed track (identity transform)
+    const tone = mulawDecode(createMulawTone(600));
+    const identityTransformer = {
+      async initializeStream() {},
+      async closeStream() { return null; },
+      async transform(pcm) { return pcm; },
+      recordSkippedAudio() {},
+    };
+    const twilioSocket = createFakeSocket();
+    handleMediaStream(twilioSocket, createMediaStreamOptions({ voiceTransformer: identityTransformer }));
+    emitTwilio(twilioSocket, { event: 'connected' });
+    emitTwilio(twilioSocket, {
+      event: 'start',
+      start: {
+        streamSid: 'MZ-alaw',
+        mediaFormat: { encoding: 'audio/x-alaw', sampleRate: 8000, channels: 1 },
+        customParameters: { preprocess: 'none' },  // Levels must survive untouched
+      },
+    });
+    await waitFor(() => true, 10);
+    
+    const alawTone = alawEncode(tone);
+    for (let offset = 0; offset < alawTone.length; offset += 160) {
+      emitTwilio(twilioSocket, { event: 'media', media: { track: 'inbound', payload: alawTone.subarray(offset, offset + 160).toString('base64') } });
+    }
+    const mediaFrames = () => twilioSocket.sent.map(message => JSON.parse(message)).filter(message => message.event === 'media');
+    await waitFor(() => mediaFrames().length >= 35, 2000);
+    emitTwilio(twilioSocket, { event: 'stop' });
+    
+    // Two 200ms windows go out (less the 40ms crossfade tail), then comfort noise
+    const frames = mediaFrames().map(message => Buffer.from(message.media.payload, 'base64'));
+    const decoded = alawDecode(Buffer.concat(frames.slice(0, 15)));
+    const level = toneLevel(decoded, 300, 8000);
+    const comfortRms = calculateRMS(alawDecode(frames[frames.length - 1]));
+    const streamOk = level > 6000 && level < 9000 && comfortRms < 100;
+    
+    if (silenceOk && roundTripOk && selectionOk && unsupportedOk && streamOk) {
+      console.log(`   ✅ PASSED (tone level ${Math.round(level)} after A-law round trip, comfort noise RMS ${comfortRms.toFixed(0)})`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (silence: ${silenceOk}, round trip: ${roundTripOk}, selection: ${selectionOk}, unsupported: ${unsupportedOk}, level: ${level}, comfort RMS: ${comfortRms}, frames: ${frames.length})`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 23: Audio tasks on worker threads match inline processing, in order per call
+  console.log('\nTest 23: Audio Worker Pool (worker_threads, per-call ordering)');
+  const pool = new AudioWorkerPool({ size: 2 });
+  try {
+    const inline = new AudioWorkerPool({ size: 0 });
+    const mulaw = createMulawTone(200);
+    const decodeArgs = { audio: mulaw, encoding: 'mulaw', fromRate: 8000, toRate: 16000 };
+    const decodeOk = (await pool.run('call-a', 'decode', decodeArgs)).equals(await inline.run('call-a', 'decode', decodeArgs));
+    
+    // Two calls' streams interleaved: each call's chunks reach its own
+    // resampler in order, so chunked output equals one pass
+    const speech = mulawDecode(createMulawTone(500, 440));
+    const whole = new Resampler(8000, 16000).process(speech);
+    const pending = { a: [], b: [] };
+    for (let offset = 0; offset < speech.length; offset += 320) {
+      const pcm = speech.subarray(offset, offset + 320);
+      pending.a.push(pool.run('call-a', 'resample', { pcm, fromRate: 8000, toRate: 16000, stream: 'up' }));
+      pending.b.push(pool.run('call-b', 'resample', { pcm, fromRate: 8000, toRate: 16000, stream: 'up' }));
+    }
+    const streamA = Buffer.concat(await Promise.all(pending.a));
+    const streamB = Buffer.concat(await Promise.all(pending.b));
+    const orderOk = streamA.equals(whole) && streamB.equals(whole);
+    const sticky = pool.getStats();
+    
+    // Local DSP keeps its per-call engine on the worker: same audio as inline
+    const tone = resample(mulawDecode(createMulawTone(600)), 8000, 16000);
+    const preset = { dsp: { pitch: 0.8, formant: 0.9 } };
+    const pooled = new LocalDspProvider({ pool });
+    const local = new LocalDspProvider();
+    let dspOk = true;
+    for (let offset = 0; offset + 3840 <= tone.length; offset += 3200) {
+      const window = tone.subarray(offset, offset + 3840);
+      const options = { callId: 'call-c', sampleRate: 16000, contextSamples: offset > 0 ? 320 : 0 };
+      const [fromPool, fromInline] = [await pooled.transform(window, preset, options), await local.transform(window, preset, options)];
+      dspOk = dspOk && fromPool.equals(fromInline);
+    }
+    
+    // A failing task rejects on its own; the pool keeps going
+    let rejectOk = false;
+    try {
+      await pool.run('call-a', 'transcode', {});
+    } catch (error) {
+      rejectOk = /Unknown audio task/.test(error.message);
+    }
+    const afterFailure = await pool.run('call-a', 'decode', decodeArgs);
+    
+    pool.release('call-a');
+    const stats = pool.getStats();
+    const statsOk = sticky.sessions === 2 && sticky.workers === 2 && stats.sessions === 2 &&
+      stats.failed === 1 && stats.inFlight === 0 && !stats.saturated && stats.peakInFlight >= 2;
+    
+    if (decodeOk && orderOk && dspOk && rejectOk && afterFailure.length > 0 && statsOk) {
+      console.log(`   ✅ PASSED (${stats.completed} tasks on ${stats.workers} workers, peak ${stats.peakInFlight} in flight, run p95 ${stats.runMs.p95}ms)`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (decode: ${decodeOk}, order: ${orderOk}, dsp: ${dspOk}, reject: ${rejectOk}, stats: ${JSON.stringify(stats)})`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  } finally {
+    await pool.close();
+  }
+  
+  // Test 24: Lost Twilio frames are detected and concealed, duplicates dropped
+  console.log('\nTest 24: Packet Loss Detection and Concealment');
+  try {
+    // 1 2 3 _ 5 6 6 4 _ _ 9: three lost, one duplicate, one late arrival
+    const detector = new PacketLossDetector();
+    const statuses = [1, 2, 3, 5, 6, 6, 4, 9].map(chunk => detector.check(chunk, NaN).status);
+    const detection = detector.getStats();
+    const detectOk = statuses.join() === 'ok,ok,ok,gap,ok,duplicate,late,gap' &&
+      detection.lost === 3 && detection.duplicates === 1 && detection.late === 1 &&
+      detection.longestGapMs === 40 && new PacketLossDetector().check(NaN, 200).status === 'ok';
+    
+    // Conceal 40ms of a 200Hz tone: the first 10ms continue the waveform,
+    // then it fades; the next real frame joins without a click
+    const tone = new Int16Array(mulawDecode(createMulawTone(200, 200)).buffer.slice(0));
+    const concealer = new LossConcealer();
+    for (let offset = 0; offset < 480; offset += 160) {
+      concealer.receive(tone.subarray(offset, offset + 160));
+    }
+    const concealed = concealer.conceal(320);
+    let holdError = 0;
+    for (let i = 0; i < 80; i++) {
+      holdError = Math.max(holdError, Math.abs(concealed[i] - tone[480 + i]));
+    }
+    const fadeOk = calculateRMS(concealed.subarray(240)) < calculateRMS(concealed.subarray(0, 80)) * 0.6;
+    const resumed = concealer.receive(tone.subarray(800, 960));
+    const jump = Math.abs(resumed[0] - concealed[319]);
+    const concealOk = holdError < 600 && fadeOk && jump < 1500 && resumed !== tone.subarray(800, 960);
+    
+    // Through the media stream: chunks 5-6 missing, 10 repeated
+    let network = null;
+    const twilioSocket = createFakeSocket();
+    handleMediaStream(twilioSocket, createMediaStreamOptions({
+      callManager: {
+        addActiveStream() {}, removeActiveStream() {}, recordTransformMetrics() {}, async endCall() {},
+        recordNetworkMetrics(callSid, tracks) { network = tracks; },
+      },
+    }));
+    emitTwilio(twilioSocket, { event: 'connected' });
+    emitTwilio(twilioSocket, { event: 'start', start: { streamSid: 'MZ-loss', customParameters: { inboundPolicy: 'pass' } } });
+    await waitFor(() => true, 10);
+    
+    const mulaw = createMulawTone(600);
+    const chunks = [];
+    for (let chunk = 1; chunk <= 30; chunk++) {
+      if (chunk !== 5 && chunk !== 6) chunks.push(chunk);
+      if (chunk === 10) chunks.push(chunk);
+    }
+    for (const chunk of chunks) {
+      const payload = mulaw.subarray((chunk - 1) * 160, chunk * 160);
+      emitTwilio(twilioSocket, { event: 'media', media: { track: 'inbound', chunk: String(chunk), timestamp: String((chunk - 1) * 20), payload: payload.toString('base64') } });
+    }
+    const mediaFrames = () => twilioSocket.sent.map(message => JSON.parse(message)).filter(message => message.event === 'media');
+    await waitFor(() => mediaFrames().length >= 30, 2000);
+    emitTwilio(twilioSocket, { event: 'stop' });
+    await waitFor(() => network !== null, 500);
+    
+    // 28 received + 2 concealed frames, in time with the original
+    const played = mulawDecode(Buffer.concat(mediaFrames().slice(0, 30).map(message => Buffer.from(message.media.payload, 'base64'))));
+    const gapLevel = toneLevel(played.subarray(3 * 320, 7 * 320), 300, 8000);  // Middle: frames 5-6
+    const aligned = played.subarray(20 * 320).equals(mulawDecode(mulaw).subarray(20 * 320));
+    const inbound = network?.inbound;
+    const streamOk = gapLevel > 4000 && aligned && inbound?.received === 28 && inbound.lost === 2 && inbound.duplicates === 1;
+    
+    if (detectOk && concealOk && streamOk) {
+      console.log(`   ✅ PASSED (max error ${holdError} while holding, ${jump} step on resume, gap level ${Math.round(gapLevel)}, loss rate ${inbound.lossRate})`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (detect: ${detectOk} ${statuses.join()}, conceal: hold ${holdError} fade ${fadeOk} jump ${jump}, gap level: ${gapLevel}, aligned: ${aligned}, network: ${JSON.stringify(network)})`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 25: Preprocessing conditions audio before the transform
+  console.log('\nTest 25: Preprocessing Chain (high-pass, noise suppression, AGC)');
+  try {
+    let unknownOk = false;
+    try {
+      parsePreprocessing('highPass,reverb');
+    } catch (error) {
+      unknownOk = /Unknown preprocessing stage/.test(error.message);
+    }
+    const parseOk = unknownOk &&
+      formatPreprocessing(parsePreprocessing('agc,highPass')) === 'highPass,agc' &&
+      formatPreprocessing(parsePreprocessing('none')) === 'none' &&
+      parsePreprocessing({ agc: false }).agc === false;
+    
+    // 3s of 50Hz hum + hiss, with a quiet 400Hz "voice" in the last second
+    const sampleRate = 16000;
+    const numSamples = sampleRate * 3;
+    const input = new Int16Array(numSamples);
+    let seed = 7;
+    for (let i = 0; i < numSamples; i++) {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      const hiss = (seed / 0x7fffffff * 2 - 1) * 300;
+      const voice = i >= sampleRate * 2 ? Math.sin(2 * Math.PI * 400 * i / sampleRate) * 800 : 0;
+      input[i] = Math.round(Math.sin(2 * Math.PI * 50 * i / sampleRate) * 1000 + hiss + voice);
+    }
+    const runChain = (stages) => {
+      const chain = new AudioPreprocessor({ sampleRate, stages });
+      const output = new Int16Array(numSamples);
+      for (let offset = 0; offset < numSamples; offset += 3200) {
+        output.set(toSamples(chain.process(input.subarray(offset, offset + 3200))), offset);
+      }
+      return output;
+    };
+    
+    const filtered = runChain('highPass');
+    const humBefore = toneLevel(toBuffer(input.subarray(sampleRate, sampleRate * 2)), 50, sampleRate);
+    const humAfter = toneLevel(toBuffer(filtered.subarray(sampleRate, sampleRate * 2)), 50, sampleRate);
+    
+    const full = runChain('highPass,noiseSuppression,agc');
+    const noiseIn = calculateRMS(filtered.subarray(sampleRate, sampleRate * 2));
+    const noiseOut = calculateRMS(full.subarray(sampleRate, sampleRate * 2));
+    const voiceOut = calculateRMS(full.subarray(sampleRate * 2.5));
+    const chainOk = humAfter < humBefore / 3 && noiseOut < noiseIn / 3 && voiceOut > 2300 && voiceOut < 4700;
+    
+    // Overlapping windows through the pool match one continuous pass
+    const pool = new AudioWorkerPool({ size: 0 });
+    const continuous = toBuffer(runChain('highPass,noiseSuppression'));
+    const windows = [];
+    for (let offset = 0; offset < numSamples; offset += 3200) {
+      const start = Math.max(0, offset - 640);
+      const window = toBuffer(input.subarray(start, offset + 3200));
+      const output = await pool.run('call-p', 'preprocess', { pcm: window, sampleRate, stages: 'highPass,noiseSuppression', contextSamples: offset - start });
+      windows.push(output.subarray((offset - start) * 2));
+    }
+    const windowOk = Buffer.concat(windows).equals(continuous);
+    
+    if (parseOk && chainOk && windowOk) {
+      console.log(`   ✅ PASSED (hum ${Math.round(humBefore)} → ${Math.round(humAfter)}, hiss RMS ${Math.round(noiseIn)} → ${Math.round(noiseOut)}, voice RMS 800/√2 → ${Math.round(voiceOut)})`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (parse: ${parseOk}, hum: ${humBefore} → ${humAfter}, hiss: ${noiseIn} → ${noiseOut}, voice: ${voiceOut}, windows: ${windowOk})`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 26: Voice switches wait for a pause and reach every stage of the call
+  console.log('\nTest 26: Mid-Call Voice Switching (pause, stats, bridge crossfade)');
+  try {
+    // Through the media stream: switch requested mid-word, applied at the pause
+    const presets = [];
+    const transformer = new VoiceTransformer();
+    transformer.transform = async (pcm, preset) => { presets.push(preset); return pcm; };
+    const audioBridge = new AudioBridge(transformer);
+    audioBridge.createBridge('test-call', 'deep_male');
+    const callManager = new CallManager();
+    
+    const twilioSocket = createFakeSocket();
+    handleMediaStream(twilioSocket, createMediaStreamOptions({ voiceTransformer: transformer, audioBridge, callManager }));
+    emitTwilio(twilioSocket, { event: 'connected' });
+    emitTwilio(twilioSocket, { event: 'start', start: { streamSid: 'MZ-switch', customParameters: { preprocess: 'none' } } });
+    await waitFor(() => transformer.activeStreams.has('test-call'), 500);
+    
+    const silence = Buffer.alloc(160, 0xFF);
+    const speech = createMulawTone(400);
+    const sendFrames = async (frames) => {
+      for (const frame of frames) {
+        emitTwilio(twilioSocket, { event: 'media', media: { track: 'inbound', payload: frame.toString('base64') } });
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    };
+    const speechFrames = Array.from({ length: 20 }, (_, i) => speech.subarray(i * 160, (i + 1) * 160));
+    
+    await sendFrames(speechFrames.slice(0, 10));
+    const midWord = callManager.switchVoice('test-call', 'soft_female');
+    const heldOk = midWord.pending && transformer.activeStreams.get('test-call').voicePreset === 'deep_male';
+    await sendFrames([...speechFrames.slice(10), ...Array(25).fill(silence)]);
+    await waitFor(() => false, 50);
+    const firstSegment = presets.length;
+    await sendFrames([...speechFrames, ...Array(25).fill(silence)]);
+    await waitFor(() => false, 50);
+    
+    const appliedOk = firstSegment > 0 && presets.length > firstSegment &&
+      presets.slice(0, firstSegment).every(preset => preset === 'deep_male') &&
+      presets.slice(firstSegment).every(preset => preset === 'soft_female') &&
+      transformer.getCallMetrics('test-call').voiceSwitches === 1 &&
+      audioBridge.getBridgeStatus('test-call').voicePreset === 'soft_female';
+    
+    // Nobody speaking: immediate; unknown presets and calls are refused
+    const quiet = callManager.switchVoice('test-call', 'dsp_deep');
+    let unknownPreset = false;
+    let unknownCall = false;
+    try { callManager.switchVoice('test-call', 'no_such_voice'); } catch { unknownPreset = true; }
+    try { callManager.switchVoice('other-call', 'dsp_deep'); } catch { unknownCall = true; }
+    const quietOk = !quiet.pending && quiet.from === 'soft_female' &&
+      transformer.activeStreams.get('test-call').voicePreset === 'dsp_deep' && unknownPreset && unknownCall;
+    
+    emitTwilio(twilioSocket, { event: 'stop' });
+    await waitFor(() => !transformer.activeStreams.has('test-call'), 500);
+    const stats = callManager.getStats();
+    const statsOk = stats.voiceSwitches === 2 && stats.callsByVoice.soft_female === 1 && stats.callsByVoice.dsp_deep === 1;
+    
+    // Bridge: the chunk after a switch fades from the old voice to the new
+    const levels = { deep_male: 1000, soft_female: 3000 };
+    const levelTransformer = {
+      async transform(pcm, preset) { return toBuffer(new Int16Array(pcm.length / 2).fill(levels[preset])); },
+    };
+    const bridge = new AudioBridge(levelTransformer);
+    const state = bridge.createBridge('fade-call', 'deep_male');
+    bridge.connectTwilioStream('fade-call', createFakeSocket(), 'MZ-fade');
+    state.preprocessor.configure(parsePreprocessing('none'));
+    const sentPcm = [];
+    bridge.sendToTwilio = (b, encoded) => sentPcm.push(mulawDecode(encoded));
+    
+    const chunk = Buffer.alloc(3200);  // 100ms at 16kHz
+    await bridge.forwardAudioToTwilio(state, chunk);
+    bridge.setVoicePreset('fade-call', 'soft_female');
+    await bridge.forwardAudioToTwilio(state, chunk);
+    await bridge.forwardAudioToTwilio(state, chunk);
+    
+    const sample = (index, i) => sentPcm[index].readInt16LE(i * 2);
+    const near = (value, target) => Math.abs(value - target) < 150;
+    const fadeStart = sample(1, 20);   // 2.5ms in
+    const fadeMiddle = sample(1, 160); // 20ms in
+    const fadeEnd = sample(1, 600);
+    const fadeOk = near(sample(0, 600), 1000) && near(fadeStart, 1000) &&
+      fadeMiddle > 1500 && fadeMiddle < 2500 && near(fadeEnd, 3000) && near(sample(2, 100), 3000) &&
+      bridge.getBridgeStatus('fade-call').voiceSwitches === 1;
+    
+    if (heldOk && appliedOk && quietOk && statsOk && fadeOk) {
+      console.log(`   ✅ PASSED (${firstSegment} chunks before the pause, ${presets.length - firstSegment} after; bridge fade ${fadeStart} → ${fadeMiddle} → ${fadeEnd})`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (held: ${heldOk}, applied: ${appliedOk} ${presets}, quiet: ${quietOk}, stats: ${JSON.stringify({ voiceSwitches: stats.voiceSwitches, callsByVoice: stats.callsByVoice })}, fade: ${fadeStart} → ${fadeMiddle} → ${fadeEnd})`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 27: Presets created through the store are validated, versioned and reloaded
+  console.log('\nTest 27: Voice Preset Store (validation, versions, persistence)');
+  const presetDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-presets-'));
+  try {
+    const file = path.join(presetDir, 'presets.json');
+    const providers = ['elevenlabs', 'local-dsp', 'passthrough'];
+    const store = new PresetStore({ file, providers, presets: {} });
+    const builtIns = await store.load();
+    
+    const errorCode = async (action) => {
+      try { await action(); } catch (error) { return error.code; }
+      return null;
+    };
+    
+    // Every problem is reported at once, and nothing is saved
+    let invalidMessage = '';
+    try {
+      await store.create('bad', { provider: 'elevenlabs', settings: { stability: 2, loudness: 1 }, dsp: { pitch: 5 } });
+    } catch (error) {
+      invalidMessage = error.message;
+    }
+    const invalidOk = ['name', 'voiceId', 'settings.stability', 'settings.loudness', 'dsp.pitch'].every(field => invalidMessage.includes(field)) &&
+      await errorCode(() => store.create('Bad ID!', { name: 'x', provider: 'passthrough' })) === 'INVALID' &&
+      await errorCode(() => store.create('x', { name: 'x', provider: 'nope' })) === 'INVALID' &&
+      !fs.existsSync(file);
+    
+    // Create, update, stale update, delete
+    const created = await store.create('gravel', { name: 'Gravel', voiceId: 'abc123', settings: { stability: 0.3 }, dsp: { pitch: 0.75 } });
+    const updated = await store.update('gravel', { name: 'Gravel 2', dsp: null }, { version: 1 });
+    const conflict = await errorCode(() => store.update('gravel', { name: 'Late edit' }, { version: 1 }));
+    const exists = await errorCode(() => store.create('gravel', { name: 'Again', voiceId: 'x' }));
+    await store.create('scratch', { name: 'Scratch', provider: 'passthrough' });
+    await store.remove('scratch');
+    const versionOk = created.version === 1 && updated.version === 2 && !updated.dsp &&
+      conflict === 'CONFLICT' && exists === 'EXISTS' && await errorCode(() => store.remove('scratch')) === 'NOT_FOUND';
+    
+    // Built-ins (the default calls fall back to among them) can't be deleted,
+    // only reset - which drops the edit and still moves the version on
+    const builtinName = store.get('young_male').name;
+    await store.update('young_male', { name: 'Young' });
+    const reset = await store.reset('young_male');
+    const builtinOk = await errorCode(() => store.remove('deep_male')) === 'BUILTIN' && !!store.get('deep_male') &&
+      reset.name === builtinName && reset.version === 3 && await errorCode(() => store.reset('gravel')) === 'INVALID';
+    
+    // A new store (restart) sees the same presets; the file holds only the changes
+    const registry = {};
+    const restarted = new PresetStore({ file, providers, presets: registry });
+    const count = await restarted.load();
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const reloadOk = count === builtIns + 1 && registry.gravel?.name === 'Gravel 2' && registry.gravel.version === 2 &&
+      registry.young_male?.version === 3 && registry.deep_male?.version === 1 &&
+      restarted.get('gravel').history[0].name === 'Gravel' &&
+      Object.keys(saved.presets).join() === 'gravel';
+    
+    // A change that can't be written leaves the registry, history and file alone
+    restarted.file = path.join(file, 'unwritable.json');
+    const writeError = await errorCode(() => restarted.update('gravel', { name: 'Unsaved' }));
+    restarted.file = file;
+    const writeFailOk = writeError !== null && registry.gravel.name === 'Gravel 2' && registry.gravel.version === 2 &&
+      restarted.get('gravel').history.length === 1 && fs.readFileSync(file, 'utf8') === JSON.stringify(saved, null, 2) &&
+      (await restarted.update('gravel', { name: 'Gravel 3' }, { version: 2 })).version === 3;
+    
+    if (invalidOk && versionOk && builtinOk && reloadOk && writeFailOk) {
+      console.log(`   ✅ PASSED (${count} presets after restart, gravel at version ${registry.gravel.version})`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (invalid: ${invalidOk} "${invalidMessage}", versions: ${versionOk} ${conflict}/${exists}, built-ins: ${builtinOk}, reload: ${reloadOk} ${JSON.stringify(saved.presets)}, failed write: ${writeFailOk} ${writeError})`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  } finally {
+    fs.rmSync(presetDir, { recursive: true, force: true });
+  }
+  
+  // Test 28: The account's voices are synced from /v1/voices, cached, and checked against presets
+  console.log('\nTest 28: Provider Voice Catalog (sync, cache TTL, retries, missing voices)');
+  const catalogMock = await startMockElevenLabs();
+  try {
+    const transformer = new VoiceTransformer({ apiKey: 'test-key', apiUrl: catalogMock.httpUrl });
+    const presets = {
+      deep_male: { name: 'Adam', voiceId: 'pNInz6obpgDQGcFmaJgB' },
+      soft_female: { name: 'Bella', voiceId: 'EXAVITQu4vr4xnSDxMaL' },
+      dsp_deep: { name: 'Deep', provider: 'local-dsp', dsp: { pitch: 0.8 } },
+      custom: { name: 'Custom', voiceId: '' },
+    };
+    const catalog = new VoiceCatalog({ providers: transformer.providers, ttlMs: 100, presets });
+    
+    // Premade and cloned voices come through with labels, categories and previews
+    const first = await catalog.getVoices();
+    const cloned = first.voices.find(voice => voice.category === 'cloned');
+    const adam = first.voices.find(voice => voice.id === 'pNInz6obpgDQGcFmaJgB');
+    const syncOk = first.voices.length === FIXTURE_VOICES.length && cloned?.provider === 'elevenlabs' &&
+      adam?.labels.gender === 'male' && adam.previewUrl?.endsWith('preview.mp3') &&
+      first.providers.elevenlabs?.count === FIXTURE_VOICES.length && !first.providers['local-dsp'] &&
+      first.missingPresets.length === 0;
+    
+    // Served from cache until the TTL runs out; then a deleted voice flags its preset
+    await catalog.getVoices();
+    const cachedRequests = catalogMock.requests.voices;
+    catalogMock.voices.splice(catalogMock.voices.findIndex(voice => voice.voice_id === 'EXAVITQu4vr4xnSDxMaL'), 1);
+    await new Promise(resolve => setTimeout(resolve, 150));
+    const expired = await Promise.all([catalog.getVoices(), catalog.getVoices()]);
+    const cacheOk = cachedRequests === 1 && catalogMock.requests.voices === 2 &&
+      expired[0].voices.length === FIXTURE_VOICES.length - 1;
+    const missingOk = expired[0].missingPresets.map(preset => preset.id).join() === 'soft_female';
+    
+    // Provider unreachable: the last list is kept, marked stale
+    await catalogMock.close();
+    const offline = await catalog.getVoices({ refresh: true });
+    const staleOk = offline.providers.elevenlabs.stale && !!offline.providers.elevenlabs.error &&
+      offline.voices.length === FIXTURE_VOICES.length - 1;
+    
+    // A provider that's down is retried after a delay, not on every request;
+    // a sync overtaken by invalidate() (a voice was cloned meanwhile) is dropped
+    const lists = [];
+    let down = true;
+    let listCalls = 0;
+    const fake = {
+      capabilities: { voiceListing: true },
+      isAvailable: () => true,
+      listVoices() {
+        listCalls++;
+        return down ? Promise.reject(new Error('down')) : new Promise(resolve => lists.push(resolve));
+      },
+    };
+    const fakeCatalog = new VoiceCatalog({ providers: new Map([['fake', fake]]), retryMs: 100, presets: {} });
+    await fakeCatalog.getVoices();
+    await fakeCatalog.getVoices();
+    const heldCalls = listCalls;
+    await new Promise(resolve => setTimeout(resolve, 150));
+    down = false;
+    const beforeClone = fakeCatalog.getVoices();
+    fakeCatalog.invalidate('fake');
+    const afterClone = fakeCatalog.getVoices();
+    lists[1]([{ id: 'premade' }, { id: 'cloned' }]);
+    lists[0]([{ id: 'premade' }]);
+    await Promise.all([beforeClone, afterClone]);
+    const invalidated = await fakeCatalog.getVoices();
+    const retryOk = heldCalls === 1 && listCalls === 3 && invalidated.voices.length === 2 && !invalidated.providers.fake.stale;
+    
+    // A connection test fills the transformer's own catalog (without returning the list)
+    const testMock = await startMockElevenLabs();
+    const tested = new VoiceTransformer({ apiKey: 'test-key', apiUrl: testMock.httpUrl });
+    const result = await tested.testConnection();
+    const testedCatalog = await tested.voiceCatalog.getVoices();
+    await testMock.close();
+    const connectionOk = result.success && !result.voices && testedCatalog.voices.length === FIXTURE_VOICES.length &&
+      testMock.requests.voices === 1;
+    
+    if (syncOk && cacheOk && missingOk && staleOk && retryOk && connectionOk) {
+      console.log(`   ✅ PASSED (${first.voices.length} voices, ${catalogMock.requests.voices} syncs, missing: ${expired[0].missingPresets[0].id})`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (sync: ${syncOk}, cache: ${cacheOk} ${catalogMock.requests.voices}, missing: ${missingOk}, stale: ${staleOk}, retry/invalidate: ${retryOk} ${listCalls}, connection: ${connectionOk})`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  } finally {
+    await catalogMock.close();
+  }
+  
+  // Test 29: Previews take a clip through the phone line and the preset's transform
+  console.log('\nTest 29: Voice Preview (WAV input, reference clip, line round trip)');
+  try {
+    const preview = new VoicePreview({ voiceTransformer: new VoiceTransformer({ apiKey: '' }) });
+    const errorCode = async (action) => {
+      try { await action(); } catch (error) { return error.code; }
+      return null;
+    };
+    
+    // 1s of a 440Hz tone as a 44.1kHz stereo WAV, and as an 8kHz μ-law WAV
+    const tone = Buffer.alloc(44100 * 4);
+    for (let i = 0; i < 44100; i++) {
+      const sample = Math.round(Math.sin(2 * Math.PI * 440 * i / 44100) * 8000);
+      tone.writeInt16LE(sample, i * 4);
+      tone.writeInt16LE(sample, i * 4 + 2);
+    }
+    const stereoWav = pcmToWav(tone, 44100, 2);
+    const mulawWav = pcmToWav(createMulawTone(500, 440), 8000, 1, 8);
+    mulawWav.writeUInt16LE(7, 20);  // WAVE_FORMAT_MULAW
+    const parsed = wavToPcm(stereoWav);
+    const parsedMulaw = wavToPcm(mulawWav);
+    const parseOk = parsed.sampleRate === 44100 && parsed.channels === 2 && parsed.pcm.length === 44100 * 2 &&
+      Math.abs(toneLevel(parsedMulaw.pcm, 440, 8000) - 8000) < 400 &&
+      await errorCode(() => preview.render('original', { wav: Buffer.from('not a wav file') })) === 'INVALID';
+    
+    // Passthrough keeps the tone (through the line codec); local DSP moves it
+    const passthrough = await preview.render('original', { wav: stereoWav, preprocess: 'none' });
+    const disguised = await preview.render('dsp_deep', { wav: stereoWav, preprocess: 'none' });
+    const heard = wavToPcm(passthrough.wav);
+    const heardDsp = wavToPcm(disguised.wav);
+    const lineOk = heard.sampleRate === 8000 && passthrough.durationMs === 1000 && passthrough.source === 'upload' &&
+      toneLevel(heard.pcm, 440, 8000) > 6000 && toneLevel(heardDsp.pcm, 440, 8000) < toneLevel(heard.pcm, 440, 8000) / 2 &&
+      disguised.provider === 'local-dsp';
+    
+    // The reference clip stands in when nothing is uploaded; limits and unknown presets
+    const reference = await preview.render('dsp_high');
+    const tooLong = pcmToWav(Buffer.alloc(8000 * 2 * 30), 8000);
+    const referenceOk = reference.source === 'reference' && reference.durationMs > 1500 &&
+      calculateRMS(wavToPcm(reference.wav).pcm) > 500 &&
+      await errorCode(() => preview.render('original', { wav: tooLong })) === 'INVALID' &&
+      await errorCode(() => preview.render('no_such_voice')) === 'NOT_FOUND' &&
+      await errorCode(() => preview.render('original', { preprocess: 'loudness' })) === 'INVALID';
+    
+    if (parseOk && lineOk && referenceOk) {
+      console.log(`   ✅ PASSED (440Hz ${Math.round(toneLevel(heard.pcm, 440, 8000))} passthrough vs ${Math.round(toneLevel(heardDsp.pcm, 440, 8000))} dsp_deep, reference ${reference.durationMs}ms)`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (parse: ${parseOk}, line: ${lineOk} ${passthrough.durationMs}ms, reference: ${referenceOk} ${reference.durationMs}ms)`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 30: Cloning checks the samples, creates the voice on the provider and saves a preset
+  console.log('\nTest 30: Voice Cloning (sample checks, mock provider, new preset)');
+  const cloneMock = await startMockElevenLabs();
+  const cloneDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-clone-'));
+  try {
+    const providers = new VoiceTransformer({ apiKey: 'test-key', apiUrl: cloneMock.httpUrl }).providers;
+    const presetStore = new PresetStore({ file: path.join(cloneDir, 'presets.json'), providers: [...providers.keys()], presets: {} });
+    await presetStore.load();
+    const catalog = new VoiceCatalog({ providers, presets: presetStore.presets });
+    const cloner = new VoiceCloner({ providers, presetStore, voiceCatalog: catalog });
+    const errorOf = async (action) => {
+      try { await action(); } catch (error) { return error; }
+      return null;
+    };
+    
+    // Speech stand-in: a 200Hz tone as a mono WAV
+    const toneWav = (seconds, rate, amplitude = 6000) => {
+      const pcm = Buffer.alloc(Math.round(seconds * rate) * 2);
+      for (let i = 0; i < pcm.length / 2; i++) {
+        pcm.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 200 * i / rate) * amplitude), i * 2);
+      }
+      return pcmToWav(pcm, rate);
+    };
+    const good = [toneWav(12, 16000), toneWav(12, 22050), toneWav(12, 8000)].map((data, i) => ({ filename: `take${i + 1}.wav`, data }));
+    
+    // Problems are caught before the provider is asked
+    const badSamples = await errorOf(() => cloner.clone('me', {
+      name: 'Me',
+      samples: [{ filename: 'notes.txt', data: Buffer.from('hello') }, { filename: 'short.wav', data: toneWav(0.5, 16000) }, { filename: 'quiet.wav', data: toneWav(5, 16000, 20) }],
+    }));
+    const tooLittle = await errorOf(() => cloner.clone('me', { name: 'Me', samples: [good[0]] }));
+    const taken = await errorOf(() => cloner.clone('deep_male', { name: 'Me', samples: good }));
+    const noCloning = await errorOf(() => cloner.clone('me', { name: 'Me', provider: 'local-dsp', samples: good }));
+    const noKey = new VoiceCloner({ providers: new VoiceTransformer({ apiKey: '' }).providers, presetStore });
+    const unavailable = await errorOf(() => noKey.clone('me', { name: 'Me', samples: good }));
+    const checksOk = badSamples?.code === 'INVALID' && ['notes.txt', 'short.wav', 'quiet.wav'].every(name => badSamples.message.includes(name)) &&
+      tooLittle?.code === 'INVALID' && taken?.code === 'EXISTS' && noCloning?.code === 'INVALID' &&
+      unavailable?.code === 'UNAVAILABLE' && cloneMock.clones.length === 0;
+    
+    // The voice is created from all samples and saved with its own settings
+    await catalog.getVoices();
+    const voice = await cloner.clone('me', {
+      name: 'My Voice',
+      samples: good,
+      labels: { accent: 'american' },
+      settings: { stability: 0.4, similarity_boost: 0.9 },
+    });
+    const saved = JSON.parse(fs.readFileSync(path.join(cloneDir, 'presets.json'), 'utf8')).presets.me;
+    const after = await catalog.getVoices();
+    const cloneOk = cloneMock.clones.length === 1 && cloneMock.clones[0].files.join() === 'take1.wav,take2.wav,take3.wav' &&
+      cloneMock.clones[0].labels?.accent === 'american' &&
+      voice.voiceId === cloneMock.voices.at(-1).voice_id && voice.category === 'cloned' && voice.provider === 'elevenlabs' &&
+      saved?.voiceId === voice.voiceId && saved.settings.stability === 0.4 &&
+      after.voices.some(entry => entry.id === voice.voiceId) && after.missingPresets.length === 0;
+    
+    if (checksOk && cloneOk) {
+      console.log(`   ✅ PASSED (preset me → ${voice.voiceId}, ${cloneMock.clones[0].files.length} samples)`);
+      passed++;
+    } else {
+      console.log(`   ❌ FAILED (checks: ${checksOk} "${badSamples?.message}" ${tooLittle?.code}/${taken?.code}/${noCloning?.code}/${unavailable?.code}, clone: ${cloneOk} ${JSON.stringify(cloneMock.clones)})`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ FAILED: ${error.message}`);
+    failed++;
+  } finally {
+    await cloneMock.close();
+    fs.rmSync(cloneDir, { recursive: true, force: true });
+  }
+  
   // Summary
   console.log('\n' + '='.repeat(50));
   console.log(`Tests: ${passed} passed, ${failed} failed`);
@@ -188,6 +1738,150 @@ async function runTests() {
   }
 }
 
+/**
+ * Minimal WebSocket stand-in that records sent messages
+ */
+function createFakeSocket() {
+  return Object.assign(new EventEmitter(), {
+    OPEN: 1,
+    readyState: 1,
+    sent: [],
+    send(message) {
+      this.sent.push(message);
+    },
+  });
+}
+
+/**
+ * Service stand-ins for driving handleMediaStream without Twilio
+ */
+function createMediaStreamOptions(overrides = {}) {
+  const quietLogger = { info() {}, warn() {}, error() {}, debug() {} };
+  return {
+    callId: 'test-call',
+    voicePreset: 'deep_male',
+    callManager: { addActiveStream() {}, removeActiveStream() {}, recordTransformMetrics() {}, recordNetworkMetrics() {}, async endCall() {} },
+    voiceTransformer: new VoiceTransformer(),
+    audioBridge: new AudioBridge(new VoiceTransformer()),
+    logger: quietLogger,
+    ...overrides,
+  };
+}
+
+/**
+ * Amplitude of one frequency in a PCM buffer (Goertzel), edges skipped
+ */
+function toneLevel(pcmBuffer, frequency, sampleRate) {
+  const skip = Math.floor(sampleRate / 50);
+  const numSamples = Math.floor(pcmBuffer.length / 2) - 2 * skip;
+  const coefficient = 2 * Math.cos(2 * Math.PI * frequency / sampleRate);
+  let s1 = 0;
+  let s2 = 0;
+  for (let i = 0; i < numSamples; i++) {
+    const s0 = pcmBuffer.readInt16LE((skip + i) * 2) + coefficient * s1 - s2;
+    s2 = s1;
+    s1 = s0;
+  }
+  const power = s1 * s1 + s2 * s2 - coefficient * s1 * s2;
+  return 2 * Math.sqrt(Math.max(power, 0)) / numSamples;
+}
+
+/**
+ * 8kHz μ-law sine tone (speech stand-in)
+ */
+function createMulawTone(ms, frequency = 300) {
+  const numSamples = ms * 8;
+  const pcm = Buffer.alloc(numSamples * 2);
+  for (let i = 0; i < numSamples; i++) {
+    pcm.writeInt16LE(Math.round(Math.sin(2 * Math.PI * frequency * i / 8000) * 8000), i * 2);
+  }
+  return mulawEncode(pcm);
+}
+
+/**
+ * Emit a Twilio Media Streams event on a fake socket
+ */
+function emitTwilio(socket, message) {
+  socket.emit('message', Buffer.from(JSON.stringify(message)));
+}
+
+/**
+ * Poll until a condition holds (or give up after timeoutMs)
+ */
+async function waitFor(condition, timeoutMs = 1000) {
+  const start = Date.now();
+  while (!condition() && Date.now() - start < timeoutMs) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Estimate the fundamental of a steady tone from zero crossings
+ * (skips the first 100ms so the DSP engine has settled)
+ */
+function estimateFrequency(pcmBuffer, sampleRate) {
+  const start = Math.floor(sampleRate / 10);
+  const end = Math.floor(pcmBuffer.length / 2) - start;
+  let crossings = 0;
+  let previous = pcmBuffer.readInt16LE(start * 2);
+  for (let i = start + 1; i < end; i++) {
+    const sample = pcmBuffer.readInt16LE(i * 2);
+    if ((previous < 0) !== (sample < 0)) crossings++;
+    previous = sample;
+  }
+  return crossings / 2 / ((end - start) / sampleRate);
+}
+
+/**
+ * Encode an EBML element (ID bytes + size vint + body)
+ */
+function ebml(idBytes, body, unknownSize = false) {
+  const size = unknownSize
+    ? Buffer.from([0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF])
+    : Buffer.from([0x01, 0, 0, 0, 0, 0, 0, 0]);
+  if (!unknownSize) size.writeUInt32BE(body.length, 4);
+  return Buffer.concat([Buffer.from(idBytes), size, body]);
+}
+
+/**
+ * Build a MediaRecorder-style WebM stream of Opus silence frames
+ */
+function buildTestWebM(clusterCount, framesPerCluster) {
+  const opusHead = Buffer.alloc(19);
+  opusHead.write('OpusHead', 0, 'ascii');
+  opusHead[8] = 1;  // version
+  opusHead[9] = 1;  // channels
+  opusHead.writeUInt32LE(48000, 12);
+  
+  const trackEntry = ebml([0xAE], Buffer.concat([
+    ebml([0xD7], Buffer.from([1])),
+    ebml([0x86], Buffer.from('A_OPUS', 'ascii')),
+    ebml([0x63, 0xA2], opusHead),
+    ebml([0xE1], ebml([0x9F], Buffer.from([1]))),
+  ]));
+  
+  const header = Buffer.concat([
+    ebml([0x1A, 0x45, 0xDF, 0xA3], ebml([0x42, 0x82], Buffer.from('webm', 'ascii'))),
+    ebml([0x18, 0x53, 0x80, 0x67], Buffer.alloc(0), true).subarray(0, 12),
+    ebml([0x16, 0x54, 0xAE, 0x6B], trackEntry),
+  ]);
+  
+  // 20ms CELT silence packet
+  const silenceFrame = Buffer.from([0xF8, 0xFF, 0xFE]);
+  const clusters = [];
+  
+  for (let c = 0; c < clusterCount; c++) {
+    const blocks = [ebml([0xE7], Buffer.from([c]))];
+    for (let f = 0; f < framesPerCluster; f++) {
+      const blockHeader = Buffer.from([0x81, 0, f * 20, 0x80]);
+      blocks.push(ebml([0xA3], Buffer.concat([blockHeader, silenceFrame])));
+    }
+    clusters.push(ebml([0x1F, 0x43, 0xB6, 0x75], Buffer.concat(blocks), true));
+  }
+  
+  return { header, clusters };
+}
+
 runTests().catch(error => {
   console.error('Test runner error:', error);
   process.exit(1);
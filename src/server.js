@@ -5,9 +5,9 @@
  * 
  * Flow:
  * 1. Twilio call connects via WebSocket
- * 2. Audio chunks (μ-law 8kHz) received from Twilio
+ * 2. Audio chunks (G.711 μ-law or A-law, 8kHz) received from Twilio
  * 3. Buffered, converted to PCM, sent to ElevenLabs STS
- * 4. Transformed audio converted back to μ-law, sent to Twilio
+ * 4. Transformed audio converted back to the same codec, sent to Twilio
  */
 
 import 'dotenv/config';
@@ -18,12 +18,18 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { WebSocket } from 'ws';
 
-import { handleMediaStream, handleClientAudioStream } from './services/media-stream.js';
+import { handleMediaStream, handleClientAudioStream, parseTrackPolicies } from './services/media-stream.js';
 import { CallManager } from './services/call-manager.js';
 import { VoiceTransformer } from './services/voice-transformer.js';
+import { parseFailurePolicy } from './utils/failure-policies.js';
 import { AudioBridge } from './services/audio-bridge.js';
+import { AudioWorkerPool } from './services/audio-worker-pool.js';
+import { PresetStore } from './services/preset-store.js';
+import { VoicePreview } from './services/voice-preview.js';
+import { VoiceCloner } from './services/voice-cloner.js';
 import { createLogger } from './utils/logger.js';
 import { VOICE_PRESETS } from './utils/voice-presets.js';
+import { parsePreprocessing, formatPreprocessing } from './utils/audio-preprocess.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -46,11 +52,35 @@ await fastify.register(fastifyStatic, {
 // Register form body parser for Twilio webhooks
 await fastify.register(import('@fastify/formbody'));
 
+// Raw WAV uploads (voice previews)
+const WAV_CONTENT_TYPES = ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave'];
+fastify.addContentTypeParser(WAV_CONTENT_TYPES, { parseAs: 'buffer', bodyLimit: 8 * 1024 * 1024 }, (request, body, done) => {
+  done(null, body);
+});
+
 // Initialize services
 const callManager = new CallManager();
-const voiceTransformer = new VoiceTransformer();
+const audioWorkerPool = new AudioWorkerPool();  // Decode, resampling and local DSP off the event loop
+const voiceTransformer = new VoiceTransformer({ audioPool: audioWorkerPool });
 const audioBridge = new AudioBridge(voiceTransformer);
 
+// Voice presets: built-ins plus those created/edited through the API (on disk)
+const presetStore = new PresetStore({ providers: [...voiceTransformer.providers.keys()] });
+await presetStore.load();
+const voicePreview = new VoicePreview({ voiceTransformer });
+const voiceCloner = new VoiceCloner({
+  providers: voiceTransformer.providers,
+  presetStore,
+  voiceCatalog: voiceTransformer.voiceCatalog,
+});
+
+// HTTP status for a PresetStore (or VoicePreview/VoiceCloner) error
+const PRESET_ERROR_STATUS = { INVALID: 400, NOT_FOUND: 404, EXISTS: 409, CONFLICT: 409, BUILTIN: 409, UNAVAILABLE: 503 };
+
+function sendPresetError(reply, error) {
+  reply.status(PRESET_ERROR_STATUS[error.code] || 500).send({ success: false, error: error.message });
+}
+
 // ============================================
 // WebSocket Routes
 // ============================================
@@ -74,6 +104,7 @@ fastify.register(async function (fastify) {
       callManager,
       voiceTransformer,
       audioBridge,
+      audioPool: audioWorkerPool,
       logger,
     });
   });
@@ -83,15 +114,18 @@ fastify.register(async function (fastify) {
     const params = new URL(req.url, `http://${req.headers.host}`).searchParams;
     const callId = params.get('callId') || 'unknown';
     const voicePreset = params.get('voice') || 'deep_male';
+    const audioFormat = params.get('format');
     
     logger.info(`🎤 Client Audio Stream WebSocket CONNECTED`);
     logger.info(`   Call ID: ${callId}`);
     logger.info(`   Voice Preset: ${voicePreset}`);
+    logger.info(`   Audio Format: ${audioFormat || 'negotiate'}`);
     logger.info(`   Client IP: ${req.headers['x-forwarded-for'] || req.ip}`);
     
     handleClientAudioStream(socket, {
       callId,
       voicePreset,
+      audioFormat,
       callManager,
       voiceTransformer,
       audioBridge,
@@ -104,6 +138,18 @@ fastify.register(async function (fastify) {
 // HTTP Routes - Twilio Webhooks
 // ============================================
 
+/**
+ * Escape a value for use in TwiML attributes and text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
 /**
  * POST /voice - Initial TwiML for incoming/outgoing calls
  * Returns TwiML that sets up bidirectional Media Stream
@@ -111,25 +157,50 @@ fastify.register(async function (fastify) {
 fastify.post('/voice', async (request, reply) => {
   const { voicePreset = 'deep_male', toNumber } = request.body || {};
   const callId = request.body?.CallSid || `call_${Date.now()}`;
+  const trackPolicies = parseTrackPolicies({ ...request.query, ...request.body });
+  let provider = request.body?.provider || request.query?.provider;
+  if (provider && !voiceTransformer.providers.has(provider)) {
+    logger.warn(`Unknown provider ${provider} - using preset default`);
+    provider = null;
+  }
+  const failurePolicy = parseFailurePolicy(request.body?.failurePolicy || request.query?.failurePolicy);
+  let preprocess = request.body?.preprocess || request.query?.preprocess;
+  if (preprocess) {
+    try {
+      preprocess = formatPreprocessing(parsePreprocessing(preprocess));
+    } catch (error) {
+      logger.warn(`${error.message} - using default preprocessing`);
+      preprocess = null;
+    }
+  }
   
   logger.info(`🔥 POST /voice webhook called!`);
   logger.info(`   CallSid: ${callId}`);
   logger.info(`   Voice: ${voicePreset}`);
+  logger.info(`   Track policies: inbound=${trackPolicies.inbound}, outbound=${trackPolicies.outbound}`);
+  logger.info(`   Provider: ${provider || 'preset default'}`);
+  logger.info(`   Failure policy: ${failurePolicy || 'preset default'}`);
+  logger.info(`   Preprocessing: ${preprocess || 'default'}`);
   logger.info(`   Headers: ${JSON.stringify(request.headers)}`);
   logger.info(`   Body: ${JSON.stringify(request.body)}`);
   
   // Build TwiML response
   const host = process.env.SERVER_URL?.replace(/^https?:\/\//, '') || request.headers.host;
-  const wsUrl = `wss://${host}/media-stream?voicePreset=${voicePreset}&amp;callId=${callId}`;
+  const wsUrl = `wss://${host}/media-stream?voicePreset=${encodeURIComponent(voicePreset)}&callId=${encodeURIComponent(callId)}`;
   
   // TwiML for outbound call with voice transformation
   const twiml = `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
   <Say voice="Polly.Matthew">Connecting your call with voice transformation.</Say>
   <Connect>
-    <Stream url="${wsUrl}" track="both_tracks">
-      <Parameter name="voicePreset" value="${voicePreset}" />
-      <Parameter name="callId" value="${callId}" />
+    <Stream url="${escapeXml(wsUrl)}" track="both_tracks">
+      <Parameter name="voicePreset" value="${escapeXml(voicePreset)}" />
+      <Parameter name="callId" value="${escapeXml(callId)}" />
+      <Parameter name="inboundPolicy" value="${trackPolicies.inbound}" />
+      <Parameter name="outboundPolicy" value="${trackPolicies.outbound}" />${provider ? `
+      <Parameter name="provider" value="${escapeXml(provider)}" />` : ''}${failurePolicy ? `
+      <Parameter name="failurePolicy" value="${failurePolicy}" />` : ''}${preprocess ? `
+      <Parameter name="preprocess" value="${escapeXml(preprocess)}" />` : ''}
     </Stream>
   </Connect>
   <Pause length="3600" />
@@ -147,14 +218,14 @@ fastify.get('/voice', async (request, reply) => {
   logger.info(`TwiML test request - Voice: ${voicePreset}`);
   
   const host = process.env.SERVER_URL?.replace(/^https?:\/\//, '') || request.headers.host;
-  const wsUrl = `wss://${host}/media-stream?voicePreset=${voicePreset}&amp;callId=test123`;
+  const wsUrl = `wss://${host}/media-stream?voicePreset=${encodeURIComponent(voicePreset)}&callId=test123`;
   
   const twiml = `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
-  <Say voice="Polly.Matthew">Test TwiML generated successfully. Voice preset: ${voicePreset}</Say>
+  <Say voice="Polly.Matthew">Test TwiML generated successfully. Voice preset: ${escapeXml(voicePreset)}</Say>
   <Connect>
-    <Stream url="${wsUrl}" track="both_tracks">
-      <Parameter name="voicePreset" value="${voicePreset}" />
+    <Stream url="${escapeXml(wsUrl)}" track="both_tracks">
+      <Parameter name="voicePreset" value="${escapeXml(voicePreset)}" />
       <Parameter name="callId" value="test123" />
     </Stream>
   </Connect>
@@ -173,13 +244,13 @@ fastify.post('/voice/outbound', async (request, reply) => {
   logger.info(`Outbound TwiML - CallSid: ${callId}`);
   
   const host = process.env.SERVER_URL?.replace(/^https?:\/\//, '') || request.headers.host;
-  const wsUrl = `wss://${host}/media-stream?voicePreset=${voicePreset}&amp;callId=${callId}&amp;direction=outbound`;
+  const wsUrl = `wss://${host}/media-stream?voicePreset=${encodeURIComponent(voicePreset)}&callId=${encodeURIComponent(callId)}&direction=outbound`;
   
   const twiml = `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
   <Connect>
-    <Stream url="${wsUrl}" track="inbound_track">
-      <Parameter name="voicePreset" value="${voicePreset}" />
+    <Stream url="${escapeXml(wsUrl)}" track="inbound_track">
+      <Parameter name="voicePreset" value="${escapeXml(voicePreset)}" />
       <Parameter name="direction" value="outbound" />
     </Stream>
   </Connect>
@@ -219,14 +290,35 @@ fastify.post('/call-status', async (request, reply) => {
  * POST /api/call - Initiate an outbound call
  */
 fastify.post('/api/call', async (request, reply) => {
-  const { phone, voice = 'deep_male' } = request.body;
+  const { phone, voice = 'deep_male', trackPolicies, provider, failurePolicy } = request.body;
+  let preprocess;
   
   if (!phone) {
     return reply.status(400).send({ success: false, error: 'Phone number required' });
   }
   
+  if (!VOICE_PRESETS[voice]) {
+    return reply.status(400).send({ success: false, error: `Unknown voice preset: ${voice}` });
+  }
+  
+  if (provider && !voiceTransformer.providers.has(provider)) {
+    return reply.status(400).send({ success: false, error: `Unknown provider: ${provider}` });
+  }
+  
+  if (failurePolicy && !parseFailurePolicy(failurePolicy)) {
+    return reply.status(400).send({ success: false, error: `Unknown failure policy: ${failurePolicy}` });
+  }
+  
+  if (request.body.preprocess !== undefined) {
+    try {
+      preprocess = parsePreprocessing(request.body.preprocess);
+    } catch (error) {
+      return reply.status(400).send({ success: false, error: error.message });
+    }
+  }
+  
   try {
-    const result = await callManager.initiateCall(phone, voice);
+    const result = await callManager.initiateCall(phone, voice, { trackPolicies, provider, failurePolicy, preprocess });
     logger.info(`Call initiated: ${result.callSid} to ${phone} with voice ${voice}`);
     
     reply.send({
@@ -255,6 +347,27 @@ fastify.get('/api/call/:callSid', async (request, reply) => {
   }
 });
 
+/**
+ * POST /api/call/:callSid/voice - Switch a live call's voice preset
+ * Applied at the next pause in speech (`pending` until then)
+ */
+fastify.post('/api/call/:callSid/voice', async (request, reply) => {
+  const { callSid } = request.params;
+  const { voice } = request.body || {};
+  
+  if (!VOICE_PRESETS[voice]) {
+    return reply.status(400).send({ success: false, error: `Unknown voice preset: ${voice}` });
+  }
+  
+  try {
+    const result = callManager.switchVoice(callSid, voice);
+    logger.info(`Voice switch requested for ${callSid}: ${result.from} → ${result.to}${result.pending ? ' (pending)' : ''}`);
+    reply.send({ success: true, callSid, ...result });
+  } catch (error) {
+    reply.status(404).send({ success: false, error: error.message });
+  }
+});
+
 /**
  * DELETE /api/call/:callSid - End a call
  */
@@ -271,22 +384,189 @@ fastify.delete('/api/call/:callSid', async (request, reply) => {
 
 /**
  * GET /api/voices - Get available voice presets
+ * 
+ * ?source=provider lists the voices on the provider accounts instead
+ * (cached; &refresh=true syncs now). Presets whose voice the account no
+ * longer has are flagged `missingVoice`.
  */
 fastify.get('/api/voices', async (request, reply) => {
+  const { source, refresh } = request.query || {};
+  
+  if (source === 'provider') {
+    try {
+      const catalog = await voiceTransformer.voiceCatalog.getVoices({ refresh: refresh === 'true' });
+      return reply.send({ success: true, ...catalog });
+    } catch (error) {
+      logger.error(`Voice catalog sync failed: ${error.message}`);
+      return reply.status(502).send({ success: false, error: error.message });
+    }
+  }
+  
+  const missing = new Set(voiceTransformer.voiceCatalog.getMissingPresets().map(preset => preset.id));
   reply.send({
     success: true,
-    voices: Object.entries(VOICE_PRESETS).map(([id, info]) => ({
-      id,
-      ...info,
-    })),
+    voices: presetStore.list().map(voice => (missing.has(voice.id) ? { ...voice, missingVoice: true } : voice)),
   });
 });
 
+/**
+ * GET /api/voices/:id - One preset, with its previous versions
+ */
+fastify.get('/api/voices/:id', async (request, reply) => {
+  const voice = presetStore.get(request.params.id);
+  if (!voice) {
+    return reply.status(404).send({ success: false, error: `Unknown voice preset: ${request.params.id}` });
+  }
+  reply.send({ success: true, voice });
+});
+
+/**
+ * POST /api/voices - Create a preset ({ id, name, voiceId, settings, dsp, ... })
+ */
+fastify.post('/api/voices', async (request, reply) => {
+  const { id, ...config } = request.body || {};
+  
+  try {
+    const voice = await presetStore.create(id, config);
+    logger.info(`🎨 Voice preset created: ${id}`);
+    reply.status(201).send({ success: true, voice });
+  } catch (error) {
+    sendPresetError(reply, error);
+  }
+});
+
+/**
+ * POST /api/voices/clone - Clone a voice from recordings and save it as a preset
+ * 
+ * JSON body: { id, name, samples: [{ filename, data }], settings, labels, ... }
+ * with each sample a base64-encoded WAV. Returns the new preset (201).
+ */
+fastify.post('/api/voices/clone', { bodyLimit: 64 * 1024 * 1024 }, async (request, reply) => {
+  const { id, samples, ...config } = request.body || {};
+  
+  try {
+    const voice = await voiceCloner.clone(id, {
+      ...config,
+      samples: Array.isArray(samples)
+        ? samples.map(sample => ({
+          filename: sample?.filename,
+          data: typeof sample?.data === 'string' ? Buffer.from(sample.data, 'base64') : null,
+        }))
+        : samples,
+    });
+    logger.info(`🧬 Voice cloned: ${id} (${voice.voiceId})`);
+    reply.status(201).send({ success: true, voice });
+  } catch (error) {
+    if (!error.code) {
+      logger.error(`Voice cloning failed for ${id}: ${error.message}`);
+      return reply.status(502).send({ success: false, error: error.message });
+    }
+    sendPresetError(reply, error);
+  }
+});
+
+/**
+ * POST /api/voices/reload - Re-read the preset file (after editing it by hand)
+ */
+fastify.post('/api/voices/reload', async (request, reply) => {
+  try {
+    const count = await presetStore.load();
+    reply.send({ success: true, voices: count });
+  } catch (error) {
+    logger.error(`Voice preset reload failed: ${error.message}`);
+    reply.status(500).send({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/voices/:id - Change a preset; pass `version` to refuse stale edits
+ */
+fastify.put('/api/voices/:id', async (request, reply) => {
+  const { version, ...changes } = request.body || {};
+  
+  try {
+    const voice = await presetStore.update(request.params.id, changes, { version });
+    logger.info(`🎨 Voice preset updated: ${request.params.id} (version ${voice.version})`);
+    reply.send({ success: true, voice });
+  } catch (error) {
+    sendPresetError(reply, error);
+  }
+});
+
+/**
+ * DELETE /api/voices/:id - Delete a preset (not while a call is using it,
+ * and never a built-in - reset those instead)
+ */
+fastify.delete('/api/voices/:id', async (request, reply) => {
+  const { id } = request.params;
+  const version = request.body?.version ?? request.query?.version;
+  
+  const inUse = callManager.countCallsWithVoice(id);
+  if (inUse > 0) {
+    return reply.status(409).send({ success: false, error: `Voice preset ${id} is in use by ${inUse} active call(s)` });
+  }
+  
+  try {
+    await presetStore.remove(id, { version });
+    logger.info(`🎨 Voice preset deleted: ${id}`);
+    reply.send({ success: true, message: 'Voice preset deleted' });
+  } catch (error) {
+    sendPresetError(reply, error);
+  }
+});
+
+/**
+ * POST /api/voices/:id/reset - Put a built-in preset back to its defaults
+ */
+fastify.post('/api/voices/:id/reset', async (request, reply) => {
+  const { id } = request.params;
+  const version = request.body?.version ?? request.query?.version;
+  
+  try {
+    const voice = await presetStore.reset(id, { version });
+    logger.info(`🎨 Voice preset reset: ${id} (version ${voice.version})`);
+    reply.send({ success: true, voice });
+  } catch (error) {
+    sendPresetError(reply, error);
+  }
+});
+
+/**
+ * POST /api/voices/:id/preview - Hear a preset as the other party would
+ * 
+ * Send a WAV (Content-Type: audio/wav) or no body for the built-in
+ * reference clip; ?preprocess= sets the stages as for a call. Returns the
+ * transformed clip as an 8kHz WAV.
+ */
+fastify.post('/api/voices/:id/preview', async (request, reply) => {
+  const { id } = request.params;
+  
+  try {
+    const preview = await voicePreview.render(id, {
+      wav: Buffer.isBuffer(request.body) ? request.body : null,
+      preprocess: request.query?.preprocess,
+    });
+    reply
+      .type('audio/wav')
+      .header('X-Preview-Source', preview.source)
+      .header('X-Voice-Provider', preview.provider || `none (${preview.failurePolicy} policy)`)
+      .send(preview.wav);
+  } catch (error) {
+    if (!error.code) {
+      logger.error(`Voice preview failed for ${id}: ${error.message}`);
+    }
+    sendPresetError(reply, error);
+  }
+});
+
 /**
  * GET /api/stats - Get usage statistics
  */
 fastify.get('/api/stats', async (request, reply) => {
-  const stats = callManager.getStats();
+  const stats = {
+    ...callManager.getStats(),
+    usage: voiceTransformer.getUsage(),
+  };
   reply.send({ success: true, stats });
 });
 
@@ -294,15 +574,19 @@ fastify.get('/api/stats', async (request, reply) => {
  * GET /api/health - Health check
  */
 fastify.get('/api/health', async (request, reply) => {
+  const workers = audioWorkerPool.getStats();
   const health = {
-    status: 'ok',
+    // Degraded while audio tasks are queueing behind busy workers
+    status: workers.saturated ? 'degraded' : 'ok',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     services: {
       twilio: !!process.env.TWILIO_ACCOUNT_SID,
       elevenlabs: !!process.env.ELEVENLABS_API_KEY,
     },
+    providers: voiceTransformer.getProviderStatus(),
     audioBridges: audioBridge.getActiveBridges(),
+    workers,
   };
   
   reply.send(health);
@@ -384,6 +668,11 @@ try {
   // Log configuration status
   logger.info(`   Twilio: ${process.env.TWILIO_ACCOUNT_SID ? '✅ Configured' : '❌ Missing'}`);
   logger.info(`   ElevenLabs: ${process.env.ELEVENLABS_API_KEY ? '✅ Configured' : '❌ Missing'}`);
+  
+  // Sync the provider voice catalog so stale presets are flagged early
+  voiceTransformer.voiceCatalog.getVoices().catch((error) => {
+    logger.warn(`Voice catalog not synced: ${error.message}`);
+  });
 } catch (err) {
   logger.error(`Failed to start server: ${err.message}`);
   process.exit(1);
@@ -393,11 +682,13 @@ try {
 process.on('SIGINT', async () => {
   logger.info('Shutting down...');
   await fastify.close();
+  await audioWorkerPool.close();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   logger.info('Shutting down...');
   await fastify.close();
+  await audioWorkerPool.close();
   process.exit(0);
 });
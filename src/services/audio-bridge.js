@@ -6,9 +6,31 @@
  */
 
 import { createLogger } from '../utils/logger.js';
+import { TELEPHONY_CODECS } from '../utils/audio-codec.js';
+import { Resampler } from '../utils/resampler.js';
+import { AudioPreprocessor } from '../utils/audio-preprocess.js';
+import { Crossfader } from '../utils/audio-buffer.js';
+import { encodeClientFrame } from '../utils/client-frame.js';
+import { createMediaMessage } from './media-stream.js';
 
 const logger = createLogger('audio-bridge');
 
+// Configuration
+const SAMPLE_RATE_CLIENT = 16000;  // PCM rate fed to the voice transformer
+const SAMPLE_RATE_TWILIO = 8000;   // Twilio's G.711 sample rate
+const TWILIO_FRAME_BYTES = 160;    // 20ms of 8kHz G.711 per media message
+const CHUNK_MS = parseInt(process.env.AUDIO_BUFFER_MS) || 200;  // Client audio per transform, as on /media-stream
+const CHUNK_BYTES = CHUNK_MS * SAMPLE_RATE_CLIENT / 1000 * 2;
+const MAX_QUEUED_CHUNKS = 50;      // Drop oldest client audio beyond this
+const SWITCH_CROSSFADE_MS = 40;    // Old voice fades into the new one after a preset switch
+
+/**
+ * Default client decoder - treats incoming data as 16-bit PCM at 16kHz
+ */
+async function decodePcm16(audioData) {
+  return Buffer.from(audioData);
+}
+
 export class AudioBridge {
   constructor(voiceTransformer) {
     this.voiceTransformer = voiceTransformer;
@@ -26,11 +48,27 @@ export class AudioBridge {
     const bridge = {
       callId,
       voicePreset,
+      switchFrom: null,  // Previous preset, until the next chunk crossfades out of it
+      voiceSwitches: 0,
       clientStream: null,
+      clientDecoder: decodePcm16,
+      preprocessor: new AudioPreprocessor({ sampleRate: SAMPLE_RATE_CLIENT }),  // Default stages until the media stream sets the call's
       twilioStream: null,
       twilioStreamSid: null,
+      twilioScheduler: null,
+      twilioCodec: TELEPHONY_CODECS.MULAW,  // Set from the media stream's format on connect
+      twilioResampler: new Resampler(SAMPLE_RATE_CLIENT, SAMPLE_RATE_TWILIO),  // Stateful: output is one continuous stream
+      decodeChain: Promise.resolve(),
+      pendingPcm: [],        // Decoded audio not yet making up a whole chunk
+      pendingBytes: 0,
+      pendingSince: null,    // Arrival time of its first part
       audioQueue: [],
       isProcessing: false,
+      framesSent: 0,
+      droppedChunks: 0,
+      playbackSequence: 0,
+      playbackPcm: new Int16Array(TWILIO_FRAME_BYTES),  // Decode scratch - encodeClientFrame copies out of it
+      playbackFramesSent: 0,
       startTime: Date.now()
     };
     
@@ -42,8 +80,12 @@ export class AudioBridge {
   
   /**
    * Connect client audio stream to bridge
+   * 
+   * @param {string} callId - Call identifier
+   * @param {WebSocket} clientSocket - Browser audio socket
+   * @param {function} [decoder] - Async (Buffer, arrival time in ms) => 16kHz PCM Buffer for client audio
    */
-  connectClientStream(callId, clientSocket) {
+  connectClientStream(callId, clientSocket, decoder) {
     const bridge = this.activeBridges.get(callId);
     if (!bridge) {
       logger.error(`No bridge found for call ${callId}`);
@@ -51,6 +93,16 @@ export class AudioBridge {
     }
     
     bridge.clientStream = clientSocket;
+    if (decoder) {
+      bridge.clientDecoder = decoder;
+    }
+    
+    // Tell the browser how the called party's audio will arrive
+    this.sendClientControl(bridge, {
+      type: 'playback',
+      format: 'pcm16',
+      sampleRate: SAMPLE_RATE_TWILIO,
+    });
     logger.info(`📱 Client stream connected to bridge for call ${callId}`);
     
     // If Twilio stream is already connected, start processing
@@ -61,8 +113,13 @@ export class AudioBridge {
   
   /**
    * Connect Twilio Media Stream to bridge
+   * 
+   * @param {string} callId - Call identifier
+   * @param {WebSocket} twilioSocket - Twilio Media Stream socket
+   * @param {string} streamSid - Twilio stream SID
+   * @param {OutboundScheduler} [scheduler] - Paces frames into the stream (sent directly if absent)
    */
-  connectTwilioStream(callId, twilioSocket, streamSid) {
+  connectTwilioStream(callId, twilioSocket, streamSid, scheduler = null, codec = TELEPHONY_CODECS.MULAW) {
     const bridge = this.activeBridges.get(callId);
     if (!bridge) {
       logger.error(`No bridge found for call ${callId}`);
@@ -71,7 +128,9 @@ export class AudioBridge {
     
     bridge.twilioStream = twilioSocket;
     bridge.twilioStreamSid = streamSid;
-    logger.info(`📞 Twilio stream ${streamSid} connected to bridge for call ${callId}`);
+    bridge.twilioScheduler = scheduler;
+    bridge.twilioCodec = codec;
+    logger.info(`📞 Twilio stream ${streamSid} (${codec.name}) connected to bridge for call ${callId}`);
     
     // If client stream is already connected, start processing
     if (bridge.clientStream) {
@@ -79,6 +138,40 @@ export class AudioBridge {
     }
   }
   
+  /**
+   * Set which preprocessing stages run on the call's client audio
+   * 
+   * @param {string} callId - Call identifier
+   * @param {object} stages - Stage toggles (parsePreprocessing)
+   */
+  setPreprocessing(callId, stages) {
+    const bridge = this.activeBridges.get(callId);
+    if (bridge) {
+      bridge.preprocessor.configure(stages);
+    }
+  }
+  
+  /**
+   * Switch the call's client audio to another voice preset
+   * 
+   * The next chunk is transformed with both presets and crossfaded from the
+   * old voice into the new one.
+   * 
+   * @param {string} callId - Call identifier
+   * @param {string} voicePreset - Voice preset ID
+   */
+  setVoicePreset(callId, voicePreset) {
+    const bridge = this.activeBridges.get(callId);
+    if (!bridge || bridge.voicePreset === voicePreset) {
+      return;
+    }
+    
+    bridge.switchFrom = bridge.switchFrom || bridge.voicePreset;
+    bridge.voicePreset = voicePreset;
+    bridge.voiceSwitches++;
+    logger.info(`🎭 Bridge for call ${callId} switching voice ${bridge.switchFrom} → ${voicePreset}`);
+  }
+  
   /**
    * Process client audio and forward to Twilio call
    */
@@ -89,17 +182,68 @@ export class AudioBridge {
       return;
     }
     
-    // Add to queue for processing
+    // Decode in arrival order - container and sequence state must see every
+    // chunk, so only decoded PCM is ever dropped from the queue. The arrival
+    // time goes along, as decoding may run well after it (jitter)
+    const receivedAt = Date.now();
+    bridge.decodeChain = bridge.decodeChain
+      .then(() => bridge.clientDecoder(audioData, receivedAt))
+      .then(pcmBuffer => this.enqueuePcm(bridge, pcmBuffer, receivedAt))
+      .catch(error => {
+        logger.error(`Client audio decode error for call ${callId}: ${error.message}`);
+      });
+    
+    return bridge.decodeChain;
+  }
+  
+  /**
+   * Queue decoded PCM for transformation
+   * 
+   * Small pieces (e.g. 20ms worklet frames) are collected into CHUNK_MS
+   * chunks first, so each transform - an HTTP request for ElevenLabs -
+   * covers as much audio as on /media-stream.
+   */
+  enqueuePcm(bridge, pcmBuffer, timestamp) {
+    if (!pcmBuffer || pcmBuffer.length === 0) {
+      return;
+    }
+    
+    bridge.pendingPcm.push(pcmBuffer);
+    bridge.pendingBytes += pcmBuffer.length;
+    bridge.pendingSince ??= timestamp;
+    if (bridge.pendingBytes < CHUNK_BYTES) {
+      return;
+    }
+    
     bridge.audioQueue.push({
-      data: audioData,
-      timestamp: Date.now()
+      data: Buffer.concat(bridge.pendingPcm),
+      timestamp: bridge.pendingSince
     });
+    bridge.pendingPcm = [];
+    bridge.pendingBytes = 0;
+    bridge.pendingSince = null;
     
-    // Start processing if not already running
-    if (!bridge.isProcessing && bridge.twilioStream && bridge.twilioStreamSid) {
-      bridge.isProcessing = true;
-      this.processAudioQueue(callId);
+    if (bridge.audioQueue.length > MAX_QUEUED_CHUNKS) {
+      bridge.audioQueue.shift();
+      bridge.droppedChunks++;
     }
+    
+    this.scheduleProcessing(bridge);
+  }
+  
+  /**
+   * Start draining the queue if Twilio is ready and nothing is running
+   */
+  scheduleProcessing(bridge) {
+    if (bridge.isProcessing || !bridge.twilioStream || !bridge.twilioStreamSid) {
+      return;
+    }
+    
+    bridge.isProcessing = true;
+    this.processAudioQueue(bridge.callId).catch(error => {
+      logger.error(`Audio queue error for call ${bridge.callId}: ${error.message}`);
+      bridge.isProcessing = false;
+    });
   }
   
   /**
@@ -109,14 +253,11 @@ export class AudioBridge {
     const bridge = this.activeBridges.get(callId);
     if (!bridge) return;
     
-    while (bridge.audioQueue.length > 0) {
+    while (bridge.audioQueue.length > 0 && this.activeBridges.get(callId) === bridge) {
       const audioChunk = bridge.audioQueue.shift();
       
       try {
-        // For now, send raw audio without transformation
-        // TODO: Implement WebM -> PCM -> Transform -> μ-law pipeline
         await this.forwardAudioToTwilio(bridge, audioChunk.data);
-        
       } catch (error) {
         logger.error(`Audio processing error for call ${callId}: ${error.message}`);
       }
@@ -126,25 +267,129 @@ export class AudioBridge {
   }
   
   /**
-   * Forward audio to Twilio Media Stream (placeholder implementation)
+   * Transform decoded client audio and forward it to the Twilio Media Stream
+   * 
+   * Pipeline: PCM 16kHz → preprocessing → voice transform → 8kHz → G.711 → 20ms media frames
    */
-  async forwardAudioToTwilio(bridge, audioData) {
+  async forwardAudioToTwilio(bridge, pcmBuffer) {
     if (!bridge.twilioStream || !bridge.twilioStreamSid) {
       logger.warn(`Cannot forward audio - Twilio stream not connected for call ${bridge.callId}`);
       return;
     }
     
-    logger.info(`🎵 Forwarding ${audioData.length} bytes to Twilio stream ${bridge.twilioStreamSid}`);
+    // 1. Condition the mic audio (high-pass, noise suppression, AGC) and
+    // transform it with the bridge's preset
+    const conditionedPcm = bridge.preprocessor.isBypass ? pcmBuffer : bridge.preprocessor.process(pcmBuffer);
+    const voicePreset = bridge.voicePreset;
+    const switchFrom = bridge.switchFrom;
+    bridge.switchFrom = null;
     
-    // TODO: Implement actual audio forwarding
-    // This requires:
-    // 1. Convert WebM to PCM
-    // 2. Transform with voice preset  
-    // 3. Convert to μ-law
-    // 4. Send as Twilio media message
+    let transformedPcm = await this.voiceTransformer.transform(conditionedPcm, voicePreset, {
+      sampleRate: SAMPLE_RATE_CLIENT,
+      callId: bridge.callId,
+      stream: 'client',
+    });
+    
+    if (!transformedPcm || transformedPcm.length === 0) {
+      logger.warn(`Empty transformation result for call ${bridge.callId}`);
+      return;
+    }
+    
+    // First chunk after a preset switch: fade the old voice into the new
+    // (the old preset's pass is stateless - the call's state follows the new one)
+    if (switchFrom) {
+      transformedPcm = await this.crossfadeSwitch(conditionedPcm, switchFrom, transformedPcm);
+    }
+    
+    // 2. Resample to 8kHz and encode with the stream's codec
+    const outputPcm = bridge.twilioResampler.process(transformedPcm);
+    const encodedOutput = bridge.twilioCodec.encode(outputPcm);
+    
+    // 3. Send as 20ms Twilio media messages
+    this.sendToTwilio(bridge, encodedOutput);
+  }
+  
+  /**
+   * Crossfade from the old preset's rendering of a chunk into the new one's
+   * 
+   * @returns {Promise<Buffer>} - The new rendering if the old one fails
+   */
+  async crossfadeSwitch(pcmBuffer, fromPreset, transformedPcm) {
+    let previousPcm = null;
+    try {
+      previousPcm = await this.voiceTransformer.transform(pcmBuffer, fromPreset, {
+        sampleRate: SAMPLE_RATE_CLIENT,
+      });
+    } catch (error) {
+      logger.debug(`No ${fromPreset} rendering to crossfade from: ${error.message}`);
+    }
+    
+    if (!previousPcm || previousPcm.length === 0) {
+      return transformedPcm;
+    }
+    
+    const crossfader = new Crossfader(SWITCH_CROSSFADE_MS * SAMPLE_RATE_CLIENT / 1000);
+    return crossfader.mix(previousPcm, transformedPcm);
+  }
+  
+  /**
+   * Send encoded audio to the bridge's Twilio stream, split into 20ms frames
+   */
+  sendToTwilio(bridge, encodedAudio) {
+    const socket = bridge.twilioStream;
+    if (!socket || socket.readyState !== socket.OPEN) {
+      logger.debug(`Twilio stream not open for call ${bridge.callId} - dropping ${encodedAudio.length} bytes`);
+      return;
+    }
+    
+    // Paced by the media stream's scheduler when it has one, mixed with
+    // whatever the call's tracks are sending
+    if (bridge.twilioScheduler) {
+      bridge.twilioScheduler.enqueue(encodedAudio, 'client');
+      bridge.framesSent += Math.ceil(encodedAudio.length / TWILIO_FRAME_BYTES);
+      return;
+    }
     
-    // For now, just log that we would forward the audio
-    logger.info(`📞 Would send transformed audio to call ${bridge.callId}`);
+    for (let offset = 0; offset < encodedAudio.length; offset += TWILIO_FRAME_BYTES) {
+      const frame = encodedAudio.subarray(offset, offset + TWILIO_FRAME_BYTES);
+      socket.send(createMediaMessage(bridge.twilioStreamSid, frame));
+      bridge.framesSent++;
+    }
+  }
+  
+  /**
+   * Forward the called party's audio to the browser
+   * 
+   * Sent as framed 8kHz PCM (same layout as client uplink frames) so the
+   * browser's jitter buffer can order frames and spot gaps.
+   * 
+   * @param {string} callId - Call identifier
+   * @param {Buffer} encodedAudio - G.711 audio from Twilio (in the stream's codec)
+   * @param {number} timestamp - Twilio media timestamp in ms
+   */
+  forwardAudioToClient(callId, encodedAudio, timestamp) {
+    const bridge = this.activeBridges.get(callId);
+    const socket = bridge?.clientStream;
+    if (!socket || socket.readyState !== socket.OPEN) {
+      return;
+    }
+    
+    if (bridge.playbackPcm.length < encodedAudio.length) {
+      bridge.playbackPcm = new Int16Array(encodedAudio.length);
+    }
+    const pcmBuffer = bridge.twilioCodec.decode(encodedAudio, bridge.playbackPcm);
+    socket.send(encodeClientFrame(bridge.playbackSequence++, timestamp, pcmBuffer));
+    bridge.playbackFramesSent++;
+  }
+  
+  /**
+   * Send a JSON control message to the browser
+   */
+  sendClientControl(bridge, message) {
+    const socket = bridge.clientStream;
+    if (socket && socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
   }
   
   /**
@@ -159,7 +404,11 @@ export class AudioBridge {
     logger.info(`   Twilio: ${bridge.twilioStream ? 'Connected' : 'Missing'}`);
     logger.info(`   StreamSid: ${bridge.twilioStreamSid || 'Missing'}`);
     
-    // Processing will happen as client audio arrives via processClientAudio()
+    // Drain anything the client sent before Twilio connected; further
+    // processing happens as client audio arrives via processClientAudio()
+    if (bridge.audioQueue.length > 0) {
+      this.scheduleProcessing(bridge);
+    }
   }
   
   /**
@@ -173,6 +422,7 @@ export class AudioBridge {
       
       bridge.isProcessing = false;
       bridge.audioQueue = [];
+      bridge.pendingPcm = [];
     }
     
     this.activeBridges.delete(callId);
@@ -188,11 +438,17 @@ export class AudioBridge {
     return {
       callId: bridge.callId,
       voicePreset: bridge.voicePreset,
+      voiceSwitches: bridge.voiceSwitches,
       clientConnected: !!bridge.clientStream,
       twilioConnected: !!bridge.twilioStream,
       streamSid: bridge.twilioStreamSid,
       queuedAudio: bridge.audioQueue.length,
       isProcessing: bridge.isProcessing,
+      framesSent: bridge.framesSent,
+      droppedChunks: bridge.droppedChunks,
+      playbackFramesSent: bridge.playbackFramesSent,
+      outbound: bridge.twilioScheduler?.getStats() || null,
+      preprocessing: bridge.preprocessor.getStats(),
       uptime: Date.now() - bridge.startTime
     };
   }
@@ -0,0 +1,267 @@
+/**
+ * Audio Worker Pool
+ *
+ * Runs the CPU-heavy audio work of the media path (G.711 decode, resampling,
+ * local DSP - see utils/audio-tasks.js) on worker_threads, so WebSocket
+ * handling on the event loop never waits behind another call's audio.
+ * Audio crosses threads as transferred ArrayBuffers.
+ *
+ * Tasks are keyed, usually by call ID. A key sticks to one worker until
+ * released: that worker runs the key's tasks in submission order and holds
+ * its session state (DSP engine, streaming resamplers), so each call is
+ * processed in order while different calls spread across workers. New keys
+ * go to the least-loaded worker.
+ *
+ * With size 0 the same tasks run inline on the event loop (the default for
+ * services created without a pool, e.g. in tests and scripts).
+ */
+
+import os from 'os';
+import { Worker } from 'worker_threads';
+import { performance } from 'perf_hooks';
+import { createLogger } from '../utils/logger.js';
+import { LatencyTracker } from '../utils/latency-tracker.js';
+import { AudioTaskRunner, packArgs, toNodeBuffer } from '../utils/audio-tasks.js';
+
+const logger = createLogger('audio-workers');
+
+// Worker threads (AUDIO_WORKERS=0 processes audio on the event loop).
+// Leaves a core for the event loop itself.
+const DEFAULT_WORKERS = Math.max(1, Math.min(4, os.availableParallelism() - 1));
+const configuredWorkers = parseInt(process.env.AUDIO_WORKERS);
+const POOL_SIZE = Number.isNaN(configuredWorkers) ? DEFAULT_WORKERS : Math.max(0, configuredWorkers);
+
+// Tasks waiting per worker (beyond the one running) before the pool
+// reports itself saturated
+const SATURATION_QUEUE = 2;
+
+const WORKER_URL = new URL('./audio-worker.js', import.meta.url);
+
+export class AudioWorkerPool {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.size] - Worker threads; 0 runs tasks inline (default AUDIO_WORKERS)
+   */
+  constructor(options = {}) {
+    this.size = options.size ?? POOL_SIZE;
+    this.inline = this.size === 0 ? new AudioTaskRunner() : null;
+
+    this.slots = [];  // { index, worker, pending: Map<id, task> }
+    this.assignments = new Map();  // key -> slot
+    this.nextId = 0;
+    this.closed = false;
+
+    this.completed = 0;
+    this.failed = 0;
+    this.restarts = 0;
+    this.peakInFlight = 0;
+    this.waitTracker = new LatencyTracker();  // Queued behind other tasks (incl. messaging)
+    this.runTracker = new LatencyTracker();   // Running on the worker
+
+    for (let i = 0; i < this.size; i++) {
+      const slot = { index: i, worker: null, pending: new Map() };
+      this.spawn(slot);
+      this.slots.push(slot);
+    }
+
+    if (this.size > 0) {
+      logger.info(`🧵 Audio worker pool started with ${this.size} worker(s)`);
+    }
+  }
+
+  /**
+   * Run an audio task
+   *
+   * Buffers in `args` are copied once into transferable memory, so callers
+   * keep ownership of what they pass in.
+   *
+   * @param {string|null} key - Session key (call ID); tasks with the same key run in order
+   * @param {string} op - Task name (AudioTaskRunner.run)
+   * @param {object} args - Task arguments
+   * @returns {Promise<Buffer>} - The task's PCM result
+   */
+  run(key, op, args) {
+    if (this.closed) {
+      return Promise.reject(new Error('Audio worker pool is closed'));
+    }
+
+    if (this.inline) {
+      return this.runInline(key, op, args);
+    }
+
+    const slot = this.pick(key);
+    const { args: packed, transfer } = packArgs(args);
+
+    return new Promise((resolve, reject) => {
+      const id = ++this.nextId;
+      slot.pending.set(id, { resolve, reject, queuedAt: performance.now() });
+      this.peakInFlight = Math.max(this.peakInFlight, this.getInFlight());
+      slot.worker.postMessage({ id, op, key, args: packed }, transfer);
+    });
+  }
+
+  async runInline(key, op, args) {
+    const start = performance.now();
+    try {
+      const result = this.inline.run(op, key, args);
+      this.completed++;
+      return result;
+    } catch (error) {
+      this.failed++;
+      throw error;
+    } finally {
+      this.runTracker.record(roundMs(performance.now() - start));
+    }
+  }
+
+  /**
+   * Forget a key: its worker drops the session state and the key may be
+   * placed on another worker next time
+   */
+  release(key) {
+    if (this.inline) {
+      this.inline.release(key);
+      return;
+    }
+
+    const slot = this.assignments.get(key);
+    if (slot) {
+      this.assignments.delete(key);
+      slot.worker.postMessage({ type: 'release', key });
+    }
+  }
+
+  /**
+   * The worker for a key: its sticky worker, else the least loaded
+   */
+  pick(key) {
+    if (key != null && this.assignments.has(key)) {
+      return this.assignments.get(key);
+    }
+
+    let best = this.slots[0];
+    for (const slot of this.slots) {
+      if (slot.pending.size < best.pending.size) {
+        best = slot;
+      }
+    }
+
+    if (key != null) {
+      this.assignments.set(key, best);
+    }
+    return best;
+  }
+
+  spawn(slot) {
+    const worker = new Worker(WORKER_URL);
+    slot.worker = worker;
+
+    worker.on('message', message => this.settle(slot, message));
+    worker.on('error', error => this.recover(slot, worker, error));
+    worker.on('exit', (code) => {
+      if (!this.closed) {
+        this.recover(slot, worker, new Error(`exited with code ${code}`));
+      }
+    });
+  }
+
+  settle(slot, { id, result, error, runMs }) {
+    const task = slot.pending.get(id);
+    if (!task) return;
+    slot.pending.delete(id);
+
+    const totalMs = performance.now() - task.queuedAt;
+    this.runTracker.record(roundMs(runMs));
+    this.waitTracker.record(roundMs(Math.max(0, totalMs - runMs)));
+
+    if (error) {
+      this.failed++;
+      task.reject(new Error(error));
+    } else {
+      this.completed++;
+      task.resolve(toNodeBuffer(result));
+    }
+  }
+
+  /**
+   * A worker died: fail its tasks, move its keys elsewhere (their session
+   * state is gone) and start a replacement
+   */
+  recover(slot, worker, error) {
+    if (slot.worker !== worker) return;  // Already replaced (error is followed by exit)
+
+    logger.error(`💥 Audio worker ${slot.index} failed: ${error.message} - restarting (${slot.pending.size} task(s) lost)`);
+
+    for (const task of slot.pending.values()) {
+      this.failed++;
+      task.reject(new Error(`Audio worker failed: ${error.message}`));
+    }
+    slot.pending.clear();
+
+    for (const [key, assigned] of this.assignments) {
+      if (assigned === slot) this.assignments.delete(key);
+    }
+
+    this.restarts++;
+    worker.terminate().catch(() => {});
+    this.spawn(slot);
+  }
+
+  getInFlight() {
+    let inFlight = 0;
+    for (const slot of this.slots) {
+      inFlight += slot.pending.size;
+    }
+    return inFlight;
+  }
+
+  /**
+   * Pool load for monitoring (GET /api/health)
+   *
+   * saturation is the fraction of workers with work outstanding; the pool
+   * is `saturated` when tasks are queueing up behind busy workers.
+   */
+  getStats() {
+    const busy = this.slots.filter(slot => slot.pending.size > 0).length;
+    const inFlight = this.getInFlight();
+    const queued = this.slots.reduce((sum, slot) => sum + Math.max(0, slot.pending.size - 1), 0);
+    const wait = this.waitTracker.getMetrics();
+    const run = this.runTracker.getMetrics();
+
+    return {
+      mode: this.inline ? 'inline' : 'workers',
+      workers: this.size,
+      busy,
+      inFlight,
+      queued,
+      peakInFlight: this.peakInFlight,
+      saturation: this.size > 0 ? Math.round(busy / this.size * 100) / 100 : 0,
+      saturated: this.size > 0 && queued >= this.size * SATURATION_QUEUE,
+      sessions: this.inline ? this.inline.sessions.size : this.assignments.size,
+      completed: this.completed,
+      failed: this.failed,
+      restarts: this.restarts,
+      waitMs: { average: wait.average, p95: wait.p95, max: wait.max },
+      runMs: { average: run.average, p95: run.p95, max: run.max },
+    };
+  }
+
+  /**
+   * Stop the workers; outstanding tasks are rejected
+   */
+  async close() {
+    this.closed = true;
+
+    await Promise.all(this.slots.map((slot) => {
+      for (const task of slot.pending.values()) {
+        task.reject(new Error('Audio worker pool is closed'));
+      }
+      slot.pending.clear();
+      return slot.worker.terminate();
+    }));
+  }
+}
+
+function roundMs(ms) {
+  return Math.round(ms * 100) / 100;
+}
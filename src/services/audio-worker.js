@@ -0,0 +1,35 @@
+/**
+ * Audio Worker
+ *
+ * worker_threads entry point for AudioWorkerPool. Runs AudioTaskRunner
+ * operations strictly in message order (so a call's chunks reach its DSP
+ * engine and resamplers in sequence) and transfers each result back.
+ */
+
+import { parentPort } from 'worker_threads';
+import { performance } from 'perf_hooks';
+import { AudioTaskRunner, toTransferable, unpackArgs } from '../utils/audio-tasks.js';
+
+const runner = new AudioTaskRunner();
+
+parentPort.on('message', (message) => {
+  if (message.type === 'release') {
+    runner.release(message.key);
+    return;
+  }
+
+  const { id, op, key, args } = message;
+  const start = performance.now();
+
+  try {
+    const result = runner.run(op, key, unpackArgs(args));
+    const runMs = performance.now() - start;
+
+    // Results are fresh buffers, except session state (a stage's last
+    // output) - never transfer those away from the session
+    const { data, transfer } = toTransferable(result, !runner.isSessionState(key, result));
+    parentPort.postMessage({ id, result: data, runMs }, transfer);
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message, runMs: performance.now() - start });
+  }
+});
@@ -0,0 +1,137 @@
+/**
+ * Adaptive Buffer Controller
+ *
+ * Sizes a call track's transform chunks from live measurements. Bigger
+ * chunks mean fewer boundaries and more slack for slow transforms; smaller
+ * chunks mean less mouth-to-ear delay. Every few chunks the controller
+ * looks at the transform round-trip (LatencyTracker) and the outbound
+ * queue (OutboundScheduler) and moves the target one step:
+ *
+ *   grow   - the outbound queue ran dry, or transforms can't keep up
+ *   shrink - everything is calm and audio is piling up in the outbound queue
+ */
+
+const STEP_MS = 20;  // One Twilio frame
+
+// Chunks between evaluations, and calm evaluations needed before shrinking
+const EVALUATE_EVERY = 5;
+const STABLE_EVALUATIONS = 2;
+
+// Kept for monitoring
+const HISTORY_SIZE = 10;
+
+export class AdaptiveBufferController {
+  /**
+   * @param {object} options
+   * @param {number} options.initialMs - Starting target
+   * @param {number} options.minMs - Lower bound
+   * @param {number} options.maxMs - Upper bound
+   * @param {number} [options.maxInFlight] - Concurrent transforms per track
+   * @param {LatencyTracker} options.latencyTracker - Transform round-trips for this track
+   * @param {function} options.getOutboundStats - Returns OutboundScheduler.getStats()
+   */
+  constructor(options) {
+    this.minMs = options.minMs;
+    this.maxMs = Math.max(options.minMs, options.maxMs);
+    this.targetMs = clamp(options.initialMs, this.minMs, this.maxMs);
+    this.maxInFlight = options.maxInFlight || 1;
+    this.latencyTracker = options.latencyTracker;
+    this.getOutboundStats = options.getOutboundStats;
+
+    this.chunks = 0;
+    this.calmEvaluations = 0;
+    this.lastUnderruns = this.getOutboundStats().underruns;
+
+    this.adjustments = 0;
+    this.history = [];
+  }
+
+  /**
+   * Call after each transformed chunk
+   *
+   * @returns {{fromMs: number, toMs: number, reason: string}|null} - Adjustment made, if any
+   */
+  chunkDone() {
+    if (++this.chunks % EVALUATE_EVERY !== 0) {
+      return null;
+    }
+    return this.evaluate();
+  }
+
+  /**
+   * Decide whether to move the target
+   */
+  evaluate() {
+    const outbound = this.getOutboundStats();
+    const newUnderruns = outbound.underruns - this.lastUnderruns;
+    this.lastUnderruns = outbound.underruns;
+
+    const status = this.latencyTracker.getStatus();
+    const { p95 } = this.latencyTracker.getMetrics();
+
+    // Artifacts first: gaps in the outbound audio or transforms falling behind
+    if (newUnderruns > 0) {
+      return this.grow(`${newUnderruns} outbound underrun(s)`);
+    }
+    if (p95 > this.targetMs * this.maxInFlight) {
+      return this.grow(`transform p95 ${p95}ms exceeds ${this.maxInFlight} x ${this.targetMs}ms chunks`);
+    }
+
+    // Then latency: only after a calm spell, and only if audio is piling up
+    if (status !== 'ok') {
+      this.calmEvaluations = 0;
+      return null;
+    }
+    if (++this.calmEvaluations < STABLE_EVALUATIONS) {
+      return null;
+    }
+    // Checked right after a chunk was queued, so one chunk's worth is expected
+    if (outbound.depthMs > this.targetMs * 2) {
+      return this.shrink(`outbound queue ${outbound.depthMs}ms holds more than 2 x ${this.targetMs}ms chunks`);
+    }
+    if (p95 < this.targetMs / 2) {
+      return this.shrink(`transform p95 ${p95}ms well under ${this.targetMs}ms chunk`);
+    }
+    return null;
+  }
+
+  grow(reason) {
+    this.calmEvaluations = 0;
+    return this.adjust(this.targetMs + STEP_MS, reason);
+  }
+
+  shrink(reason) {
+    this.calmEvaluations = 0;
+    return this.adjust(this.targetMs - STEP_MS, reason);
+  }
+
+  adjust(targetMs, reason) {
+    const toMs = clamp(targetMs, this.minMs, this.maxMs);
+    if (toMs === this.targetMs) {
+      return null;  // Already at the bound
+    }
+
+    const adjustment = { fromMs: this.targetMs, toMs, reason };
+    this.targetMs = toMs;
+    this.adjustments++;
+    this.history.push({ ...adjustment, at: Date.now() });
+    if (this.history.length > HISTORY_SIZE) {
+      this.history.shift();
+    }
+    return adjustment;
+  }
+
+  getStats() {
+    return {
+      targetMs: this.targetMs,
+      minMs: this.minMs,
+      maxMs: this.maxMs,
+      adjustments: this.adjustments,
+      history: this.history,
+    };
+  }
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
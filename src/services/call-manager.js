@@ -6,6 +6,7 @@
 
 import twilio from 'twilio';
 import { createLogger } from '../utils/logger.js';
+import { parsePreprocessing, formatPreprocessing } from '../utils/audio-preprocess.js';
 
 const logger = createLogger('call-manager');
 
@@ -34,6 +35,10 @@ export class CallManager {
       totalCalls: 0,
       totalMinutes: 0,
       callsByVoice: {},
+      failurePolicies: {},  // policy -> chunks it replaced
+      transformHangups: 0,
+      voiceSwitches: 0,
+      network: { framesReceived: 0, framesLost: 0, duplicates: 0, late: 0 },  // Twilio leg
     };
   }
   
@@ -42,9 +47,14 @@ export class CallManager {
    * 
    * @param {string} toNumber - Destination phone number (E.164 format)
    * @param {string} voicePreset - Voice preset to use
+   * @param {object} options - Additional options
+   * @param {object} [options.trackPolicies] - Per-track policies, e.g. { inbound: 'transform', outbound: 'drop' }
+   * @param {string} [options.provider] - Voice provider override ('elevenlabs', 'local-dsp', 'passthrough')
+   * @param {string} [options.failurePolicy] - What to send if transformation fails ('passthrough', 'silence', 'dsp', 'hangup')
+   * @param {object} [options.preprocess] - Preprocessing stage toggles, e.g. { highPass: true, noiseSuppression: false, agc: true }
    * @returns {Promise<{callSid: string}>}
    */
-  async initiateCall(toNumber, voicePreset = 'deep_male') {
+  async initiateCall(toNumber, voicePreset = 'deep_male', options = {}) {
     if (!this.client) {
       throw new Error('Twilio client not configured');
     }
@@ -63,7 +73,20 @@ export class CallManager {
     logger.info(`Using ${isTrialAccount ? 'trial account (no from number)' : 'phone number: ' + this.phoneNumber}`);
     
     // Debug the webhook URL
-    const webhookUrl = `${this.serverUrl}/voice?voicePreset=${voicePreset}`;
+    const webhookParams = new URLSearchParams({ voicePreset });
+    for (const [track, policy] of Object.entries(options.trackPolicies || {})) {
+      webhookParams.set(`${track}Policy`, policy);
+    }
+    if (options.provider) {
+      webhookParams.set('provider', options.provider);
+    }
+    if (options.failurePolicy) {
+      webhookParams.set('failurePolicy', options.failurePolicy);
+    }
+    if (options.preprocess) {
+      webhookParams.set('preprocess', formatPreprocessing(parsePreprocessing(options.preprocess)));
+    }
+    const webhookUrl = `${this.serverUrl}/voice?${webhookParams}`;
     logger.info(`Webhook URL: ${webhookUrl}`);
     
     try {
@@ -197,6 +220,60 @@ export class CallManager {
     });
   }
   
+  /**
+   * Switch an active call to another voice preset (handled by the call's
+   * media stream, which may wait for a pause in speech)
+   * 
+   * @param {string} callSid - Call SID
+   * @param {string} voicePreset - Voice preset ID
+   * @returns {{from: string, to: string, pending: boolean}}
+   */
+  switchVoice(callSid, voicePreset) {
+    const stream = this.activeStreams.get(callSid);
+    if (!stream?.switchVoice) {
+      throw new Error(`No active media stream for call ${callSid}`);
+    }
+    
+    return stream.switchVoice(voicePreset);
+  }
+  
+  /**
+   * Number of active calls using a voice preset
+   */
+  countCallsWithVoice(voicePreset) {
+    let count = 0;
+    for (const stream of this.activeStreams.values()) {
+      if (stream.voicePreset === voicePreset) count++;
+    }
+    return count;
+  }
+  
+  /**
+   * Record a mid-call voice switch (per-voice stats count each call once)
+   */
+  recordVoiceSwitch(callSid, from, to) {
+    this.stats.voiceSwitches++;
+    
+    const stream = this.activeStreams.get(callSid);
+    if (stream) {
+      stream.voicesUsed = stream.voicesUsed || new Set([from]);
+      if (!stream.voicesUsed.has(to)) {
+        stream.voicesUsed.add(to);
+        this.stats.callsByVoice[to] = (this.stats.callsByVoice[to] || 0) + 1;
+      }
+      stream.voicePreset = to;
+    }
+    
+    const historyItem = this.callHistory.find(c => c.callSid === callSid);
+    if (historyItem) {
+      historyItem.voiceHistory = historyItem.voiceHistory || [{ voicePreset: from, at: historyItem.startTime }];
+      historyItem.voiceHistory.push({ voicePreset: to, at: new Date().toISOString() });
+      historyItem.voicePreset = to;
+    }
+    
+    logger.info(`Call ${callSid} voice switched: ${from} → ${to}`);
+  }
+  
   /**
    * Remove an active stream
    */
@@ -246,6 +323,41 @@ export class CallManager {
     logger.info(`Call ${callSid} completed: ${metrics.duration}s`);
   }
   
+  /**
+   * Record voice transformation metrics for a call (failure policy applied)
+   */
+  recordTransformMetrics(callSid, metrics) {
+    const historyItem = this.callHistory.find(c => c.callSid === callSid);
+    if (historyItem) {
+      historyItem.transform = metrics;
+    }
+    
+    for (const [policy, count] of Object.entries(metrics.failuresByPolicy || {})) {
+      this.stats.failurePolicies[policy] = (this.stats.failurePolicies[policy] || 0) + count;
+    }
+    if (metrics.hangupRequested) {
+      this.stats.transformHangups++;
+    }
+  }
+  
+  /**
+   * Record packet loss on the Twilio leg for a call (per track), so network
+   * trouble can be told apart from transform trouble
+   */
+  recordNetworkMetrics(callSid, tracks) {
+    const historyItem = this.callHistory.find(c => c.callSid === callSid);
+    if (historyItem) {
+      historyItem.network = tracks;
+    }
+    
+    for (const network of Object.values(tracks)) {
+      this.stats.network.framesReceived += network.received;
+      this.stats.network.framesLost += network.lost;
+      this.stats.network.duplicates += network.duplicates;
+      this.stats.network.late += network.late;
+    }
+  }
+  
   /**
    * Get usage statistics
    */
@@ -2,97 +2,559 @@
  * Media Stream Handler
  * 
  * Handles bidirectional audio streaming with Twilio Media Streams.
- * Receives μ-law audio, buffers it, transforms via ElevenLabs, and sends back.
+ * Receives G.711 audio (μ-law, or A-law when the stream's mediaFormat says so),
+ * buffers it, transforms via ElevenLabs, and sends back in the same codec.
  */
 
-import { AudioBuffer } from '../utils/audio-buffer.js';
-import { mulawDecode, mulawEncode, resample } from '../utils/audio-codec.js';
+import { AudioBuffer, SlidingAudioBuffer, Crossfader } from '../utils/audio-buffer.js';
+import { generateComfortNoise, getTelephonyCodec, TELEPHONY_CODECS } from '../utils/audio-codec.js';
 import { LatencyTracker } from '../utils/latency-tracker.js';
+import { ReorderBuffer } from '../utils/reorder-buffer.js';
+import { PacketLossDetector, LossConcealer } from '../utils/packet-loss.js';
+import { parsePreprocessing, formatPreprocessing, DEFAULT_PREPROCESSING } from '../utils/audio-preprocess.js';
+import { VoiceActivityDetector } from '../utils/voice-activity.js';
+import { VOICE_PRESETS } from '../utils/voice-presets.js';
+import { OutboundScheduler } from './outbound-scheduler.js';
+import { AdaptiveBufferController } from './buffer-controller.js';
+import { AudioWorkerPool } from './audio-worker-pool.js';
+import { WebMOpusDecoder } from '../utils/webm-opus-decoder.js';
+import { PcmFrameDecoder, CLIENT_AUDIO_FORMATS } from '../utils/client-frame.js';
 
 // Configuration
 const BUFFER_MS = parseInt(process.env.AUDIO_BUFFER_MS) || 200;
-const SAMPLE_RATE_TWILIO = 8000;  // Twilio's μ-law sample rate
+const SAMPLE_RATE_TWILIO = 8000;  // Twilio's G.711 sample rate
 const SAMPLE_RATE_ELEVENLABS = 16000;  // ElevenLabs optimal input rate
 
+// Ordered output: concurrent transforms per track, and how long a chunk may
+// take before it is concealed so later chunks aren't held back
+const MAX_IN_FLIGHT = parseInt(process.env.AUDIO_MAX_IN_FLIGHT) || 2;
+const LATE_MS = parseInt(process.env.AUDIO_LATE_MS) || 1000;
+const MAX_BACKLOG_MS = BUFFER_MS * 5;  // Buffered audio waiting for a free slot
+
+// Adaptive buffering: transformed tracks start at BUFFER_MS and move within
+// these bounds as transform latency and outbound queue depth change
+const ADAPTIVE_BUFFER = process.env.AUDIO_ADAPTIVE_BUFFER !== 'false';
+const BUFFER_MIN_MS = parseInt(process.env.AUDIO_BUFFER_MIN_MS) || 100;
+const BUFFER_MAX_MS = parseInt(process.env.AUDIO_BUFFER_MAX_MS) || 400;
+
+// Transformed chunks are taken as overlapping windows (BUFFER_MS of new audio
+// plus CROSSFADE_MS of the previous chunk) and crossfaded over the overlap
+const CROSSFADE_MS = Math.min(BUFFER_MS, Math.max(0, parseInt(process.env.AUDIO_CROSSFADE_MS ?? 40) || 0));
+
+// Voice activity detection: silence on transformed tracks is replaced with
+// comfort noise instead of being transformed. Pre-roll is audio kept from
+// before speech onset so the first syllable isn't clipped.
+const VAD_ENABLED = process.env.AUDIO_VAD !== 'false';
+const VAD_HANGOVER_MS = parseInt(process.env.AUDIO_VAD_HANGOVER_MS) || 300;
+const VAD_PREROLL_MS = parseInt(process.env.AUDIO_VAD_PREROLL_MS) || 100;
+
+// Packet loss on the Twilio leg: gaps up to this long are concealed, longer
+// ones (a stalled stream rather than lost packets) are only counted
+const MAX_CONCEAL_MS = parseInt(process.env.AUDIO_MAX_CONCEAL_MS) || 200;
+
+// Mid-call voice switches wait for a pause in speech (at most this long) so
+// the voice doesn't change mid-word; the window crossfade covers the seam
+const SWITCH_WAIT_MS = parseInt(process.env.AUDIO_SWITCH_WAIT_MS) || 1500;
+
+/**
+ * What to do with the audio of each Twilio track
+ * - transform: voice-transform and send back into the call
+ * - pass: send back into the call unchanged
+ * - drop: ignore (still counted in track metrics)
+ */
+export const TRACK_POLICIES = {
+  TRANSFORM: 'transform',
+  PASS: 'pass',
+  DROP: 'drop',
+};
+
+// inbound = audio Twilio receives from the phone leg, outbound = audio we send
+// into the call. Transforming outbound would feed our own output back in.
+export const DEFAULT_TRACK_POLICIES = {
+  inbound: TRACK_POLICIES.TRANSFORM,
+  outbound: TRACK_POLICIES.DROP,
+};
+
+/**
+ * Resolve per-track policies from the Stream's TwiML <Parameter>s
+ * 
+ * @param {object} customParams - start.customParameters from Twilio
+ * @returns {{inbound: string, outbound: string}}
+ */
+export function parseTrackPolicies(customParams = {}) {
+  const validPolicies = Object.values(TRACK_POLICIES);
+  const policies = { ...DEFAULT_TRACK_POLICIES };
+  
+  for (const track of Object.keys(policies)) {
+    const requested = customParams[`${track}Policy`];
+    if (requested && validPolicies.includes(requested)) {
+      policies[track] = requested;
+    }
+  }
+  
+  return policies;
+}
+
 /**
  * Handle a Twilio Media Stream WebSocket connection
  */
 export function handleMediaStream(socket, options) {
   const { callId, voicePreset, callManager, voiceTransformer, audioBridge, logger } = options;
   
+  // Decoding and resampling run on the worker pool, keyed by call so this
+  // call's chunks are processed in order (inline when no pool is given)
+  const audioPool = options.audioPool || new AudioWorkerPool({ size: 0 });
+  
   logger.info(`🔌 Twilio Media Stream WebSocket CONNECTED for call ${callId}`);
   
   // State
   let streamSid = null;
   let isConnected = false;
-  const audioBuffer = new AudioBuffer(BUFFER_MS, SAMPLE_RATE_TWILIO);
-  const latencyTracker = new LatencyTracker();
+  let trackPolicies = { ...DEFAULT_TRACK_POLICIES };
+  let codec = TELEPHONY_CODECS.MULAW;  // From start.mediaFormat - everything past decode is PCM
+  let preprocessing = { ...DEFAULT_PREPROCESSING };  // Stages run before the transform
+  let currentPreset = voicePreset;  // Changes on a mid-call voice switch
+  let pendingSwitch = null;  // { preset, timer } waiting for a pause in speech
+  const tracks = new Map();  // track name -> per-track state
+  
+  // Everything we send into the call goes out as paced 20ms frames
+  const outbound = new OutboundScheduler({
+    send: (frame) => {
+      if (streamSid && socket.readyState === socket.OPEN) {
+        socket.send(createMediaMessage(streamSid, frame));
+      }
+    },
+  });
   
   // Track active call
   callManager.addActiveStream(callId, {
     voicePreset,
     startTime: Date.now(),
+    switchVoice: requestVoiceSwitch,
   });
   
-  // Process buffered audio
-  async function processAudioBuffer() {
+  /**
+   * Switch the call to another voice preset - now if nobody is speaking,
+   * otherwise at the end of the current speech segment
+   * 
+   * @param {string} preset - Voice preset ID
+   * @returns {{from: string, to: string, pending: boolean}}
+   */
+  function requestVoiceSwitch(preset) {
+    if (!VOICE_PRESETS[preset]) {
+      throw new Error(`Unknown voice preset: ${preset}`);
+    }
+    
+    const from = currentPreset;
+    if (!isSpeaking()) {
+      applyVoiceSwitch(preset);
+      return { from, to: preset, pending: false };
+    }
+    
+    if (pendingSwitch) {
+      pendingSwitch.preset = preset;
+    } else {
+      pendingSwitch = {
+        preset,
+        timer: setTimeout(() => applyVoiceSwitch(pendingSwitch.preset), SWITCH_WAIT_MS),
+      };
+    }
+    logger.info(`🎭 Call ${callId} voice switch to ${preset} waiting for a pause in speech`);
+    return { from, to: preset, pending: true };
+  }
+  
+  // Chunks cut from here on use the new preset; the transformer, the client
+  // audio bridge and per-voice stats follow
+  function applyVoiceSwitch(preset) {
+    cancelVoiceSwitch();
+    if (preset === currentPreset) return;
+    
+    const from = currentPreset;
+    currentPreset = preset;
+    logger.info(`🎭 Call ${callId} voice ${from} → ${preset}`);
+    
+    voiceTransformer.switchVoice(callId, preset).catch((error) => {
+      logger.error(`Voice switch failed for call ${callId}: ${error.message}`);
+    });
+    audioBridge.setVoicePreset(callId, preset);
+    callManager.recordVoiceSwitch(callId, from, preset);
+  }
+  
+  function cancelVoiceSwitch() {
+    if (pendingSwitch) {
+      clearTimeout(pendingSwitch.timer);
+      pendingSwitch = null;
+    }
+  }
+  
+  // Any transformed track mid speech segment
+  function isSpeaking() {
+    for (const track of tracks.values()) {
+      if (track.inSpeech) return true;
+    }
+    return false;
+  }
+  
+  // `hangup` failure policy tripped - end the call rather than leak the real voice
+  function hangUp(callSid, reason) {
+    logger.warn(`🛑 Ending call ${callSid}: voice transformation unavailable (${reason})`);
+    callManager.endCall(callSid).catch((error) => {
+      // No Twilio client (or the API failed) - dropping the stream still cuts the audio
+      logger.error(`Hangup via Twilio failed (${error.message}) - closing media stream`);
+      socket.close();
+    });
+  }
+  
+  // Which failure policy was applied, and how often
+  function recordTransformMetrics(metrics) {
+    if (!metrics) return;
+    logger.info(`Call ${callId} transformation: provider=${metrics.provider}, failure policy=${metrics.failurePolicy}, failures=${metrics.failures} ${JSON.stringify(metrics.failuresByPolicy)}, silence skipped=${metrics.silenceSkippedSeconds}s`);
+    callManager.recordTransformMetrics(callId, metrics);
+  }
+  
+  // Per-track buffer, policy and metrics (created on first media frame).
+  // Transformed tracks read overlapping windows and crossfade the results.
+  function getTrackState(trackName) {
+    if (!tracks.has(trackName)) {
+      const latencyTracker = new LatencyTracker();
+      const policy = trackPolicies[trackName] || TRACK_POLICIES.DROP;
+      const windowed = policy === TRACK_POLICIES.TRANSFORM;
+      tracks.set(trackName, {
+        name: trackName,
+        policy,
+        audioBuffer: windowed
+          ? new SlidingAudioBuffer(BUFFER_MS + CROSSFADE_MS, BUFFER_MS, SAMPLE_RATE_TWILIO)
+          : new AudioBuffer(BUFFER_MS, SAMPLE_RATE_TWILIO),
+        crossfader: windowed ? new Crossfader(CROSSFADE_MS * SAMPLE_RATE_TWILIO / 1000) : null,
+        hasContext: false,  // Next window starts with audio from the previous one
+        vad: windowed && VAD_ENABLED ? new VoiceActivityDetector({ hangoverMs: VAD_HANGOVER_MS }) : null,
+        bufferController: windowed && ADAPTIVE_BUFFER ? new AdaptiveBufferController({
+          initialMs: BUFFER_MS,
+          minMs: BUFFER_MIN_MS,
+          maxMs: BUFFER_MAX_MS,
+          maxInFlight: MAX_IN_FLIGHT,
+          latencyTracker,
+          getOutboundStats: () => outbound.getStats(),
+        }) : null,
+        lossDetector: new PacketLossDetector(),
+        concealer: policy === TRACK_POLICIES.DROP ? null : new LossConcealer({ sampleRate: SAMPLE_RATE_TWILIO }),
+        frameSamples: new Int16Array(160),  // One decoded Twilio frame
+        inSpeech: false,
+        preroll: [],  // Most recent silent frames, replayed at speech onset
+        prerollBytes: 0,
+        pendingSilence: 0,  // Silent bytes not yet released as comfort noise
+        latencyTracker,
+        reorder: new ReorderBuffer({ onEvent: event => latencyTracker.count(event) }),
+        inFlight: 0,
+        framesReceived: 0,
+        chunksProcessed: 0,
+      });
+    }
+    return tracks.get(trackName);
+  }
+  
+  // Conceal the frames lost just before this one, then buffer it (faded back
+  // in from the concealment after a gap)
+  function receiveFrame(track, payload, lost) {
+    if (lost > 0) {
+      if (lost * 20 <= MAX_CONCEAL_MS) {
+        for (let i = 0; i < lost; i++) {
+          const concealed = track.concealer.conceal(payload.length);
+          acceptAudio(track, codec.encode(concealed), concealed);
+        }
+        track.latencyTracker.count('frames_concealed', lost);
+      } else {
+        track.concealer.reset();
+        logger.warn(`Call ${callId} ${track.name}: ${lost * 20}ms of Twilio audio missing - not concealed`);
+      }
+    }
+    
+    // Decode into the track's scratch - the PCM is only needed for this call
+    if (track.frameSamples.length < payload.length) {
+      track.frameSamples = new Int16Array(payload.length);
+    }
+    const decoded = codec.decode(payload, track.frameSamples);
+    const pcm = track.concealer.receive(decoded);
+    acceptAudio(track, pcm === decoded ? payload : codec.encode(pcm), pcm);
+  }
+  
+  // Buffer an incoming frame, gated by voice activity on transformed tracks
+  function acceptAudio(track, payload, pcm) {
+    if (track.vad) {
+      const speaking = track.vad.process(pcm);
+      
+      if (!speaking) {
+        if (track.inSpeech) {
+          // Speech segment ended - send its tail now rather than waiting for a full window
+          track.inSpeech = false;
+          processAudioBuffer(track, true).catch(err => {
+            logger.error(`Async processing error: ${err.message}`);
+          });
+          
+          // A voice switch waiting for this pause (the tail above keeps the old voice)
+          if (pendingSwitch && !isSpeaking()) {
+            applyVoiceSwitch(pendingSwitch.preset);
+          }
+        }
+        holdSilence(track, payload);
+        return;
+      }
+      
+      if (!track.inSpeech) {
+        // Speech onset: silence so far goes out first, then the pre-roll
+        track.inSpeech = true;
+        releaseSilence(track);
+        for (const frame of track.preroll) {
+          track.audioBuffer.push(frame);
+        }
+        track.preroll = [];
+        track.prerollBytes = 0;
+      }
+    }
+    
+    track.audioBuffer.push(payload);
+    
+    // Process when buffer is ready
+    if (track.audioBuffer.isReady()) {
+      // Don't await - process asynchronously to avoid blocking
+      processAudioBuffer(track).catch(err => {
+        logger.error(`Async processing error: ${err.message}`);
+      });
+    }
+  }
+  
+  // Keep a silent frame as pre-roll; what falls out of the pre-roll becomes comfort noise
+  function holdSilence(track, payload) {
+    track.preroll.push(payload);
+    track.prerollBytes += payload.length;
+    
+    while (track.prerollBytes - track.preroll[0].length >= VAD_PREROLL_MS * 8) {
+      const frame = track.preroll.shift();
+      track.prerollBytes -= frame.length;
+      track.pendingSilence += frame.length;
+    }
+    
+    if (track.pendingSilence >= BUFFER_MS * 8) {
+      releaseSilence(track);
+    }
+  }
+  
+  // Queue skipped silence as comfort noise, in sequence with transformed chunks
+  function releaseSilence(track) {
+    if (track.pendingSilence === 0) return;
+    
+    const bytes = track.pendingSilence;
+    track.pendingSilence = 0;
+    track.latencyTracker.count('silence_skipped');
+    voiceTransformer.recordSkippedAudio(callId, bytes / SAMPLE_RATE_TWILIO);
+    sendInOrder(track, track.reorder.add({ bytes, silence: true }));
+  }
+  
+  // Process a track's buffered audio according to its policy. Each flushed
+  // chunk gets a sequence number and results go to Twilio strictly in order.
+  // `final` takes the rest of a speech segment, even if it is short.
+  async function processAudioBuffer(track, final = false) {
     if (!isConnected || !streamSid) return;
     
-    const chunk = audioBuffer.flush();
+    // Enough transforms outstanding - leave the audio buffered until one finishes
+    if (track.inFlight >= MAX_IN_FLIGHT && !final) {
+      const backlogMs = track.audioBuffer.getDurationMs();
+      if (backlogMs > MAX_BACKLOG_MS) {
+        track.audioBuffer.clear();
+        track.hasContext = false;
+        track.latencyTracker.count('dropped_backlog');
+        logger.warn(`Dropped ${backlogMs}ms of backlog for call ${callId} (${track.name}): ${track.inFlight} transforms in flight`);
+      }
+      return;
+    }
+    
+    const { chunk, contextBytes } = takeChunk(track, final);
     if (!chunk || chunk.length === 0) return;
     
-    const startTime = Date.now();
+    const sequence = track.reorder.next({ bytes: chunk.length - contextBytes, contextBytes });
+    track.inFlight++;
     
-    try {
-      // 1. Decode μ-law to PCM (16-bit signed)
-      const pcmBuffer = mulawDecode(chunk);
+    // Free the slot once, whether the chunk finishes or is given up on
+    let slotHeld = true;
+    const freeSlot = () => {
+      if (!slotHeld) return;
+      slotHeld = false;
+      track.inFlight--;
       
-      // 2. Resample from 8kHz to 16kHz for ElevenLabs
-      const resampledPcm = resample(pcmBuffer, SAMPLE_RATE_TWILIO, SAMPLE_RATE_ELEVENLABS);
+      // Pick up audio that queued behind the cap
+      if (track.audioBuffer.isReady()) {
+        processAudioBuffer(track).catch(err => {
+          logger.error(`Audio processing error: ${err.message}`);
+        });
+      }
+    };
+    
+    // Hopelessly late: conceal it so later chunks can go out
+    const lateTimer = setTimeout(() => {
+      logger.warn(`Chunk ${sequence} for call ${callId} (${track.name}) exceeded ${LATE_MS}ms - concealing`);
+      sendInOrder(track, track.reorder.expire(sequence));
+      freeSlot();
+    }, LATE_MS);
+    
+    let output = null;
+    try {
+      output = await processChunk(track, chunk, contextBytes, currentPreset);
+    } catch (error) {
+      logger.error(`Audio processing error for call ${callId} (${track.name}): ${error.message}`);
+      // Don't crash - an empty result still releases its place in the sequence
+    } finally {
+      clearTimeout(lateTimer);
+    }
+    
+    sendInOrder(track, track.reorder.push(sequence, output));
+    adaptBuffer(track);
+    freeSlot();
+  }
+  
+  // Let the track's controller resize its chunks after each one completes
+  function adaptBuffer(track) {
+    const adjustment = track.bufferController?.chunkDone();
+    if (!adjustment) return;
+    
+    track.audioBuffer.adjustHop(adjustment.toMs);
+    track.latencyTracker.count(adjustment.toMs > adjustment.fromMs ? 'buffer_grown' : 'buffer_shrunk');
+    logger.info(`📏 Call ${callId} ${track.name} buffer ${adjustment.fromMs}ms → ${adjustment.toMs}ms: ${adjustment.reason}`);
+  }
+  
+  // Next chunk of buffered audio: a whole flush, or for windowed tracks the
+  // next window, whose first `contextBytes` repeat the end of the previous one
+  function takeChunk(track, final = false) {
+    if (!track.crossfader) {
+      return { chunk: track.audioBuffer.flush(), contextBytes: 0 };
+    }
+    
+    const contextBytes = track.hasContext ? track.audioBuffer.getOverlapBytes() : 0;
+    
+    if (final) {
+      // End of a speech segment: the next window starts fresh
+      const chunk = track.audioBuffer.flush();
+      track.hasContext = false;
+      return chunk.length > contextBytes ? { chunk, contextBytes } : { chunk: null, contextBytes: 0 };
+    }
+    if (!track.audioBuffer.isReady()) {
+      return { chunk: null, contextBytes: 0 };
+    }
+    
+    track.hasContext = true;
+    return { chunk: track.audioBuffer.getWindow(), contextBytes };
+  }
+  
+  // Condition a track's decoded 16kHz audio before the transform (the call's
+  // stages, state kept on the pool; `contextSamples` were already processed)
+  function preprocess(track, pcm, contextSamples = 0) {
+    if (!Object.values(preprocessing).some(Boolean)) {
+      return pcm;
+    }
+    return audioPool.run(callId, 'preprocess', {
+      pcm,
+      sampleRate: SAMPLE_RATE_ELEVENLABS,
+      stages: preprocessing,
+      contextSamples,
+      stream: track.name,
+    });
+  }
+  
+  // Run one chunk through its track policy; resolves to encoded audio for Twilio, or
+  // 8kHz PCM for windowed tracks (null when there is nothing to send)
+  async function processChunk(track, chunk, contextBytes = 0, preset = currentPreset) {
+    const startTime = Date.now();
+    let output = chunk;
+    
+    if (track.policy === TRACK_POLICIES.TRANSFORM) {
+      // 1-2. Decode G.711 to PCM and resample from 8kHz to 16kHz for
+      // ElevenLabs (each window on its own), then precondition it
+      const resampledPcm = await audioPool.run(callId, 'decode', {
+        audio: chunk,
+        encoding: codec.name,
+        fromRate: SAMPLE_RATE_TWILIO,
+        toRate: SAMPLE_RATE_ELEVENLABS,
+      });
+      const contextSamples = contextBytes * SAMPLE_RATE_ELEVENLABS / SAMPLE_RATE_TWILIO;
+      const conditionedPcm = await preprocess(track, resampledPcm, contextSamples);
       
-      // 3. Transform voice via ElevenLabs
-      const transformedPcm = await voiceTransformer.transform(resampledPcm, voicePreset, {
+      // 3. Transform voice via the call's provider
+      const transformedPcm = await voiceTransformer.transform(conditionedPcm, preset, {
         sampleRate: SAMPLE_RATE_ELEVENLABS,
+        callId,
+        contextSamples,
+        stream: track.name,
       });
       
       if (!transformedPcm || transformedPcm.length === 0) {
-        logger.warn(`Empty transformation result for call ${callId}`);
-        return;
+        logger.warn(`Empty transformation result for call ${callId} (${track.name})`);
+        return null;
       }
       
-      // 4. Resample back to 8kHz for Twilio
-      const outputPcm = resample(transformedPcm, SAMPLE_RATE_ELEVENLABS, SAMPLE_RATE_TWILIO);
-      
-      // 5. Encode to μ-law
-      const mulawOutput = mulawEncode(outputPcm);
-      
-      // 6. Send back to Twilio
-      const mediaMessage = {
-        event: 'media',
-        streamSid: streamSid,
-        media: {
-          payload: mulawOutput.toString('base64'),
-        },
-      };
+      // 4. Resample back to 8kHz (crossfaded and encoded on release)
+      output = await audioPool.run(callId, 'resample', {
+        pcm: transformedPcm,
+        fromRate: SAMPLE_RATE_ELEVENLABS,
+        toRate: SAMPLE_RATE_TWILIO,
+      });
+    }
+    
+    // Track latency
+    const processingTime = Date.now() - startTime;
+    track.latencyTracker.record(processingTime, track.policy);
+    track.chunksProcessed++;
+    
+    if (processingTime > 400) {
+      logger.warn(`High latency detected: ${processingTime}ms for call ${callId} (${track.name})`);
+    }
+    
+    return output;
+  }
+  
+  // 5-6. Queue released chunks for paced playback (comfort noise for concealed
+  // chunks and skipped silence). Windowed tracks are crossfaded here, where
+  // chunks are in order.
+  function sendInOrder(track, released) {
+    for (const { data, meta, concealed } of released) {
+      const fill = concealed || meta.silence;
+      let payload = fill ? null : data;
       
-      if (socket.readyState === socket.OPEN) {
-        socket.send(JSON.stringify(mediaMessage));
+      if (track.crossfader) {
+        const pcm = fill
+          ? track.crossfader.gap(generateComfortNoise(meta.bytes))
+          : data && track.crossfader.push(data, meta.contextBytes > 0);
+        payload = pcm && pcm.length > 0 ? codec.encode(pcm) : null;
+      } else if (fill) {
+        payload = codec.encode(generateComfortNoise(meta.bytes));
       }
       
-      // Track latency
-      const processingTime = Date.now() - startTime;
-      latencyTracker.record(processingTime);
-      
-      if (processingTime > 400) {
-        logger.warn(`High latency detected: ${processingTime}ms for call ${callId}`);
+      if (payload) {
+        outbound.enqueue(payload, track.name);
       }
-      
-    } catch (error) {
-      logger.error(`Audio processing error for call ${callId}: ${error.message}`);
-      // Don't crash - just skip this chunk
     }
   }
   
+  // Per-track metrics summary
+  function getTrackMetrics() {
+    const result = {};
+    for (const [name, track] of tracks) {
+      result[name] = {
+        policy: track.policy,
+        framesReceived: track.framesReceived,
+        chunksProcessed: track.chunksProcessed,
+        latency: track.latencyTracker.getMetrics(),
+        ordering: {
+          ...track.reorder.getStats(),
+          inFlight: track.inFlight,
+        },
+        events: track.latencyTracker.getCounters(),
+        vad: track.vad ? track.vad.getStats() : null,
+        buffer: track.bufferController ? track.bufferController.getStats() : null,
+        network: track.lossDetector.getStats(),
+      };
+    }
+    return result;
+  }
+  
   // Handle incoming WebSocket messages
   socket.on('message', async (rawData) => {
     try {
@@ -108,28 +570,67 @@ export function handleMediaStream(socket, options) {
           streamSid = message.start.streamSid;
           const customParams = message.start.customParameters || {};
           
+          trackPolicies = parseTrackPolicies(customParams);
+          
+          // Audio comes (and must go back) in the stream's codec
+          try {
+            codec = getTelephonyCodec(message.start.mediaFormat?.encoding);
+          } catch (error) {
+            logger.warn(`${error.message} - assuming μ-law for call ${callId}`);
+          }
+          outbound.setCodec(codec);
+          
+          try {
+            preprocessing = parsePreprocessing(customParams.preprocess);
+          } catch (error) {
+            logger.warn(`${error.message} - using default preprocessing for call ${callId}`);
+          }
+          
           logger.info(`📞 Twilio Stream started: ${streamSid} for call ${callId}`);
+          logger.info(`   Track policies: inbound=${trackPolicies.inbound}, outbound=${trackPolicies.outbound}`);
+          logger.info(`   Codec: ${codec.name} (${message.start.mediaFormat?.encoding || 'default'})`);
+          logger.info(`   Preprocessing: ${formatPreprocessing(preprocessing)}`);
           logger.debug(`Stream params: ${JSON.stringify(customParams)}`);
           
           // Initialize voice transformer for this stream
-          await voiceTransformer.initializeStream(callId, voicePreset);
+          await voiceTransformer.initializeStream(callId, currentPreset, {
+            sampleRate: SAMPLE_RATE_ELEVENLABS,
+            provider: customParams.provider,
+            failurePolicy: customParams.failurePolicy,
+            onHangup: (reason) => hangUp(message.start.callSid || callId, reason),
+          });
           
           // Connect Twilio stream to audio bridge
-          audioBridge.connectTwilioStream(callId, socket, streamSid);
+          audioBridge.connectTwilioStream(callId, socket, streamSid, outbound, codec);
+          audioBridge.setPreprocessing(callId, preprocessing);
           break;
           
         case 'media':
-          // Receive audio chunk from Twilio
+          // Receive audio chunk from Twilio (single-track streams omit `track`)
           const payload = Buffer.from(message.media.payload, 'base64');
-          audioBuffer.push(payload);
+          const track = getTrackState(message.media.track || 'inbound');
+          track.framesReceived++;
+          
+          // Lost, repeated and out-of-order frames, from Twilio's per-track numbering
+          const arrival = track.lossDetector.check(Number(message.media.chunk), Number(message.media.timestamp));
+          if (arrival.lost > 0) {
+            track.latencyTracker.count('packets_lost', arrival.lost);
+          }
+          if (arrival.status === 'duplicate' || arrival.status === 'late') {
+            track.latencyTracker.count(`packets_${arrival.status}`);
+            break;
+          }
+          
+          // Let the laptop user hear the called party (not our own outbound audio)
+          if (track.name === 'inbound') {
+            audioBridge.forwardAudioToClient(callId, payload, Number(message.media.timestamp) || 0);
+          }
           
-          // Process when buffer is ready
-          if (audioBuffer.isReady()) {
-            // Don't await - process asynchronously to avoid blocking
-            processAudioBuffer().catch(err => {
-              logger.error(`Async processing error: ${err.message}`);
-            });
+          if (track.policy === TRACK_POLICIES.DROP) {
+            break;
           }
+          
+          receiveFrame(track, payload, arrival.lost);
           break;
           
         case 'mark':
@@ -142,16 +643,29 @@ export function handleMediaStream(socket, options) {
           isConnected = false;
           
           // Cleanup
-          await voiceTransformer.closeStream(callId);
+          cancelVoiceSwitch();
+          outbound.stop();
+          logger.info(`Call ${callId} outbound pacing: ${JSON.stringify(outbound.getStats())}`);
+          recordTransformMetrics(await voiceTransformer.closeStream(callId));
           
           // Remove audio bridge
           audioBridge.removeBridge(callId);
           
-          // Log metrics
-          const metrics = latencyTracker.getMetrics();
-          logger.info(`Call ${callId} metrics: avg=${metrics.average}ms, max=${metrics.max}ms, min=${metrics.min}ms`);
+          // Log metrics per track
+          for (const [name, metrics] of Object.entries(getTrackMetrics())) {
+            logger.info(`Call ${callId} ${name} track (${metrics.policy}): ${metrics.framesReceived} frames, avg=${metrics.latency.average}ms, max=${metrics.latency.max}ms, min=${metrics.latency.min}ms, events=${JSON.stringify(metrics.events)}${metrics.vad ? `, vad=${JSON.stringify(metrics.vad)}` : ''}`);
+            if (metrics.buffer) {
+              logger.info(`Call ${callId} ${name} buffer: ${metrics.buffer.targetMs}ms after ${metrics.buffer.adjustments} adjustment(s) ${JSON.stringify(metrics.buffer.history)}`);
+            }
+            const network = metrics.network;
+            logger.info(`Call ${callId} ${name} network: ${network.lost} of ${network.received + network.lost} frames lost (${(network.lossRate * 100).toFixed(1)}%) in ${network.gaps} gap(s), longest ${network.longestGapMs}ms, ${network.duplicates} duplicate(s), ${network.late} late`);
+          }
+          callManager.recordNetworkMetrics(callId, Object.fromEntries(
+            Object.entries(getTrackMetrics()).map(([name, metrics]) => [name, metrics.network])
+          ));
           
           callManager.removeActiveStream(callId);
+          audioPool.release(callId);
           break;
           
         default:
@@ -166,8 +680,11 @@ export function handleMediaStream(socket, options) {
   socket.on('close', () => {
     logger.info(`WebSocket closed for call ${callId}`);
     isConnected = false;
-    voiceTransformer.closeStream(callId).catch(() => {});
+    cancelVoiceSwitch();
+    outbound.stop();
+    voiceTransformer.closeStream(callId).then(recordTransformMetrics).catch(() => {});
     callManager.removeActiveStream(callId);
+    audioPool.release(callId);
   });
   
   socket.on('error', (error) => {
@@ -175,6 +692,19 @@ export function handleMediaStream(socket, options) {
   });
 }
 
+/**
+ * Create a media message carrying G.711 audio for Twilio
+ */
+export function createMediaMessage(streamSid, payload) {
+  return JSON.stringify({
+    event: 'media',
+    streamSid: streamSid,
+    media: {
+      payload: payload.toString('base64'),
+    },
+  });
+}
+
 /**
  * Create a mark message for Twilio
  * Useful for tracking audio playback
@@ -200,23 +730,79 @@ export function createClearMessage(streamSid) {
 /**
  * Handle Client Audio Stream WebSocket connection
  * Receives microphone audio from browser, transforms it, forwards to Twilio call
+ * 
+ * The audio format is negotiated on connect, either via the `format` query
+ * param (passed in as options.audioFormat) or a first text control message
+ * `{"type": "config", "format": "pcm16"}`. Clients that send binary audio
+ * without negotiating are assumed to be legacy MediaRecorder (WebM) clients.
+ * 
+ * `{"type": "voice", "voice": "soft_female"}` switches the call's voice
+ * preset mid-call; it is acknowledged with a `voice-ack` message.
  */
 export function handleClientAudioStream(socket, options) {
-  const { callId, voicePreset, callManager, voiceTransformer, audioBridge, logger } = options;
+  const { callId, voicePreset, audioFormat, callManager, voiceTransformer, audioBridge, logger } = options;
   
   // State
   let isConnected = false;
   let audioChunkCount = 0;
+  let clientFormat = null;
+  let clientDecoder = null;
   
   logger.info(`🎤 Client audio stream started for call ${callId}`);
   
+  // Pick the decoder for a negotiated format
+  function selectFormat(format) {
+    clientDecoder = createClientDecoder(format);
+    clientFormat = format;
+    logger.info(`Client audio format for call ${callId}: ${format}`);
+  }
+  
+  if (audioFormat) {
+    try {
+      selectFormat(audioFormat);
+    } catch (error) {
+      logger.warn(`${error.message} - waiting for config message on call ${callId}`);
+    }
+  }
+  
+  // Handle text control messages from the browser
+  function handleControlMessage(text) {
+    const message = JSON.parse(text);
+    
+    switch (message.type) {
+      case 'config':
+        if (audioChunkCount > 0) {
+          throw new Error('Audio format cannot change after audio has started');
+        }
+        selectFormat(message.format);
+        sendControl({ type: 'config-ack', format: clientFormat });
+        break;
+        
+      case 'voice':
+        // Switch the call's voice preset live (applied by the call's media stream)
+        const result = callManager.switchVoice(callId, message.voice);
+        sendControl({ type: 'voice-ack', voice: result.to, from: result.from, pending: result.pending });
+        break;
+        
+      default:
+        logger.debug(`Unknown client control message: ${message.type}`);
+    }
+  }
+  
+  function sendControl(message) {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+  
   // Create or get audio bridge for this call
   if (!audioBridge.getBridgeStatus(callId)) {
     audioBridge.createBridge(callId, voicePreset);
   }
   
-  // Connect client stream to audio bridge
-  audioBridge.connectClientStream(callId, socket);
+  // Connect client stream to audio bridge - the bridge decodes via the
+  // negotiated decoder, in arrival order
+  audioBridge.connectClientStream(callId, socket, (chunk, arrivedAt) => clientDecoder.decode(chunk, arrivedAt));
   
   // Track active client stream
   callManager.addClientStream(callId, {
@@ -224,28 +810,25 @@ export function handleClientAudioStream(socket, options) {
     startTime: Date.now(),
   });
   
-  // Handle incoming audio chunks from browser
-  socket.on('message', async (audioData) => {
+  // Handle incoming audio chunks and control messages from browser
+  socket.on('message', async (data, isBinary) => {
     try {
-      audioChunkCount++;
+      if (!isBinary) {
+        handleControlMessage(data.toString());
+        return;
+      }
       
-      // Log every chunk initially to debug
-      logger.info(`📤 Received client audio chunk ${audioChunkCount} (${audioData.length} bytes) for call ${callId}`);
+      // Legacy clients stream MediaRecorder output without negotiating
+      if (!clientDecoder) {
+        selectFormat(CLIENT_AUDIO_FORMATS.WEBM);
+      }
       
-      // Audio data comes as WebM/Opus from MediaRecorder
-      // We need to:
-      // 1. Convert WebM to raw PCM
-      // 2. Transform the voice 
-      // 3. Convert to μ-law for Twilio
-      // 4. Send to active Twilio call
+      audioChunkCount++;
+      logger.debug(`📤 Received client audio chunk ${audioChunkCount} (${data.length} bytes) for call ${callId}`);
       
       const startTime = Date.now();
       
-      // Forward audio to bridge for processing and forwarding to Twilio
-      await audioBridge.processClientAudio(callId, audioData);
-      
-      // Also log for debugging (can be removed later)
-      await processClientAudio(audioData, callId, voicePreset, voiceTransformer, logger);
+      await audioBridge.processClientAudio(callId, data);
       
       const processingTime = Date.now() - startTime;
       if (processingTime > 50) {
@@ -254,6 +837,9 @@ export function handleClientAudioStream(socket, options) {
       
     } catch (error) {
       logger.error(`Client audio processing error for call ${callId}: ${error.message}`);
+      if (!isBinary) {
+        sendControl({ type: 'error', error: error.message });
+      }
     }
   });
   
@@ -266,6 +852,11 @@ export function handleClientAudioStream(socket, options) {
     logger.info(`Client audio stream closed for call ${callId}`);
     isConnected = false;
     
+    if (clientDecoder) {
+      logger.info(`Client audio (${clientFormat}) for call ${callId}: ${JSON.stringify(clientDecoder.getStats())}`);
+      clientDecoder.close();
+    }
+    
     // Remove bridge if both streams are closed
     audioBridge.removeBridge(callId);
     
@@ -278,33 +869,16 @@ export function handleClientAudioStream(socket, options) {
 }
 
 /**
- * Process client audio data 
- * Currently logs received audio - needs full WebM->Voice Transform->Twilio pipeline
+ * Create the decoder for a client audio format
+ * Each decoder exposes decode(chunk, arrivedAt) → Promise<PCM 16kHz>, getStats() and close()
  */
-async function processClientAudio(webmAudioData, callId, voicePreset, voiceTransformer, logger) {
-  // Log that we're processing audio
-  logger.info(`🎵 Processing ${webmAudioData.length} bytes of client audio for call ${callId} with voice ${voicePreset}`);
-  
-  // TODO: Full implementation needs:
-  // 1. WebM/Opus decoder (ffmpeg or web audio API)
-  // 2. Voice transformation via ElevenLabs 
-  // 3. Audio encoding to μ-law
-  // 4. Send to Twilio Media Stream for the active call
-  
-  // For now, verify we can access the voice transformer
-  try {
-    // This doesn't do actual transformation yet, but validates the service
-    logger.info(`🎭 Voice transformer available for preset: ${voicePreset}`);
-    
-    // TODO: Implement actual audio pipeline here
-    // const pcmAudio = await decodeWebM(webmAudioData);
-    // const transformedAudio = await voiceTransformer.transform(pcmAudio, voicePreset);  
-    // const mulawAudio = await encodeMulaw(transformedAudio);
-    // await sendToTwilioCall(callId, mulawAudio);
-    
-  } catch (error) {
-    logger.error(`Voice processing failed: ${error.message}`);
+function createClientDecoder(format) {
+  switch (format) {
+    case CLIENT_AUDIO_FORMATS.WEBM:
+      return new WebMOpusDecoder(SAMPLE_RATE_ELEVENLABS);
+    case CLIENT_AUDIO_FORMATS.PCM16:
+      return new PcmFrameDecoder();
+    default:
+      throw new Error(`Unsupported client audio format: ${format}`);
   }
-  
-  return true;
 }
@@ -0,0 +1,225 @@
+/**
+ * Outbound Scheduler
+ *
+ * Paces audio into a Twilio Media Stream in real time. Transformed chunks
+ * (200ms or more, arriving in bursts) are sliced into 20ms G.711 frames,
+ * queued in a JitterBuffer and sent one per 20ms tick. When the queue runs
+ * dry mid-call, comfort noise fills the gap so the line never goes dead.
+ *
+ * Twilio plays media messages back to back, so concurrent sources (each
+ * transformed track, the browser mic on the audio bridge) get a queue each
+ * and the frames due on a tick are mixed into one.
+ */
+
+import { JitterBuffer } from '../utils/audio-buffer.js';
+import { generateComfortNoise, TELEPHONY_CODECS } from '../utils/audio-codec.js';
+
+const FRAME_MS = 20;
+const FRAME_BYTES = 160;  // 20ms of 8kHz G.711 (one byte per sample)
+
+// Frames queued before playback starts, and the oldest a frame may get
+const TARGET_DELAY_MS = 60;
+const MAX_DELAY_MS = 1000;
+
+// After an event-loop stall, send at most this many overdue frames at once
+const MAX_CATCHUP_FRAMES = 5;
+
+export class OutboundScheduler {
+  /**
+   * @param {object} options
+   * @param {function} options.send - Sends one encoded frame (Buffer) to Twilio; must not keep
+   *   the Buffer after returning (comfort frames reuse it)
+   * @param {object} [options.codec] - Stream codec from TELEPHONY_CODECS (default μ-law)
+   * @param {number} [options.targetDelayMs] - Prebuffer before playback starts
+   * @param {number} [options.maxDelayMs] - Frames older than this are dropped
+   */
+  constructor(options) {
+    this.send = options.send;
+    this.codec = options.codec || TELEPHONY_CODECS.MULAW;
+    this.targetDelayMs = options.targetDelayMs ?? TARGET_DELAY_MS;
+    this.maxDelayMs = options.maxDelayMs ?? MAX_DELAY_MS;
+
+    this.sources = new Map();  // name -> { jitterBuffer, remainder, frameSequence }
+    this.comfortPcm = new Int16Array(FRAME_BYTES);  // Scratch for comfort noise frames
+    this.comfortFrame = Buffer.alloc(FRAME_BYTES);
+    this.sourcePcm = new Int16Array(FRAME_BYTES);  // Scratch for mixing sources
+    this.mixPcm = new Int32Array(FRAME_BYTES);
+    this.mixFrame = Buffer.alloc(FRAME_BYTES);
+    this.timer = null;
+    this.nextDue = 0;
+    this.playing = false;  // Real audio has been sent - underruns get comfort noise
+    this.starved = false;  // Currently in an underrun
+
+    this.framesQueued = 0;
+    this.framesSent = 0;
+    this.framesDropped = 0;
+    this.comfortFrames = 0;
+    this.underruns = 0;
+  }
+
+  /**
+   * Set the codec comfort noise is encoded with (from the stream's start event)
+   *
+   * @param {object} codec - One of TELEPHONY_CODECS
+   */
+  setCodec(codec) {
+    this.codec = codec;
+  }
+
+  /**
+   * Queue encoded audio for paced playback
+   *
+   * @param {Buffer} encodedAudio - 8kHz G.711 in the stream's codec, any length
+   * @param {string} [sourceName] - Where the audio comes from (e.g. a track name); sources play
+   *   at the same time, mixed
+   */
+  enqueue(encodedAudio, sourceName = 'main') {
+    const source = this.getSource(sourceName);
+    const audio = source.remainder.length > 0 ? Buffer.concat([source.remainder, encodedAudio]) : encodedAudio;
+
+    let offset = 0;
+    for (; offset + FRAME_BYTES <= audio.length; offset += FRAME_BYTES) {
+      const before = source.jitterBuffer.getStats().packetCount;
+      source.jitterBuffer.push(audio.subarray(offset, offset + FRAME_BYTES), source.frameSequence++);
+      this.framesDropped += before + 1 - source.jitterBuffer.getStats().packetCount;
+      this.framesQueued++;
+    }
+    source.remainder = Buffer.from(audio.subarray(offset));
+
+    this.start();
+  }
+
+  getSource(name) {
+    if (!this.sources.has(name)) {
+      this.sources.set(name, {
+        jitterBuffer: new JitterBuffer(this.targetDelayMs, this.maxDelayMs),
+        remainder: Buffer.alloc(0),  // Partial frame carried to the next chunk
+        frameSequence: 0,
+      });
+    }
+    return this.sources.get(name);
+  }
+
+  /**
+   * Start the 20ms clock (no-op if running)
+   */
+  start() {
+    if (this.timer) return;
+    this.nextDue = Date.now() + FRAME_MS;
+    this.timer = setTimeout(() => this.tick(), FRAME_MS);
+  }
+
+  /**
+   * Send every frame that is due, then re-arm the timer against the wall
+   * clock so scheduling jitter doesn't accumulate
+   */
+  tick() {
+    const now = Date.now();
+
+    let due = Math.floor((now - this.nextDue) / FRAME_MS) + 1;
+    if (due > MAX_CATCHUP_FRAMES) {
+      this.nextDue = now - (MAX_CATCHUP_FRAMES - 1) * FRAME_MS;
+      due = MAX_CATCHUP_FRAMES;
+    }
+
+    for (let i = 0; i < due; i++) {
+      this.sendNextFrame();
+      this.nextDue += FRAME_MS;
+    }
+
+    this.timer = setTimeout(() => this.tick(), Math.max(0, this.nextDue - Date.now()));
+  }
+
+  sendNextFrame() {
+    const frames = [];
+    for (const source of this.sources.values()) {
+      const frame = source.jitterBuffer.pop();
+      if (frame) frames.push(frame);
+    }
+
+    if (frames.length > 0) {
+      this.playing = true;
+      this.starved = false;
+      this.framesSent++;
+      this.send(frames.length === 1 ? frames[0] : this.mix(frames));
+      return;
+    }
+
+    // Nothing ready: keep the line alive once playback has begun
+    if (this.playing) {
+      if (!this.starved) {
+        this.starved = true;
+        this.underruns++;
+      }
+      this.comfortFrames++;
+      generateComfortNoise(FRAME_BYTES, undefined, this.comfortPcm);
+      this.send(this.codec.encode(this.comfortPcm, this.comfortFrame));
+    }
+  }
+
+  /**
+   * Sum frames from several sources into one (clipped), in scratch memory
+   */
+  mix(frames) {
+    this.mixPcm.fill(0);
+    for (const frame of frames) {
+      this.codec.decode(frame, this.sourcePcm);
+      for (let i = 0; i < FRAME_BYTES; i++) {
+        this.mixPcm[i] += this.sourcePcm[i];
+      }
+    }
+
+    for (let i = 0; i < FRAME_BYTES; i++) {
+      this.sourcePcm[i] = Math.max(-32768, Math.min(32767, this.mixPcm[i]));
+    }
+    return this.codec.encode(this.sourcePcm, this.mixFrame);
+  }
+
+  /**
+   * Drop everything queued (e.g. Twilio `clear`, preset switch)
+   */
+  flush() {
+    for (const source of this.sources.values()) {
+      source.jitterBuffer.clear();
+      source.remainder = Buffer.alloc(0);
+    }
+  }
+
+  /**
+   * Stop the clock and discard queued audio
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.playing = false;
+    this.starved = false;
+    this.flush();
+  }
+
+  /**
+   * Queue depth (of the fullest source) and counters for monitoring
+   */
+  getStats() {
+    let depthFrames = 0;
+    let depthMs = 0;
+    let oldestDelayMs = 0;
+    for (const source of this.sources.values()) {
+      const { packetCount, oldestDelayMs: delayMs } = source.jitterBuffer.getStats();
+      depthFrames = Math.max(depthFrames, packetCount);
+      depthMs = Math.max(depthMs, packetCount * FRAME_MS + Math.round(source.remainder.length / 8));
+      oldestDelayMs = Math.max(oldestDelayMs, delayMs);
+    }
+
+    return {
+      depthFrames,
+      depthMs,
+      oldestDelayMs,
+      framesQueued: this.framesQueued,
+      framesSent: this.framesSent,
+      framesDropped: this.framesDropped,
+      comfortFrames: this.comfortFrames,
+      underruns: this.underruns,
+      running: !!this.timer,
+    };
+  }
+}
@@ -0,0 +1,396 @@
+/**
+ * Voice Preset Store
+ *
+ * Keeps user-defined and edited voice presets in a JSON file, so presets
+ * created through the API survive restarts. The file is an overlay on the
+ * built-in presets (utils/voice-presets.js): it holds only what differs -
+ * new presets and edited built-ins - so built-in defaults shipped with a new
+ * release still come through. Built-ins can't be deleted (calls fall back to
+ * them), only reset to their defaults; `null` entries written by earlier
+ * versions still hide a built-in until it is reset.
+ *
+ * The store applies itself to the shared VOICE_PRESETS registry in place;
+ * everything that looks presets up (transformer, media streams, API, CLI)
+ * reads that one object.
+ *
+ * Every preset has a `version` (built-ins start at 1) that goes up with each
+ * change, including a reset. Updates and deletes may pass the version they were based on and
+ * are refused if someone changed the preset since. The previous versions of
+ * a preset are kept in the file for reference.
+ *
+ * Changes run one at a time and reach the registry only once the file has
+ * been written, so a failed write leaves presets, history and the file as
+ * they were.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { VOICE_PRESETS, BUILTIN_PRESETS, DEFAULT_PROVIDER } from '../utils/voice-presets.js';
+import { FAILURE_POLICIES } from '../utils/failure-policies.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('preset-store');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_FILE = process.env.VOICE_PRESETS_FILE || path.join(__dirname, '../../data/voice-presets.json');
+const SCHEMA_VERSION = 1;
+const MAX_HISTORY = 10;  // Previous versions kept per preset
+
+// Preset fields and their limits
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const MAX_NAME_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 200;
+const PRESET_FIELDS = ['name', 'description', 'category', 'provider', 'voiceId', 'settings', 'dsp', 'failurePolicy'];
+const SETTINGS_RANGES = { stability: [0, 1], similarity_boost: [0, 1], style: [0, 1] };
+const DSP_RANGES = { pitch: [0.5, 2], formant: [0.5, 2], semitones: [-12, 12] };
+
+/**
+ * Create a store error; `code` is NOT_FOUND, EXISTS, CONFLICT, BUILTIN or INVALID
+ */
+function storeError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+export class PresetStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.file] - JSON file (default: VOICE_PRESETS_FILE or data/voice-presets.json)
+   * @param {Array<string>} [options.providers] - Provider names presets may use (any when omitted)
+   * @param {object} [options.presets] - Registry to keep up to date (default: VOICE_PRESETS)
+   */
+  constructor(options = {}) {
+    this.file = options.file || DEFAULT_FILE;
+    this.providers = options.providers || null;
+    this.presets = options.presets || VOICE_PRESETS;
+    this.overlay = {};   // id -> stored preset, or null for a deleted built-in
+    this.history = {};   // id -> previous versions, oldest first
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Read the file and rebuild the registry from built-ins + overlay
+   * (a missing file means no changes yet)
+   *
+   * @returns {Promise<number>} - Number of presets available
+   */
+  async load() {
+    let data = { presets: {}, history: {} };
+    try {
+      data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Cannot read voice presets from ${this.file}: ${error.message}`);
+      }
+    }
+
+    if (data.schemaVersion > SCHEMA_VERSION) {
+      throw new Error(`Voice presets file ${this.file} is schema ${data.schemaVersion} - this version reads up to ${SCHEMA_VERSION}`);
+    }
+
+    this.overlay = data.presets || {};
+    this.history = data.history || {};
+    this.apply();
+
+    const changed = Object.keys(this.overlay).length;
+    logger.info(`Loaded ${Object.keys(this.presets).length} voice presets (${changed} stored in ${this.file})`);
+    return Object.keys(this.presets).length;
+  }
+
+  /**
+   * All presets, as { id, ...preset }
+   */
+  list() {
+    return Object.entries(this.presets).map(([id, preset]) => ({ id, ...preset }));
+  }
+
+  /**
+   * One preset with its previous versions, or null
+   */
+  get(id) {
+    const preset = this.presets[id];
+    if (!preset) {
+      return null;
+    }
+    return { id, ...preset, history: this.history[id] || [] };
+  }
+
+  /**
+   * Add a preset
+   *
+   * @param {string} id - New preset ID (lowercase letters, digits, _ and -)
+   * @param {object} config - Preset fields (see utils/voice-presets.js)
+   * @returns {Promise<object>} - The stored preset
+   */
+  async create(id, config) {
+    return this.queue(() => {
+      const preset = this.checkNew(id, config);
+      const version = (this.history[id]?.at(-1)?.version || 0) + 1;  // A re-created ID carries on
+      return this.commit(id, { ...preset, version, updatedAt: new Date().toISOString() });
+    });
+  }
+
+  /**
+   * Check that a preset could be created (free, valid ID and valid fields)
+   * without creating it
+   *
+   * @param {string} id - New preset ID
+   * @param {object} config - Preset fields
+   * @param {object} [options] - validate() options (default: requireVoiceId)
+   * @returns {object} - Clean copy of the preset fields
+   */
+  checkNew(id, config, options = { requireVoiceId: true }) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      throw storeError('INVALID', `Invalid preset ID: ${id} (use up to 40 lowercase letters, digits, _ and -)`);
+    }
+    if (this.presets[id]) {
+      throw storeError('EXISTS', `Voice preset already exists: ${id}`);
+    }
+    return this.validate({ category: 'custom', ...pickFields(config) }, options);
+  }
+
+  /**
+   * Change a preset; fields left out keep their current value
+   *
+   * @param {string} id - Preset ID
+   * @param {object} changes - Preset fields to replace (null removes an optional field)
+   * @param {object} [options]
+   * @param {number} [options.version] - Version the change is based on
+   * @returns {Promise<object>} - The stored preset
+   */
+  async update(id, changes, options = {}) {
+    return this.queue(() => {
+      const current = this.requireVersion(id, options.version);
+      const { version, updatedAt, ...fields } = current;
+
+      const merged = { ...fields, ...pickFields(changes) };
+      for (const [field, value] of Object.entries(merged)) {
+        if (value === null) delete merged[field];
+      }
+
+      const preset = this.validate(merged);
+      return this.commit(id, { ...preset, version: version + 1, updatedAt: new Date().toISOString() }, current);
+    });
+  }
+
+  /**
+   * Delete a preset (built-ins are refused - see reset)
+   *
+   * @param {string} id - Preset ID
+   * @param {object} [options]
+   * @param {number} [options.version] - Version the delete is based on
+   */
+  async remove(id, options = {}) {
+    await this.queue(() => {
+      const current = this.requireVersion(id, options.version);
+      if (BUILTIN_PRESETS[id]) {
+        throw storeError('BUILTIN', `Voice preset ${id} is built in and can't be deleted - reset it to undo changes`);
+      }
+      return this.commit(id, null, current);
+    });
+  }
+
+  /**
+   * Put a built-in preset back to its defaults (dropping any stored edits,
+   * or a deletion from an older file)
+   *
+   * @param {string} id - Built-in preset ID
+   * @param {object} [options]
+   * @param {number} [options.version] - Version the reset is based on
+   * @returns {Promise<object>} - The restored preset
+   */
+  async reset(id, options = {}) {
+    return this.queue(async () => {
+      if (!BUILTIN_PRESETS[id]) {
+        throw storeError(this.presets[id] ? 'INVALID' : 'NOT_FOUND', `Voice preset ${id} is not built in`);
+      }
+
+      const current = this.presets[id] && this.requireVersion(id, options.version);
+      if (id in this.overlay) {
+        await this.commit(id, null, current);
+      }
+      return { id, ...this.presets[id] };
+    });
+  }
+
+  /**
+   * Check a preset's fields, returning a clean copy
+   *
+   * @param {object} preset - Preset fields
+   * @param {object} [options]
+   * @param {boolean} [options.requireVoiceId] - ElevenLabs presets must name a voice (new presets;
+   *   an existing one such as `custom` may still be waiting for its ID)
+   * @throws {Error} - code INVALID, with every problem in the message
+   */
+  validate(preset, options = {}) {
+    const problems = [];
+    const provider = preset.provider || DEFAULT_PROVIDER;
+
+    if (typeof preset.name !== 'string' || !preset.name.trim() || preset.name.length > MAX_NAME_LENGTH) {
+      problems.push(`name must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+    if (preset.description !== undefined && (typeof preset.description !== 'string' || preset.description.length > MAX_DESCRIPTION_LENGTH)) {
+      problems.push(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    if (preset.category !== undefined && (typeof preset.category !== 'string' || !ID_PATTERN.test(preset.category))) {
+      problems.push('category must be a lowercase word');
+    }
+    if (preset.provider !== undefined && (typeof preset.provider !== 'string' || (this.providers && !this.providers.includes(provider)))) {
+      problems.push(`provider must be one of: ${(this.providers || []).join(', ')}`);
+    }
+    if (preset.voiceId !== undefined && typeof preset.voiceId !== 'string') {
+      problems.push('voiceId must be a string');
+    }
+    if (options.requireVoiceId && provider === DEFAULT_PROVIDER && !preset.voiceId) {
+      problems.push(`voiceId is required for ${DEFAULT_PROVIDER} presets`);
+    }
+    if (preset.failurePolicy !== undefined && !Object.values(FAILURE_POLICIES).includes(preset.failurePolicy)) {
+      problems.push(`failurePolicy must be one of: ${Object.values(FAILURE_POLICIES).join(', ')}`);
+    }
+    if (preset.settings !== undefined) {
+      problems.push(...checkBlock('settings', preset.settings, SETTINGS_RANGES, ['use_speaker_boost']));
+    }
+    if (preset.dsp !== undefined) {
+      problems.push(...checkBlock('dsp', preset.dsp, DSP_RANGES, []));
+    }
+
+    if (problems.length > 0) {
+      throw storeError('INVALID', `Invalid voice preset: ${problems.join('; ')}`);
+    }
+    return structuredClone(preset);
+  }
+
+  /**
+   * The preset, if it exists and is still at `version` (when given)
+   */
+  requireVersion(id, version) {
+    const current = this.presets[id];
+    if (!current) {
+      throw storeError('NOT_FOUND', `Unknown voice preset: ${id}`);
+    }
+    if (version !== undefined && Number(version) !== current.version) {
+      throw storeError('CONFLICT', `Voice preset ${id} is at version ${current.version}, not ${version} - reload and retry`);
+    }
+    return current;
+  }
+
+  /**
+   * Run a change after the ones queued before it (checks see their result)
+   */
+  queue(change) {
+    const result = this.writeChain.catch(() => {}).then(change);
+    this.writeChain = result;
+    return result;
+  }
+
+  /**
+   * Write a change to the file, then record it in the overlay and registry
+   *
+   * @param {string} id - Preset ID
+   * @param {object|null} preset - Stored preset, or null to delete (reset a built-in)
+   * @param {object} [replaced] - Version being replaced, added to the history
+   */
+  async commit(id, preset, replaced) {
+    const overlay = { ...this.overlay };
+    // Deleting a custom preset (or resetting a built-in) leaves nothing behind
+    if (preset === null) {
+      delete overlay[id];
+    } else {
+      overlay[id] = preset;
+    }
+
+    let history = this.history;
+    if (replaced) {
+      const entries = [...(history[id] || []), { ...structuredClone(replaced), replacedAt: new Date().toISOString() }];
+      history = { ...history, [id]: entries.slice(-MAX_HISTORY) };
+    }
+
+    await this.save(overlay, history);
+
+    this.overlay = overlay;
+    this.history = history;
+    this.apply();
+    if (preset) {
+      logger.info(`Voice preset ${id} saved (version ${preset.version})`);
+    } else {
+      logger.info(BUILTIN_PRESETS[id] ? `Voice preset ${id} reset to its defaults` : `Voice preset ${id} deleted`);
+    }
+    return preset && { id, ...preset };
+  }
+
+  /**
+   * Rebuild the registry in place (other modules hold a reference to it).
+   * A reset built-in carries on from its last stored version.
+   */
+  apply() {
+    for (const id of Object.keys(this.presets)) {
+      delete this.presets[id];
+    }
+    for (const [id, preset] of Object.entries(BUILTIN_PRESETS)) {
+      const version = (this.history[id]?.at(-1)?.version || 0) + 1;
+      this.presets[id] = { ...structuredClone(preset), version };
+    }
+    for (const [id, preset] of Object.entries(this.overlay)) {
+      if (preset === null) {
+        delete this.presets[id];
+      } else {
+        this.presets[id] = structuredClone(preset);
+      }
+    }
+  }
+
+  /**
+   * Write the file (replaced atomically)
+   */
+  async save(overlay, history) {
+    const data = JSON.stringify({
+      schemaVersion: SCHEMA_VERSION,
+      presets: overlay,
+      history,
+    }, null, 2);
+
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    const temporary = `${this.file}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, data);
+    await fs.rename(temporary, this.file);
+  }
+}
+
+/**
+ * Only the known preset fields (ignores id, version and anything else sent)
+ */
+function pickFields(config = {}) {
+  const fields = {};
+  for (const field of PRESET_FIELDS) {
+    if (config[field] !== undefined) {
+      fields[field] = config[field];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Problems with a `settings` or `dsp` block: numbers within range,
+ * booleans where expected, nothing unknown
+ */
+function checkBlock(name, block, ranges, booleans) {
+  if (!block || typeof block !== 'object' || Array.isArray(block)) {
+    return [`${name} must be an object`];
+  }
+
+  const problems = [];
+  for (const [key, value] of Object.entries(block)) {
+    if (booleans.includes(key)) {
+      if (typeof value !== 'boolean') problems.push(`${name}.${key} must be true or false`);
+    } else if (ranges[key]) {
+      const [min, max] = ranges[key];
+      if (typeof value !== 'number' || !(value >= min && value <= max)) {
+        problems.push(`${name}.${key} must be a number from ${min} to ${max}`);
+      }
+    } else {
+      problems.push(`${name}.${key} is not a known setting`);
+    }
+  }
+  return problems;
+}
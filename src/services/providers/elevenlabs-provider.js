@@ -0,0 +1,199 @@
+/**
+ * ElevenLabs Voice Provider
+ *
+ * Speech-to-Speech via the ElevenLabs API: per-chunk multipart HTTP
+ * requests.
+ */
+
+import { VoiceProvider } from './voice-provider.js';
+import { pcmToWav } from '../../utils/audio-codec.js';
+
+// ElevenLabs API configuration
+const ELEVENLABS_API_URL = process.env.ELEVENLABS_API_URL || 'https://api.elevenlabs.io/v1';
+
+// Model options - flash for low latency
+const DEFAULT_MODEL = 'eleven_english_sts_v2';
+const FLASH_MODEL = 'eleven_flash_v2_5';  // Lower latency
+
+// Default voice settings when a preset has none
+const DEFAULT_VOICE_SETTINGS = {
+  stability: 0.5,
+  similarity_boost: 0.75,
+  style: 0.0,
+  use_speaker_boost: true,
+};
+
+export class ElevenLabsProvider extends VoiceProvider {
+  /**
+   * @param {object} config - Overrides for the environment configuration
+   * @param {string} [config.apiKey] - ElevenLabs API key
+   * @param {string} [config.apiUrl] - HTTP API base URL
+   */
+  constructor(config = {}) {
+    super('elevenlabs');
+    this.apiKey = config.apiKey ?? process.env.ELEVENLABS_API_KEY;
+    this.apiUrl = config.apiUrl || ELEVENLABS_API_URL;
+  }
+
+  get capabilities() {
+    return {
+      sampleRates: [16000, 22050, 24000, 44100],
+      streaming: false,
+      voiceListing: true,
+      voiceCloning: true,
+      requiresApiKey: true,
+    };
+  }
+
+  isAvailable() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Model for STS requests - flash for lower latency
+   */
+  getModelId() {
+    return process.env.USE_FLASH_MODEL === 'true' ? FLASH_MODEL : DEFAULT_MODEL;
+  }
+
+  /**
+   * Transform a chunk via the HTTP Speech-to-Speech endpoint
+   */
+  async transform(pcmBuffer, preset, options = {}) {
+    if (!preset.voiceId) {
+      throw new Error(`Preset ${preset.id} has no ElevenLabs voice ID`);
+    }
+
+    const sampleRate = options.sampleRate || 16000;
+
+    // Convert PCM buffer to WAV format for API
+    const wavBuffer = pcmToWav(pcmBuffer, sampleRate);
+
+    return this.callSpeechToSpeechAPI(preset.voiceId, wavBuffer, {
+      modelId: this.getModelId(),
+      outputFormat: `pcm_${sampleRate}`,
+      voiceSettings: preset.settings || DEFAULT_VOICE_SETTINGS,
+    });
+  }
+
+  /**
+   * Call ElevenLabs Speech-to-Speech API
+   */
+  async callSpeechToSpeechAPI(voiceId, audioBuffer, options) {
+    const { modelId, outputFormat, voiceSettings } = options;
+
+    const formData = new FormData();
+    formData.append('audio', new Blob([audioBuffer], { type: 'audio/wav' }), 'input.wav');
+    formData.append('model_id', modelId);
+    formData.append('output_format', outputFormat);
+
+    if (voiceSettings) {
+      formData.append('voice_settings', JSON.stringify(voiceSettings));
+    }
+
+    const url = `${this.apiUrl}/speech-to-speech/${voiceId}`;
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'xi-api-key': this.apiKey,
+      },
+      body: formData,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`ElevenLabs API error: ${response.status} - ${errorText}`);
+    }
+
+    // Get audio data from response
+    const arrayBuffer = await response.arrayBuffer();
+    return Buffer.from(arrayBuffer);
+  }
+
+  /**
+   * List voices on the account (premade, cloned and generated)
+   */
+  async listVoices() {
+    const data = await this.fetchVoices();
+    return (data.voices || []).map(voice => ({
+      id: voice.voice_id,
+      name: voice.name,
+      category: voice.category || null,
+      description: voice.description || null,
+      labels: voice.labels || {},
+      previewUrl: voice.preview_url || null,
+    }));
+  }
+
+  /**
+   * Instant voice clone (POST /v1/voices/add)
+   */
+  async cloneVoice(voice) {
+    const formData = new FormData();
+    formData.append('name', voice.name);
+    for (const sample of voice.samples) {
+      formData.append('files', new Blob([sample.wav], { type: 'audio/wav' }), sample.filename);
+    }
+    if (voice.description) {
+      formData.append('description', voice.description);
+    }
+    if (voice.labels) {
+      formData.append('labels', JSON.stringify(voice.labels));
+    }
+
+    const response = await fetch(`${this.apiUrl}/voices/add`, {
+      method: 'POST',
+      headers: {
+        'xi-api-key': this.apiKey,
+      },
+      body: formData,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`ElevenLabs API error: ${response.status} - ${errorText}`);
+    }
+
+    const data = await response.json();
+    return { voiceId: data.voice_id };
+  }
+
+  /**
+   * GET /v1/voices
+   */
+  async fetchVoices() {
+    const response = await fetch(`${this.apiUrl}/voices`, {
+      headers: {
+        'xi-api-key': this.apiKey,
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`API returned ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Test the ElevenLabs connection
+   */
+  async testConnection() {
+    if (!this.apiKey) {
+      return { success: false, error: 'API key not configured' };
+    }
+
+    try {
+      const voices = await this.listVoices();
+      return {
+        success: true,
+        voiceCount: voices.length,
+        voices,
+        message: 'ElevenLabs connection successful',
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * Voice Provider Registry
+ *
+ * Builds the set of providers VoiceTransformer can route presets to.
+ */
+
+import { ElevenLabsProvider } from './elevenlabs-provider.js';
+import { PassthroughProvider } from './passthrough-provider.js';
+import { LocalDspProvider } from './local-dsp-provider.js';
+
+export { VoiceProvider } from './voice-provider.js';
+export { ElevenLabsProvider, PassthroughProvider, LocalDspProvider };
+
+/**
+ * Create all built-in providers
+ *
+ * @param {object} config - Provider configuration
+ * @param {object} [config.elevenlabs] - ElevenLabsProvider options
+ * @param {object} [config.localDsp] - LocalDspProvider options
+ * @param {Array<VoiceProvider>} [config.extra] - Additional providers to register
+ * @returns {Map<string, VoiceProvider>} - Providers keyed by name
+ */
+export function createProviders(config = {}) {
+  const providers = new Map();
+
+  const builtIn = [
+    new ElevenLabsProvider(config.elevenlabs),
+    new PassthroughProvider(),
+    new LocalDspProvider(config.localDsp),
+    ...(config.extra || []),
+  ];
+
+  for (const provider of builtIn) {
+    providers.set(provider.name, provider);
+  }
+
+  return providers;
+}
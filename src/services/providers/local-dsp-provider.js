@@ -0,0 +1,54 @@
+/**
+ * Local DSP Voice Provider
+ *
+ * Disguises the voice on the CPU with no network access, using the
+ * phase-vocoder engine in utils/voice-dsp.js. Parameters come from the
+ * preset's `dsp` block, e.g. { pitch: 0.8, formant: 0.9 } for a deeper voice.
+ *
+ * The DSP runs as an audio task (utils/audio-tasks.js) on the given worker
+ * pool, which keeps one engine per call and audio stream on the call's worker.
+ */
+
+import { VoiceProvider } from './voice-provider.js';
+import { AudioWorkerPool } from '../audio-worker-pool.js';
+
+// Used for presets without a `dsp` block
+const DEFAULT_DSP = { pitch: 0.85, formant: 0.92 };
+
+export class LocalDspProvider extends VoiceProvider {
+  /**
+   * @param {object} [options]
+   * @param {AudioWorkerPool} [options.pool] - Where the DSP runs (default: inline)
+   */
+  constructor(options = {}) {
+    super('local-dsp');
+    this.pool = options.pool || new AudioWorkerPool({ size: 0 });
+  }
+
+  get capabilities() {
+    return {
+      sampleRates: [8000, 16000, 22050, 24000, 44100, 48000],
+      streaming: false,
+      voiceListing: false,
+      voiceCloning: false,
+      requiresApiKey: false,
+    };
+  }
+
+  async transform(pcmBuffer, preset, options = {}) {
+    // Without a call ID the clip is processed on its own (latency compensated);
+    // with one, overlapping windows repeat `contextSamples` the stream's engine
+    // has already heard and only the new audio is processed
+    return this.pool.run(options.callId || null, 'dsp', {
+      pcm: pcmBuffer,
+      params: preset.dsp || DEFAULT_DSP,
+      sampleRate: options.sampleRate || 16000,
+      contextSamples: options.contextSamples || 0,
+      stream: options.stream,
+    });
+  }
+
+  release(callId) {
+    this.pool.release(callId);
+  }
+}
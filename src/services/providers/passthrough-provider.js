@@ -0,0 +1,28 @@
+/**
+ * Passthrough Voice Provider
+ *
+ * Returns audio unchanged. Useful for CI, debugging the pipeline and
+ * measuring latency without any transformation cost.
+ */
+
+import { VoiceProvider } from './voice-provider.js';
+
+export class PassthroughProvider extends VoiceProvider {
+  constructor() {
+    super('passthrough');
+  }
+
+  get capabilities() {
+    return {
+      sampleRates: [8000, 16000, 22050, 24000, 44100, 48000],
+      streaming: false,
+      voiceListing: false,
+      voiceCloning: false,
+      requiresApiKey: false,
+    };
+  }
+
+  async transform(pcmBuffer) {
+    return pcmBuffer;
+  }
+}
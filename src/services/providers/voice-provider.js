@@ -0,0 +1,110 @@
+/**
+ * Voice Provider Interface
+ *
+ * Base class for voice-transformation backends. VoiceTransformer picks a
+ * provider per preset (`provider` field in VOICE_PRESETS) or per call and
+ * only talks to it through this interface.
+ */
+
+export class VoiceProvider {
+  /**
+   * @param {string} name - Provider identifier used in presets (e.g. 'elevenlabs')
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Describe what the provider supports
+   *
+   * @returns {{sampleRates: number[], streaming: boolean, voiceListing: boolean, voiceCloning: boolean,
+   *   requiresApiKey: boolean}}
+   */
+  get capabilities() {
+    return {
+      sampleRates: [16000],
+      streaming: false,
+      voiceListing: false,
+      voiceCloning: false,
+      requiresApiKey: false,
+    };
+  }
+
+  /**
+   * Whether the provider is configured and usable
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Transform a chunk of audio
+   *
+   * @param {Buffer} pcmBuffer - PCM audio (16-bit signed, mono)
+   * @param {object} preset - Voice preset ({ id, voiceId, settings, ... })
+   * @param {object} options - { sampleRate, callId, contextSamples, stream }
+   * @returns {Promise<Buffer>} - Transformed PCM at the same sample rate
+   *
+   * `contextSamples` leading samples repeat the end of the previous chunk
+   * (overlapping windows); stateful providers should not process them twice.
+   * A call can carry several audio streams (`stream`, e.g. a Twilio track or
+   * the browser mic); stateful providers keep separate state for each.
+   */
+  async transform(pcmBuffer, preset, options = {}) {
+    throw new Error(`Provider ${this.name} does not implement transform()`);
+  }
+
+  /**
+   * List voices offered by the provider (providers with capabilities.voiceListing)
+   *
+   * @returns {Promise<Array<{id: string, name: string, category: string|null, description: string|null,
+   *   labels: object, previewUrl: string|null}>>}
+   */
+  async listVoices() {
+    return [];
+  }
+
+  /**
+   * Create a voice from recordings of a speaker (providers with capabilities.voiceCloning)
+   *
+   * @param {object} voice
+   * @param {string} voice.name - Name for the new voice
+   * @param {string} [voice.description] - Description for the new voice
+   * @param {object} [voice.labels] - Labels, e.g. { accent: 'british' }
+   * @param {Array<{filename: string, wav: Buffer}>} voice.samples - Mono 16-bit PCM WAV recordings
+   * @returns {Promise<{voiceId: string}>}
+   */
+  async cloneVoice(voice) {
+    throw new Error(`Provider ${this.name} does not support voice cloning`);
+  }
+
+  /**
+   * Drop any per-call state (called when the call's stream closes)
+   *
+   * @param {string} callId - Call identifier
+   */
+  release(callId) {}
+
+  /**
+   * Check connectivity/configuration
+   *
+   * @returns {Promise<{success: boolean, error?: string, voices?: Array}>} - `voices` when
+   *   the check listed them (see listVoices)
+   */
+  async testConnection() {
+    return { success: this.isAvailable() };
+  }
+
+  /**
+   * Pick the closest supported sample rate for a requested rate
+   */
+  getSupportedRate(sampleRate) {
+    const rates = this.capabilities.sampleRates;
+    if (rates.includes(sampleRate)) {
+      return sampleRate;
+    }
+    return rates.reduce((best, rate) =>
+      Math.abs(rate - sampleRate) < Math.abs(best - sampleRate) ? rate : best
+    );
+  }
+}
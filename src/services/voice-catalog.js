@@ -0,0 +1,173 @@
+/**
+ * Voice Catalog
+ *
+ * The voices each provider account actually has (premade, cloned and
+ * generated), synced from providers that can list them (ElevenLabs
+ * GET /v1/voices) and cached for a while, so the voice list can be shown
+ * without a provider request per page load.
+ *
+ * The catalog is also what tells us a preset has gone stale: a preset whose
+ * `voiceId` the provider no longer lists (the voice was deleted from the
+ * account, or a cloned voice belongs to another account) would fail on
+ * every chunk of a call.
+ */
+
+import { VOICE_PRESETS, DEFAULT_PROVIDER } from '../utils/voice-presets.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('voice-catalog');
+
+// How long a provider's voice list is trusted before it is synced again
+const DEFAULT_TTL_MS = parseInt(process.env.VOICE_CATALOG_TTL_MS) || 10 * 60 * 1000;
+
+// How long after a failed sync the provider is left alone (the last list, if
+// any, is served meanwhile) - otherwise every page load hits a provider that's down
+const DEFAULT_RETRY_MS = parseInt(process.env.VOICE_CATALOG_RETRY_MS) || 30 * 1000;
+
+export class VoiceCatalog {
+  /**
+   * @param {object} options
+   * @param {Map<string, VoiceProvider>} options.providers - Providers by name (those with
+   *   capabilities.voiceListing are synced)
+   * @param {number} [options.ttlMs] - Cache lifetime (default VOICE_CATALOG_TTL_MS, 10 minutes)
+   * @param {number} [options.retryMs] - Wait after a failed sync (default VOICE_CATALOG_RETRY_MS, 30 seconds)
+   * @param {object} [options.presets] - Preset registry checked for missing voices (default: VOICE_PRESETS)
+   */
+  constructor(options) {
+    this.providers = options.providers;
+    this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    this.retryMs = options.retryMs || DEFAULT_RETRY_MS;
+    this.presets = options.presets || VOICE_PRESETS;
+    this.entries = new Map();  // provider -> { voices, syncedAt, error, failedAt }
+    this.syncing = new Map();  // provider -> in-flight sync
+    this.generations = new Map();  // provider -> invalidate() count (results of older syncs are dropped)
+  }
+
+  /**
+   * Voices from every listing provider, synced where the cache has expired
+   *
+   * A provider that can't be reached keeps serving its last list (marked
+   * `stale`, with the error); one that never synced contributes nothing.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.refresh] - Sync even if the cache is fresh
+   * @returns {Promise<{voices: Array, providers: object, missingPresets: Array}>}
+   */
+  async getVoices(options = {}) {
+    const names = this.getListingProviders();
+    await Promise.all(names.map(name => {
+      const entry = this.entries.get(name);
+      return options.refresh || !this.isFresh(entry) ? this.sync(name) : null;
+    }));
+
+    const voices = [];
+    const providers = {};
+    for (const name of names) {
+      const entry = this.entries.get(name);
+      if (!entry) continue;
+
+      voices.push(...entry.voices.map(voice => ({ ...voice, provider: name })));
+      providers[name] = {
+        count: entry.voices.length,
+        syncedAt: entry.syncedAt ? new Date(entry.syncedAt).toISOString() : null,
+        expiresAt: entry.syncedAt ? new Date(entry.syncedAt + this.ttlMs).toISOString() : null,
+        stale: !!entry.error,
+        error: entry.error,
+      };
+    }
+
+    return { voices, providers, missingPresets: this.getMissingPresets() };
+  }
+
+  /**
+   * Fetch one provider's voices into the cache (concurrent calls share a
+   * request; one overtaken by invalidate() is not cached)
+   */
+  sync(name) {
+    if (!this.syncing.has(name)) {
+      const generation = this.generations.get(name) || 0;
+      const current = () => (this.generations.get(name) || 0) === generation;
+
+      const sync = this.providers.get(name).listVoices()
+        .then((voices) => {
+          if (current()) this.store(name, voices);
+        })
+        .catch((error) => {
+          if (!current()) return;
+          const entry = this.entries.get(name);
+          logger.warn(`Voice catalog sync failed for ${name}: ${error.message}${entry?.syncedAt ? ' - keeping the last list' : ''}`);
+          this.entries.set(name, { voices: [], syncedAt: null, ...entry, error: error.message, failedAt: Date.now() });
+        })
+        .finally(() => {
+          if (this.syncing.get(name) === sync) this.syncing.delete(name);
+        });
+      this.syncing.set(name, sync);
+    }
+    return this.syncing.get(name);
+  }
+
+  /**
+   * Cache a provider's voice list (from a sync, or a connection test that
+   * listed voices anyway)
+   *
+   * @param {string} name - Provider name
+   * @param {Array} voices - As returned by the provider's listVoices()
+   */
+  store(name, voices) {
+    this.entries.set(name, { voices, syncedAt: Date.now(), error: null, failedAt: null });
+
+    const missing = this.getMissingPresets().filter(preset => preset.provider === name);
+    logger.info(`Voice catalog synced ${voices.length} ${name} voices${missing.length ? ` - ${missing.length} preset(s) use voices the account no longer has: ${missing.map(preset => preset.id).join(', ')}` : ''}`);
+  }
+
+  /**
+   * Forget a provider's list (it changed, e.g. a voice was cloned); the next
+   * getVoices() syncs it again, and a sync already under way (which may
+   * have missed the change) is ignored
+   */
+  invalidate(name) {
+    this.generations.set(name, (this.generations.get(name) || 0) + 1);
+    this.entries.delete(name);
+    this.syncing.delete(name);
+  }
+
+  /**
+   * Presets whose voice isn't in their provider's last synced list
+   * (providers that haven't synced yet are not judged)
+   *
+   * @returns {Array<{id: string, provider: string, voiceId: string}>}
+   */
+  getMissingPresets() {
+    const missing = [];
+    for (const [id, preset] of Object.entries(this.presets)) {
+      const provider = preset.provider || DEFAULT_PROVIDER;
+      const entry = this.entries.get(provider);
+      if (!preset.voiceId || !entry?.syncedAt) continue;
+
+      if (!entry.voices.some(voice => voice.id === preset.voiceId)) {
+        missing.push({ id, provider, voiceId: preset.voiceId });
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * Providers that can list voices and are configured
+   */
+  getListingProviders() {
+    return [...this.providers.entries()]
+      .filter(([_, provider]) => provider.capabilities.voiceListing && provider.isAvailable())
+      .map(([name]) => name);
+  }
+
+  /**
+   * Whether an entry can be served without syncing: a list within its TTL,
+   * or a failed sync within the retry delay
+   */
+  isFresh(entry) {
+    if (entry?.error) {
+      return Date.now() - entry.failedAt < this.retryMs;
+    }
+    return !!entry?.syncedAt && Date.now() - entry.syncedAt < this.ttlMs;
+  }
+}
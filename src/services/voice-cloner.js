@@ -0,0 +1,147 @@
+/**
+ * Voice Cloner
+ *
+ * Turns recordings of a speaker into a voice preset: the samples are
+ * checked (WAV, length, not silent), sent to a provider that can clone
+ * voices (VoiceProvider.cloneVoice), and the new voice is registered in the
+ * PresetStore with its own settings - no more pasting CUSTOM_VOICE_ID.
+ *
+ * Everything that can be checked locally is checked before the provider is
+ * asked, since cloning creates a voice on the account.
+ */
+
+import { wavToPcm, pcmToWav, isSilence } from '../utils/audio-codec.js';
+import { DEFAULT_PROVIDER } from '../utils/voice-presets.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('voice-cloner');
+
+// Sample limits (ElevenLabs instant cloning takes up to 25 files; a minute
+// or more of clean speech gives the best likeness)
+const MAX_SAMPLES = 25;
+const MIN_SAMPLE_SECONDS = 1;
+const MAX_SAMPLE_SECONDS = 300;
+const MIN_TOTAL_SECONDS = parseFloat(process.env.VOICE_CLONE_MIN_SECONDS) || 30;
+const SILENCE_RMS = 200;
+
+/**
+ * Create a cloning error; `code` is INVALID or UNAVAILABLE (others come from PresetStore)
+ */
+function cloneError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+export class VoiceCloner {
+  /**
+   * @param {object} options
+   * @param {Map<string, VoiceProvider>} options.providers - Providers by name
+   * @param {PresetStore} options.presetStore - Where the new preset is saved
+   * @param {VoiceCatalog} [options.voiceCatalog] - Told when a provider's voice list changes
+   */
+  constructor(options) {
+    this.providers = options.providers;
+    this.presetStore = options.presetStore;
+    this.voiceCatalog = options.voiceCatalog || null;
+  }
+
+  /**
+   * Clone a voice and save it as a preset
+   *
+   * @param {string} id - New preset ID
+   * @param {object} request
+   * @param {string} request.name - Preset (and provider voice) name
+   * @param {Array<{filename?: string, data: Buffer}>} request.samples - WAV recordings
+   * @param {string} [request.provider] - Cloning provider (default: elevenlabs)
+   * @param {object} [request.labels] - Provider voice labels
+   * @param {object} [request.settings] - Preset voice settings; description, dsp and
+   *   failurePolicy are taken as for PresetStore.create
+   * @returns {Promise<object>} - The new preset
+   * @throws {Error} - code INVALID (request or samples), UNAVAILABLE (provider), or a
+   *   PresetStore code; provider failures have no code
+   */
+  async clone(id, request = {}) {
+    const { samples: uploads, labels, ...config } = request;
+    const providerName = config.provider || DEFAULT_PROVIDER;
+    const provider = this.providers.get(providerName);
+
+    if (!provider?.capabilities.voiceCloning) {
+      throw cloneError('INVALID', `Provider ${providerName} cannot clone voices`);
+    }
+    if (!provider.isAvailable()) {
+      throw cloneError('UNAVAILABLE', `Provider ${providerName} is not configured`);
+    }
+    if (labels !== undefined && (!labels || typeof labels !== 'object' || Array.isArray(labels))) {
+      throw cloneError('INVALID', 'labels must be an object');
+    }
+
+    const fields = this.presetStore.checkNew(id, { ...config, provider: providerName, category: 'cloned' }, {});
+    const samples = checkSamples(uploads);
+    const seconds = samples.reduce((total, sample) => total + sample.seconds, 0);
+
+    logger.info(`🧬 Cloning voice "${fields.name}" from ${samples.length} sample(s), ${seconds.toFixed(1)}s (${providerName})`);
+    const { voiceId } = await provider.cloneVoice({
+      name: fields.name,
+      description: fields.description,
+      labels,
+      samples: samples.map(({ filename, wav }) => ({ filename, wav })),
+    });
+    this.voiceCatalog?.invalidate(providerName);
+
+    try {
+      return await this.presetStore.create(id, { ...fields, voiceId });
+    } catch (error) {
+      // The voice exists on the account now - say which, so it isn't lost
+      logger.error(`Voice ${voiceId} was cloned but preset ${id} could not be saved: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Decode and check uploaded samples, re-encoded as mono 16-bit WAV
+ *
+ * @throws {Error} - code INVALID naming each bad sample
+ */
+function checkSamples(uploads) {
+  if (!Array.isArray(uploads) || uploads.length === 0) {
+    throw cloneError('INVALID', 'At least one audio sample is required');
+  }
+  if (uploads.length > MAX_SAMPLES) {
+    throw cloneError('INVALID', `At most ${MAX_SAMPLES} audio samples are accepted (got ${uploads.length})`);
+  }
+
+  const problems = [];
+  const samples = uploads.map((upload, i) => {
+    const filename = String(upload?.filename || `sample-${i + 1}.wav`).replace(/[^\w. -]/g, '_');
+    if (!Buffer.isBuffer(upload?.data)) {
+      problems.push(`${filename}: no audio data`);
+      return null;
+    }
+
+    let clip;
+    try {
+      clip = wavToPcm(upload.data);
+    } catch (error) {
+      problems.push(`${filename}: ${error.message}`);
+      return null;
+    }
+
+    const seconds = clip.pcm.length / 2 / clip.sampleRate;
+    if (seconds < MIN_SAMPLE_SECONDS || seconds > MAX_SAMPLE_SECONDS) {
+      problems.push(`${filename}: ${seconds.toFixed(1)}s long (each sample must be ${MIN_SAMPLE_SECONDS}-${MAX_SAMPLE_SECONDS}s)`);
+    } else if (isSilence(clip.pcm, SILENCE_RMS)) {
+      problems.push(`${filename}: too quiet - record closer to the microphone`);
+    }
+    return { filename, seconds, wav: pcmToWav(clip.pcm, clip.sampleRate) };
+  });
+
+  const total = samples.reduce((sum, sample) => sum + (sample?.seconds || 0), 0);
+  if (problems.length === 0 && total < MIN_TOTAL_SECONDS) {
+    problems.push(`${total.toFixed(1)}s of audio in total - at least ${MIN_TOTAL_SECONDS}s is needed`);
+  }
+
+  if (problems.length > 0) {
+    throw cloneError('INVALID', `Invalid voice samples: ${problems.join('; ')}`);
+  }
+  return samples;
+}
@@ -0,0 +1,202 @@
+/**
+ * Voice Preview
+ *
+ * Renders what a preset will sound like to the other party, before a call
+ * is placed. A clip (an uploaded WAV, or the built-in reference clip) takes
+ * the same path as the caller's audio on a live call: onto an 8kHz μ-law
+ * line, decoded and resampled to 16kHz, preprocessed, transformed by the
+ * preset's provider (failure policy included), resampled to 8kHz and μ-law
+ * encoded for Twilio. The result is what the far end hears, as a WAV.
+ *
+ * The whole clip is transformed in one request rather than in chunks, so
+ * chunk-boundary effects of a live call are not part of the preview.
+ */
+
+import { VOICE_PRESETS } from '../utils/voice-presets.js';
+import { TELEPHONY_CODECS, pcmToWav, wavToPcm } from '../utils/audio-codec.js';
+import { parsePreprocessing, DEFAULT_PREPROCESSING } from '../utils/audio-preprocess.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('voice-preview');
+
+// Longest clip accepted (provider requests are billed by audio length)
+const MAX_SECONDS = parseFloat(process.env.VOICE_PREVIEW_MAX_SECONDS) || 15;
+const MIN_SECONDS = 0.1;
+
+const LINE_RATE = 8000;        // Twilio's G.711 rate
+const TRANSFORM_RATE = 16000;  // Rate the providers are fed on a call
+const LINE_CODEC = TELEPHONY_CODECS.MULAW;
+
+// Reference clip: vowel formants (F1-F3, Hz) of its syllables - a, i, e, u, o, æ
+const REFERENCE_VOWELS = [[730, 1090, 2440], [270, 2290, 3010], [530, 1840, 2480], [300, 870, 2240], [570, 840, 2410], [660, 1720, 2410]];
+const REFERENCE_RATE = 16000;
+const REFERENCE_SYLLABLE_MS = 260;
+const REFERENCE_GAP_MS = 90;
+
+let referenceClip = null;
+
+/**
+ * Create a preview error; `code` is NOT_FOUND or INVALID (as in PresetStore)
+ */
+function previewError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+export class VoicePreview {
+  /**
+   * @param {object} options
+   * @param {VoiceTransformer} options.voiceTransformer - Transforms the clip
+   * @param {AudioWorkerPool} [options.audioPool] - Runs decode, resampling and preprocessing
+   *   (default: the transformer's pool)
+   * @param {object} [options.presets] - Preset registry (default: VOICE_PRESETS)
+   */
+  constructor(options) {
+    this.voiceTransformer = options.voiceTransformer;
+    this.audioPool = options.audioPool || options.voiceTransformer.audioPool;
+    this.presets = options.presets || VOICE_PRESETS;
+  }
+
+  /**
+   * Render a preset's preview
+   *
+   * @param {string} presetId - Voice preset ID
+   * @param {object} [options]
+   * @param {Buffer} [options.wav] - Clip to transform (default: the reference clip)
+   * @param {string} [options.preprocess] - Preprocessing stages, as for a call (default: AUDIO_* settings)
+   * @returns {Promise<{wav: Buffer, durationMs: number, source: string, provider: string|null, failurePolicy: string}>}
+   * @throws {Error} - code NOT_FOUND for an unknown preset, INVALID for an unusable clip or option
+   */
+  async render(presetId, options = {}) {
+    if (!this.presets[presetId]) {
+      throw previewError('NOT_FOUND', `Unknown voice preset: ${presetId}`);
+    }
+
+    const clip = options.wav ? readClip(options.wav) : getReferenceClip();
+    let stages = DEFAULT_PREPROCESSING;
+    if (options.preprocess !== undefined) {
+      try {
+        stages = parsePreprocessing(options.preprocess);
+      } catch (error) {
+        throw previewError('INVALID', error.message);
+      }
+    }
+
+    const startTime = Date.now();
+
+    // Caller's side: onto the phone line, then decoded as a call would be
+    const line = LINE_CODEC.encode(await this.audioPool.run(null, 'resample', {
+      pcm: clip.pcm,
+      fromRate: clip.sampleRate,
+      toRate: LINE_RATE,
+    }));
+    let pcm = await this.audioPool.run(null, 'decode', {
+      audio: line,
+      encoding: LINE_CODEC.name,
+      fromRate: LINE_RATE,
+      toRate: TRANSFORM_RATE,
+    });
+    if (Object.values(stages).some(Boolean)) {
+      pcm = await this.audioPool.run(null, 'preprocess', { pcm, sampleRate: TRANSFORM_RATE, stages });
+    }
+
+    const transformed = await this.voiceTransformer.transform(pcm, presetId, { sampleRate: TRANSFORM_RATE });
+
+    // Far end: back to 8kHz and through the line codec
+    const output = await this.audioPool.run(null, 'resample', {
+      pcm: transformed,
+      fromRate: TRANSFORM_RATE,
+      toRate: LINE_RATE,
+    });
+    const heard = LINE_CODEC.decode(LINE_CODEC.encode(output));
+
+    const durationMs = Math.round(heard.length / 2 / LINE_RATE * 1000);
+    const provider = this.voiceTransformer.resolveProvider(presetId)?.name || null;
+    logger.info(`🔈 Preview of ${presetId}: ${durationMs}ms ${clip.source} clip via ${provider || 'failure policy'} in ${Date.now() - startTime}ms`);
+
+    return {
+      wav: pcmToWav(heard, LINE_RATE),
+      durationMs,
+      source: clip.source,
+      provider,
+      failurePolicy: this.voiceTransformer.getFailurePolicy(presetId),
+    };
+  }
+}
+
+/**
+ * An uploaded WAV as mono PCM, within the length limits
+ */
+function readClip(wav) {
+  let clip;
+  try {
+    clip = wavToPcm(wav);
+  } catch (error) {
+    throw previewError('INVALID', error.message);
+  }
+
+  const seconds = clip.pcm.length / 2 / clip.sampleRate;
+  if (seconds < MIN_SECONDS || seconds > MAX_SECONDS) {
+    throw previewError('INVALID', `Preview clip is ${seconds.toFixed(1)}s - it must be ${MIN_SECONDS}-${MAX_SECONDS}s long`);
+  }
+  return { ...clip, source: 'upload' };
+}
+
+/**
+ * The built-in reference clip: a synthesized phrase of six voiced
+ * syllables with a falling pitch contour, for previews without a recording
+ * (a real recording of your own voice gives a truer preview)
+ */
+export function getReferenceClip() {
+  if (referenceClip) {
+    return referenceClip;
+  }
+
+  const syllableSamples = REFERENCE_SYLLABLE_MS * REFERENCE_RATE / 1000;
+  const stepSamples = (REFERENCE_SYLLABLE_MS + REFERENCE_GAP_MS) * REFERENCE_RATE / 1000;
+  const signal = new Float64Array(stepSamples * REFERENCE_VOWELS.length + 2 * REFERENCE_GAP_MS * REFERENCE_RATE / 1000);
+  let phase = 0;
+  let peak = 0;
+
+  REFERENCE_VOWELS.forEach((formants, syllable) => {
+    const start = (REFERENCE_GAP_MS * REFERENCE_RATE / 1000) + syllable * stepSamples;
+    const resonators = formants.map((frequency, i) => createResonator(frequency, 60 + 30 * i, REFERENCE_RATE));
+
+    for (let i = 0; i < syllableSamples; i++) {
+      // Pitch falls over the phrase and rises a little within each syllable
+      const progress = (syllable + i / syllableSamples) / REFERENCE_VOWELS.length;
+      const f0 = 150 - 45 * progress + 10 * Math.sin(Math.PI * i / syllableSamples);
+      phase = (phase + f0 / REFERENCE_RATE) % 1;
+
+      // Sawtooth glottal source through the vocal tract resonances
+      let sample = 1 - 2 * phase;
+      for (const resonate of resonators) {
+        sample = resonate(sample);
+      }
+      sample *= Math.sin(Math.PI * i / syllableSamples) ** 2;
+
+      signal[start + i] = sample;
+      peak = Math.max(peak, Math.abs(sample));
+    }
+  });
+
+  const samples = Int16Array.from(signal, sample => Math.round(sample / peak * 12000));
+  referenceClip = { pcm: Buffer.from(samples.buffer), sampleRate: REFERENCE_RATE, channels: 1, source: 'reference' };
+  return referenceClip;
+}
+
+/**
+ * Two-pole resonator (a formant) with unity gain at DC
+ */
+function createResonator(frequency, bandwidth, sampleRate) {
+  const c = -Math.exp(-2 * Math.PI * bandwidth / sampleRate);
+  const b = 2 * Math.exp(-Math.PI * bandwidth / sampleRate) * Math.cos(2 * Math.PI * frequency / sampleRate);
+  const a = 1 - b - c;
+  let y1 = 0;
+  let y2 = 0;
+  return (x) => {
+    const y = a * x + b * y1 + c * y2;
+    y2 = y1;
+    y1 = y;
+    return y;
+  };
+}
@@ -1,190 +1,360 @@
 /**
  * Voice Transformer Service
  * 
- * Integrates with ElevenLabs Speech-to-Speech API for real-time voice transformation.
- * Handles streaming, buffering, and voice preset management.
+ * Routes audio to a voice provider (ElevenLabs, local DSP, passthrough)
+ * chosen per preset or per call. Handles buffering, failure policies and
+ * voice preset management.
  */
 
-import { VOICE_PRESETS, getVoiceId } from '../utils/voice-presets.js';
+import { VOICE_PRESETS, DEFAULT_PROVIDER } from '../utils/voice-presets.js';
 import { createLogger } from '../utils/logger.js';
+import { generateComfortNoise } from '../utils/audio-codec.js';
+import { FAILURE_POLICIES, parseFailurePolicy } from '../utils/failure-policies.js';
+import { createProviders } from './providers/index.js';
+import { AudioWorkerPool } from './audio-worker-pool.js';
+import { VoiceCatalog } from './voice-catalog.js';
 
 const logger = createLogger('voice-transformer');
 
-// ElevenLabs API configuration
-const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1';
-const API_KEY = process.env.ELEVENLABS_API_KEY;
+// Passthrough unless configured, as before failure policies existed; set
+// VOICE_FAILURE_POLICY=dsp (or silence/hangup) so the real voice never leaks
+const DEFAULT_FAILURE_POLICY = process.env.VOICE_FAILURE_POLICY || FAILURE_POLICIES.PASSTHROUGH;
+const DEFAULT_MAX_FAILURES = parseInt(process.env.VOICE_MAX_FAILURES) || 5;
 
-// Model options - flash for low latency
-const DEFAULT_MODEL = 'eleven_english_sts_v2';
-const FLASH_MODEL = 'eleven_flash_v2_5';  // Lower latency
+// Provider behind the `dsp` failure policy
+const DSP_PROVIDER = 'local-dsp';
 
 export class VoiceTransformer {
-  constructor() {
+  /**
+   * @param {object} config - Overrides for the environment configuration
+   * @param {string} [config.apiKey] - ElevenLabs API key
+   * @param {string} [config.apiUrl] - ElevenLabs HTTP API base URL
+   * @param {string} [config.defaultProvider] - Provider for presets without one
+   * @param {string} [config.failurePolicy] - Default failure policy (FAILURE_POLICIES)
+   * @param {number} [config.maxFailures] - Consecutive failures before the `hangup` policy ends a call
+   * @param {Map<string, VoiceProvider>} [config.providers] - Replace the built-in providers
+   * @param {AudioWorkerPool} [config.audioPool] - Runs resampling and local DSP (default: inline)
+   * @param {number} [config.catalogTtlMs] - How long synced provider voice lists are cached
+   */
+  constructor(config = {}) {
+    this.audioPool = config.audioPool || new AudioWorkerPool({ size: 0 });
+    this.providers = config.providers || createProviders({
+      elevenlabs: {
+        apiKey: config.apiKey,
+        apiUrl: config.apiUrl,
+      },
+      localDsp: { pool: this.audioPool },
+    });
+    this.defaultProvider = config.defaultProvider || process.env.DEFAULT_VOICE_PROVIDER || DEFAULT_PROVIDER;
+    this.failurePolicy = parseFailurePolicy(config.failurePolicy || DEFAULT_FAILURE_POLICY) || FAILURE_POLICIES.PASSTHROUGH;
+    this.maxFailures = config.maxFailures || DEFAULT_MAX_FAILURES;
+    this.voiceCatalog = new VoiceCatalog({ providers: this.providers, ttlMs: config.catalogTtlMs });
+    
     this.activeStreams = new Map();
     this.usageTracker = {
       totalCharacters: 0,
       totalAudioSeconds: 0,
       callCount: 0,
+      byProvider: {},
+      failures: 0,
+      failuresByPolicy: {},
+      silenceSkippedSeconds: 0,
     };
     
     // Verify API key on startup
-    if (!API_KEY) {
-      logger.warn('ELEVENLABS_API_KEY not set - voice transformation will be disabled');
+    if (!this.providers.get('elevenlabs')?.isAvailable()) {
+      logger.warn(`ELEVENLABS_API_KEY not set - ElevenLabs presets will get the '${this.failurePolicy}' failure policy`);
     }
   }
   
   /**
    * Initialize a stream for a call
+   * 
+   * @param {string} callId - Call identifier
+   * @param {string} voicePreset - Voice preset ID
+   * @param {object} options - Stream options
+   * @param {number} [options.sampleRate] - PCM sample rate (default 16000)
+   * @param {string} [options.provider] - Provider override for this call
+   * @param {string} [options.failurePolicy] - Failure policy override for this call
+   * @param {number} [options.maxFailures] - Consecutive failures before hanging up
+   * @param {function} [options.onHangup] - Called (with a reason) when the `hangup` policy trips
    */
-  async initializeStream(callId, voicePreset) {
-    this.activeStreams.set(callId, {
+  async initializeStream(callId, voicePreset, options = {}) {
+    const stream = {
       voicePreset,
+      provider: null,
+      failurePolicy: parseFailurePolicy(options.failurePolicy),
+      maxFailures: options.maxFailures || this.maxFailures,
+      onHangup: options.onHangup || null,
+      voiceSwitches: 0,
+      failures: {
+        total: 0,
+        consecutive: 0,
+        byPolicy: {},
+        hangupRequested: false,
+      },
       startTime: Date.now(),
       audioProcessed: 0,
-    });
+      silenceSkipped: 0,
+      sampleRate: options.sampleRate || 16000,
+    };
+    
+    if (options.provider) {
+      if (this.providers.has(options.provider)) {
+        stream.provider = options.provider;
+      } else {
+        logger.warn(`Unknown provider ${options.provider} for call ${callId} - using preset default`);
+      }
+    }
+    this.activeStreams.set(callId, stream);
     
-    logger.info(`Initialized stream for call ${callId} with voice ${voicePreset}`);
+    const provider = this.resolveProvider(voicePreset, { callId });
+    const policy = this.getFailurePolicy(voicePreset, callId);
+    logger.info(`Initialized stream for call ${callId} with voice ${voicePreset} via ${provider?.name || 'no available provider'} (on failure: ${policy})`);
   }
   
   /**
-   * Transform audio using ElevenLabs Speech-to-Speech
+   * Switch a live call to another voice preset
+   * 
+   * The call picks the preset up with its next transform.
+   * 
+   * @param {string} callId - Call identifier
+   * @param {string} voicePreset - Voice preset ID
+   * @returns {Promise<{from: string, to: string}|null>} - null if the call has no stream
+   */
+  async switchVoice(callId, voicePreset) {
+    const stream = this.activeStreams.get(callId);
+    if (!stream) {
+      return null;
+    }
+    
+    const from = stream.voicePreset;
+    stream.voicePreset = voicePreset;
+    stream.voiceSwitches++;
+    
+    logger.info(`Call ${callId} switched voice ${from} → ${voicePreset}`);
+    return { from, to: voicePreset };
+  }
+  
+  /**
+   * Pick the provider for a request
+   * 
+   * Order: explicit option, the call's override, the preset's provider, the
+   * default.
+   * 
+   * @param {string} voicePreset - Voice preset ID
+   * @param {object} options - { callId, provider }
+   * @returns {VoiceProvider|null} - null if the provider is unavailable (e.g. missing API key)
+   */
+  resolveProvider(voicePreset, options = {}) {
+    const name = options.provider ||
+      this.activeStreams.get(options.callId)?.provider ||
+      VOICE_PRESETS[voicePreset]?.provider ||
+      this.defaultProvider;
+    
+    const provider = this.providers.get(name);
+    if (provider?.isAvailable()) {
+      return provider;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Transform audio with the preset's (or call's) provider
    * 
    * @param {Buffer} pcmBuffer - PCM audio data (16-bit signed, 16kHz)
    * @param {string} voicePreset - Voice preset ID
    * @param {object} options - Additional options
+   * @param {number} [options.sampleRate] - PCM sample rate (default 16000)
+   * @param {string} [options.callId] - Call the audio belongs to (for per-call provider)
+   * @param {string} [options.provider] - Provider override for this chunk
+   * @param {number} [options.contextSamples] - Leading samples repeated from the previous chunk
+   * @param {string} [options.stream] - Which of the call's audio streams this is (e.g. a track name)
    * @returns {Promise<Buffer>} - Transformed PCM audio
    */
   async transform(pcmBuffer, voicePreset, options = {}) {
-    if (!API_KEY) {
-      // Pass through audio unchanged if no API key
-      logger.debug('No API key - passing through audio unchanged');
-      return pcmBuffer;
-    }
-    
-    const voiceId = getVoiceId(voicePreset);
-    if (!voiceId) {
+    const preset = VOICE_PRESETS[voicePreset];
+    if (!preset) {
       logger.error(`Unknown voice preset: ${voicePreset}`);
-      return pcmBuffer;
+      return this.handleFailure(pcmBuffer, voicePreset, options, 'unknown preset');
     }
     
-    const sampleRate = options.sampleRate || 16000;
+    const provider = this.resolveProvider(voicePreset, options);
+    if (!provider) {
+      return this.handleFailure(pcmBuffer, voicePreset, options, 'provider unavailable');
+    }
     
     try {
-      // Convert PCM buffer to WAV format for API
-      const wavBuffer = this.pcmToWav(pcmBuffer, sampleRate);
-      
-      // Use streaming endpoint for low latency
-      const useFlash = process.env.USE_FLASH_MODEL === 'true';
-      const modelId = useFlash ? FLASH_MODEL : DEFAULT_MODEL;
-      
-      const response = await this.callSpeechToSpeechAPI(voiceId, wavBuffer, {
-        modelId,
-        outputFormat: `pcm_${sampleRate}`,
-        voiceSettings: VOICE_PRESETS[voicePreset]?.settings || {
-          stability: 0.5,
-          similarity_boost: 0.75,
-          style: 0.0,
-          use_speaker_boost: true,
-        },
-      });
-      
-      // Track usage
-      const audioSeconds = pcmBuffer.length / (sampleRate * 2); // 16-bit = 2 bytes per sample
-      this.usageTracker.totalAudioSeconds += audioSeconds;
-      
+      const response = await this.runProvider(provider, pcmBuffer, { id: voicePreset, ...preset }, options);
+      this.recordSuccess(options.callId);
       return response;
-      
     } catch (error) {
-      logger.error(`Voice transformation failed: ${error.message}`);
-      // Return original audio on error to maintain call continuity
-      return pcmBuffer;
+      logger.error(`Voice transformation failed (${provider.name}): ${error.message}`);
+      return this.handleFailure(pcmBuffer, voicePreset, options, error.message);
     }
   }
   
   /**
-   * Call ElevenLabs Speech-to-Speech API
+   * Failure policy for a call: call override, then preset, then default
+   */
+  getFailurePolicy(voicePreset, callId) {
+    return this.activeStreams.get(callId)?.failurePolicy ||
+      parseFailurePolicy(VOICE_PRESETS[voicePreset]?.failurePolicy) ||
+      this.failurePolicy;
+  }
+  
+  /**
+   * Produce replacement audio according to the failure policy
+   * 
+   * @returns {Promise<Buffer>} - Audio to send instead of the transformation
    */
-  async callSpeechToSpeechAPI(voiceId, audioBuffer, options) {
-    const { modelId, outputFormat, voiceSettings } = options;
+  async handleFailure(pcmBuffer, voicePreset, options, reason) {
+    const stream = this.activeStreams.get(options.callId);
+    const policy = this.getFailurePolicy(voicePreset, options.callId);
     
-    const formData = new FormData();
-    formData.append('audio', new Blob([audioBuffer], { type: 'audio/wav' }), 'input.wav');
-    formData.append('model_id', modelId);
-    formData.append('output_format', outputFormat);
+    this.usageTracker.failures++;
+    this.usageTracker.failuresByPolicy[policy] = (this.usageTracker.failuresByPolicy[policy] || 0) + 1;
     
-    if (voiceSettings) {
-      formData.append('voice_settings', JSON.stringify(voiceSettings));
+    if (stream) {
+      const failures = stream.failures;
+      failures.total++;
+      failures.consecutive++;
+      failures.byPolicy[policy] = (failures.byPolicy[policy] || 0) + 1;
+      
+      if (failures.consecutive === 1) {
+        logger.warn(`⚠️ Transformation failing for call ${options.callId} (${reason}) - applying '${policy}' policy`);
+      }
     }
     
-    const url = `${ELEVENLABS_API_URL}/speech-to-speech/${voiceId}`;
-    
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'xi-api-key': API_KEY,
-      },
-      body: formData,
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`ElevenLabs API error: ${response.status} - ${errorText}`);
+    switch (policy) {
+      case FAILURE_POLICIES.PASSTHROUGH:
+        return pcmBuffer;
+        
+      case FAILURE_POLICIES.DSP: {
+        const dsp = this.providers.get(DSP_PROVIDER);
+        try {
+          return await this.runProvider(dsp, pcmBuffer, { id: voicePreset, ...VOICE_PRESETS[voicePreset] }, options);
+        } catch (error) {
+          logger.error(`Local DSP disguise failed: ${error.message} - sending comfort noise`);
+          break;
+        }
+      }
+        
+      case FAILURE_POLICIES.HANGUP:
+        if (stream && stream.failures.consecutive >= stream.maxFailures && !stream.failures.hangupRequested) {
+          stream.failures.hangupRequested = true;
+          logger.error(`🛑 ${stream.failures.consecutive} consecutive failures on call ${options.callId} - hanging up`);
+          stream.onHangup?.(reason);
+        }
+        break;
     }
     
-    // Get audio data from response
-    const arrayBuffer = await response.arrayBuffer();
-    return Buffer.from(arrayBuffer);
+    // Silence (and everything that fell through) - never the real voice
+    return generateComfortNoise(Math.floor(pcmBuffer.length / 2));
   }
   
   /**
-   * Convert PCM buffer to WAV format
+   * Reset the consecutive failure count after a good chunk
    */
-  pcmToWav(pcmBuffer, sampleRate = 16000, numChannels = 1, bitsPerSample = 16) {
-    const byteRate = sampleRate * numChannels * (bitsPerSample / 8);
-    const blockAlign = numChannels * (bitsPerSample / 8);
-    const dataSize = pcmBuffer.length;
-    const headerSize = 44;
-    
-    const wavBuffer = Buffer.alloc(headerSize + dataSize);
-    let offset = 0;
+  recordSuccess(callId) {
+    const failures = this.activeStreams.get(callId)?.failures;
+    if (failures?.consecutive > 0) {
+      logger.info(`✅ Transformation recovered for call ${callId} after ${failures.consecutive} failures`);
+      failures.consecutive = 0;
+    }
+  }
+  
+  /**
+   * Failure metrics for a call (which policy was applied and how often)
+   */
+  getCallMetrics(callId) {
+    const stream = this.activeStreams.get(callId);
+    if (!stream) {
+      return null;
+    }
     
-    // RIFF header
-    wavBuffer.write('RIFF', offset); offset += 4;
-    wavBuffer.writeUInt32LE(36 + dataSize, offset); offset += 4;
-    wavBuffer.write('WAVE', offset); offset += 4;
+    return {
+      voicePreset: stream.voicePreset,
+      voiceSwitches: stream.voiceSwitches,
+      provider: this.resolveProvider(stream.voicePreset, { callId })?.name || null,
+      failurePolicy: this.getFailurePolicy(stream.voicePreset, callId),
+      failures: stream.failures.total,
+      failuresByPolicy: { ...stream.failures.byPolicy },
+      hangupRequested: stream.failures.hangupRequested,
+      silenceSkippedSeconds: Math.round(stream.silenceSkipped * 10) / 10,
+    };
+  }
+  
+  /**
+   * Record audio that voice activity detection kept away from the provider
+   * 
+   * @param {string} callId - Call ID
+   * @param {number} seconds - Duration of the skipped audio
+   */
+  recordSkippedAudio(callId, seconds) {
+    this.usageTracker.silenceSkippedSeconds += seconds;
     
-    // fmt chunk
-    wavBuffer.write('fmt ', offset); offset += 4;
-    wavBuffer.writeUInt32LE(16, offset); offset += 4;  // Chunk size
-    wavBuffer.writeUInt16LE(1, offset); offset += 2;   // Audio format (PCM)
-    wavBuffer.writeUInt16LE(numChannels, offset); offset += 2;
-    wavBuffer.writeUInt32LE(sampleRate, offset); offset += 4;
-    wavBuffer.writeUInt32LE(byteRate, offset); offset += 4;
-    wavBuffer.writeUInt16LE(blockAlign, offset); offset += 2;
-    wavBuffer.writeUInt16LE(bitsPerSample, offset); offset += 2;
+    const stream = this.activeStreams.get(callId);
+    if (stream) {
+      stream.silenceSkipped += seconds;
+    }
+  }
+  
+  /**
+   * Run one provider at a sample rate it supports and track usage
+   */
+  async runProvider(provider, pcmBuffer, preset, options) {
+    const sampleRate = options.sampleRate || 16000;
+    const providerRate = provider.getSupportedRate(sampleRate);
     
-    // data chunk
-    wavBuffer.write('data', offset); offset += 4;
-    wavBuffer.writeUInt32LE(dataSize, offset); offset += 4;
+    // Convert to a rate the provider accepts and back (on the audio pool)
+    const input = await this.resampleFor(options.callId, pcmBuffer, sampleRate, providerRate);
+    const output = await provider.transform(input, preset, {
+      sampleRate: providerRate,
+      callId: options.callId,
+      contextSamples: Math.round((options.contextSamples || 0) * providerRate / sampleRate),
+      stream: options.stream,
+    });
+    const response = await this.resampleFor(options.callId, output, providerRate, sampleRate);
     
-    // Copy PCM data
-    pcmBuffer.copy(wavBuffer, offset);
+    // Track usage
+    const audioSeconds = pcmBuffer.length / (sampleRate * 2); // 16-bit = 2 bytes per sample
+    this.usageTracker.totalAudioSeconds += audioSeconds;
+    this.usageTracker.byProvider[provider.name] = (this.usageTracker.byProvider[provider.name] || 0) + audioSeconds;
     
-    return wavBuffer;
+    return response;
+  }
+  
+  resampleFor(callId, pcm, fromRate, toRate) {
+    if (fromRate === toRate) {
+      return pcm;
+    }
+    return this.audioPool.run(callId || null, 'resample', { pcm, fromRate, toRate });
   }
   
   /**
    * Close a stream
+   * 
+   * @returns {Promise<object|null>} - The call's final metrics (see getCallMetrics)
    */
   async closeStream(callId) {
+    const metrics = this.getCallMetrics(callId);
     const stream = this.activeStreams.get(callId);
     if (stream) {
+      this.activeStreams.delete(callId);
+      
       const duration = (Date.now() - stream.startTime) / 1000;
       logger.info(`Stream ${callId} closed after ${duration.toFixed(1)}s`);
       
       this.usageTracker.callCount++;
-      this.activeStreams.delete(callId);
     }
+    
+    for (const provider of this.providers.values()) {
+      provider.release(callId);
+    }
+    
+    return metrics;
   }
   
   /**
@@ -195,6 +365,7 @@ export class VoiceTransformer {
       ...this.usageTracker,
       activeStreams: this.activeStreams.size,
       estimatedCost: this.estimateCost(),
+      estimatedSavings: this.estimateCost(this.usageTracker.silenceSkippedSeconds),
     };
   }
   
@@ -203,41 +374,32 @@ export class VoiceTransformer {
    * ElevenLabs pricing: ~$0.30 per 1000 characters for starter tier
    * Approx 150 words per minute = ~750 characters per minute
    */
-  estimateCost() {
+  estimateCost(audioSeconds = this.usageTracker.totalAudioSeconds) {
     // Rough estimate: ~750 characters per minute of speech
-    const estimatedCharacters = this.usageTracker.totalAudioSeconds * 12.5; // ~750/60
+    const estimatedCharacters = audioSeconds * 12.5; // ~750/60
     // Starter tier: $5/month for 30,000 characters
     const costPerCharacter = 5 / 30000;
     return (estimatedCharacters * costPerCharacter).toFixed(2);
   }
   
   /**
-   * Test the ElevenLabs connection
+   * Describe the registered providers
+   */
+  getProviderStatus() {
+    return Object.fromEntries([...this.providers].map(([name, provider]) => [name, {
+      available: provider.isAvailable(),
+      capabilities: provider.capabilities,
+    }]));
+  }
+  
+  /**
+   * Test the ElevenLabs connection (the voices it lists go into the catalog)
    */
   async testConnection() {
-    if (!API_KEY) {
-      return { success: false, error: 'API key not configured' };
-    }
-    
-    try {
-      const response = await fetch(`${ELEVENLABS_API_URL}/voices`, {
-        headers: {
-          'xi-api-key': API_KEY,
-        },
-      });
-      
-      if (!response.ok) {
-        throw new Error(`API returned ${response.status}`);
-      }
-      
-      const data = await response.json();
-      return {
-        success: true,
-        voiceCount: data.voices?.length || 0,
-        message: 'ElevenLabs connection successful',
-      };
-    } catch (error) {
-      return { success: false, error: error.message };
+    const { voices, ...result } = await this.providers.get('elevenlabs').testConnection();
+    if (voices) {
+      this.voiceCatalog.store('elevenlabs', voices);
     }
+    return result;
   }
 }
@@ -10,12 +10,12 @@ export class AudioBuffer {
    * Create an audio buffer
    * 
    * @param {number} targetMs - Target buffer duration in milliseconds
-   * @param {number} sampleRate - Sample rate (default 8000 for Twilio μ-law)
+   * @param {number} sampleRate - Sample rate (default 8000 for Twilio G.711)
    */
   constructor(targetMs = 200, sampleRate = 8000) {
     this.targetMs = targetMs;
     this.sampleRate = sampleRate;
-    this.bytesPerMs = sampleRate / 1000;  // For 8-bit μ-law
+    this.bytesPerMs = sampleRate / 1000;  // For 8-bit G.711 (μ-law or A-law)
     this.targetBytes = Math.ceil(this.targetMs * this.bytesPerMs);
     
     this.chunks = [];
@@ -143,7 +143,7 @@ export class SlidingAudioBuffer {
    * Create a sliding window buffer
    * 
    * @param {number} windowMs - Window size in milliseconds
-   * @param {number} hopMs - Hop size (overlap) in milliseconds
+   * @param {number} hopMs - Hop size (advance per window) in milliseconds
    * @param {number} sampleRate - Sample rate
    */
   constructor(windowMs = 200, hopMs = 100, sampleRate = 8000) {
@@ -191,6 +191,17 @@ export class SlidingAudioBuffer {
     return Buffer.from(window);  // Copy to avoid issues
   }
   
+  /**
+   * Take whatever is left (a final, shorter window) and empty the buffer
+   * 
+   * @returns {Buffer}
+   */
+  flush() {
+    const remaining = this.buffer;
+    this.buffer = Buffer.alloc(0);
+    return remaining;
+  }
+  
   /**
    * Clear the buffer
    */
@@ -204,6 +215,132 @@ export class SlidingAudioBuffer {
   getSize() {
     return this.buffer.length;
   }
+  
+  /**
+   * Get current buffer duration in milliseconds
+   */
+  getDurationMs() {
+    return this.buffer.length / this.bytesPerMs;
+  }
+  
+  /**
+   * Change the hop (new audio per window), keeping the overlap
+   * 
+   * @param {number} hopMs - New hop in milliseconds
+   */
+  adjustHop(hopMs) {
+    const overlapMs = this.windowMs - this.hopMs;
+    this.hopMs = hopMs;
+    this.windowMs = hopMs + overlapMs;
+    this.windowBytes = Math.ceil(this.windowMs * this.bytesPerMs);
+    this.hopBytes = Math.ceil(this.hopMs * this.bytesPerMs);
+  }
+  
+  /**
+   * Overlap between consecutive windows in bytes
+   */
+  getOverlapBytes() {
+    return Math.max(0, this.windowBytes - this.hopBytes);
+  }
+}
+
+/**
+ * Crossfader
+ * 
+ * Joins consecutive processed windows from a SlidingAudioBuffer. Each
+ * window's last `overlap` samples are held back and crossfaded (raised
+ * cosine) into the start of the next window, so independently processed
+ * chunks meet without clicks.
+ */
+export class Crossfader {
+  /**
+   * @param {number} overlapSamples - Overlap between windows (16-bit samples)
+   */
+  constructor(overlapSamples) {
+    this.overlapSamples = overlapSamples;
+    this.tail = null;  // Held-back end of the previous window
+    
+    this.fadeIn = new Float32Array(overlapSamples);
+    for (let i = 0; i < overlapSamples; i++) {
+      this.fadeIn[i] = 0.5 - 0.5 * Math.cos(Math.PI * (i + 0.5) / overlapSamples);
+    }
+  }
+  
+  /**
+   * Add the next processed window
+   * 
+   * @param {Buffer} pcmBuffer - PCM (16-bit signed) for the whole window
+   * @param {boolean} hasContext - Window starts with `overlap` samples of the previous one
+   * @returns {Buffer} - PCM ready to play
+   */
+  push(pcmBuffer, hasContext = true) {
+    const numSamples = Math.floor(pcmBuffer.length / 2);
+    const overlap = Math.min(this.overlapSamples, numSamples);
+    const head = hasContext ? overlap : 0;
+    const hold = Math.min(this.overlapSamples, numSamples - head);
+    
+    const parts = [];
+    if (head > 0 && this.tail) {
+      parts.push(this.mix(this.tail, pcmBuffer.subarray(0, head * 2)));
+    } else if (head === 0 && this.tail) {
+      // Discontinuity (e.g. dropped backlog): let the old audio die away
+      parts.push(this.mix(this.tail, null));
+    }
+    
+    let body = pcmBuffer.subarray(head * 2, (numSamples - hold) * 2);
+    if (head > 0 && !this.tail) {
+      // Context after a gap was already covered by concealment - just fade in
+      body = this.mix(null, body);
+    }
+    parts.push(body);
+    
+    this.tail = Buffer.from(pcmBuffer.subarray((numSamples - hold) * 2, numSamples * 2));
+    return Buffer.concat(parts);
+  }
+  
+  /**
+   * A window is missing: fade out what we held and fill with `fill`
+   * 
+   * @param {Buffer} fill - PCM covering the missing window's hop (after the fade)
+   * @returns {Buffer} - PCM ready to play
+   */
+  gap(fill) {
+    const parts = [];
+    if (this.tail) {
+      parts.push(this.mix(this.tail, null));
+      this.tail = null;
+    }
+    parts.push(fill);
+    return Buffer.concat(parts);
+  }
+  
+  /**
+   * Crossfade `from` (fading out) into `to` (fading in) over their common
+   * length (either may be null for a plain fade); samples past the fade
+   * region of `to` are copied unchanged
+   */
+  mix(from, to) {
+    const length = Math.floor((to || from).length / 2);
+    const fadeLength = Math.min(length, this.overlapSamples, from ? Math.floor(from.length / 2) : length);
+    const output = Buffer.alloc(length * 2);
+    
+    for (let i = 0; i < length; i++) {
+      const gain = i < fadeLength ? this.fadeIn[Math.floor(i * this.overlapSamples / fadeLength)] : 1;
+      const a = from && i < fadeLength ? from.readInt16LE(i * 2) * (1 - gain) : 0;
+      const b = to ? to.readInt16LE(i * 2) * gain : 0;
+      const sample = to || i < fadeLength ? Math.round(a + b) : 0;
+      output.writeInt16LE(Math.max(-32768, Math.min(32767, sample)), i * 2);
+    }
+    
+    return output;
+  }
+  
+  /**
+   * Forget the held tail (e.g. on a preset switch)
+   */
+  reset() {
+    this.tail = null;
+  }
 }
 
 /**
@@ -247,6 +384,10 @@ export class JitterBuffer {
   /**
    * Get the next packet if delay threshold is met
    * 
+   * The target delay only holds back the start of playback; after an
+   * underrun, the next packet goes out as soon as it arrives rather than
+   * waiting for the buffer to refill.
+   * 
    * @returns {Buffer|null}
    */
   pop() {
@@ -257,13 +398,22 @@ export class JitterBuffer {
     const oldest = this.packets[0];
     const delay = Date.now() - oldest.receivedAt;
     
-    if (delay >= this.targetDelayMs) {
+    if (this.lastOutputTime !== null || delay >= this.targetDelayMs) {
+      this.lastOutputTime = Date.now();
       return this.packets.shift().data;
     }
     
     return null;
   }
   
+  /**
+   * Discard all queued packets
+   */
+  clear() {
+    this.packets = [];
+    this.lastOutputTime = null;
+  }
+  
   /**
    * Get buffer statistics
    */
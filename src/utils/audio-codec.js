@@ -1,16 +1,33 @@
 /**
  * Audio Codec Utilities
  * 
- * Handles μ-law (G.711) ↔ Linear PCM conversion and resampling.
- * Twilio Media Streams use μ-law encoding at 8kHz.
+ * Handles G.711 (μ-law and A-law) ↔ Linear PCM conversion and resampling.
+ * Twilio Media Streams use μ-law encoding at 8kHz; some carriers and SIP
+ * trunks use A-law (PCMA). Media handlers pick the codec from the stream's
+ * metadata with getTelephonyCodec() so the rest of the pipeline only sees PCM.
+ * 
+ * PCM arguments may be Buffers or Int16Arrays. Functions that produce
+ * audio take an optional `output` (Buffer or typed array, large enough) to
+ * write into instead of allocating, and return a Buffer over the result.
  */
 
+import { resampleClip } from './resampler.js';
+import { toSamples, toBuffer, outputSamples } from './pcm-samples.js';
+
+export { toSamples, toBuffer } from './pcm-samples.js';
+
 // μ-law decoding table (256 values → 16-bit PCM)
 const MULAW_DECODE_TABLE = new Int16Array(256);
 
 // μ-law encoding table (16-bit signed → 8-bit μ-law)
 const MULAW_ENCODE_TABLE = new Uint8Array(65536);
 
+// A-law decoding table (256 values → 16-bit PCM)
+const ALAW_DECODE_TABLE = new Int16Array(256);
+
+// A-law encoding table (16-bit signed → 8-bit A-law)
+const ALAW_ENCODE_TABLE = new Uint8Array(65536);
+
 // Initialize lookup tables for fast conversion
 (function initMulawTables() {
   // Build decode table
@@ -35,12 +52,35 @@ const MULAW_ENCODE_TABLE = new Uint8Array(65536);
   }
 })();
 
+(function initAlawTables() {
+  // Build decode table
+  for (let i = 0; i < 256; i++) {
+    const alaw = i ^ 0x55;  // Even bits are inverted on the wire
+    const sign = (alaw & 0x80) ? 1 : -1;  // Sign bit set = positive
+    const exponent = (alaw >> 4) & 0x07;
+    const mantissa = alaw & 0x0F;
+    
+    // Segment 0 is linear; higher segments add the implied leading bit
+    let magnitude = (mantissa << 4) + 8;  // Mid-point of the step
+    if (exponent > 0) {
+      magnitude = (magnitude + 0x100) << (exponent - 1);
+    }
+    
+    ALAW_DECODE_TABLE[i] = sign * magnitude;
+  }
+  
+  // Build encode table
+  for (let i = 0; i < 65536; i++) {
+    ALAW_ENCODE_TABLE[i] = linearToAlaw(i - 32768);
+  }
+})();
+
 /**
  * Convert a single linear PCM sample to μ-law
  */
 function linearToMulaw(sample) {
-  const MULAW_MAX = 0x1FFF;  // Maximum magnitude
-  const MULAW_BIAS = 33;     // Bias value
+  const MULAW_MAX = 32635;  // Maximum magnitude (leaves room for bias)
+  const MULAW_BIAS = 0x84;   // Bias value (matches decode table)
   
   let sign = 0;
   
@@ -73,128 +113,245 @@ function linearToMulaw(sample) {
   return ~(sign | (exponent << 4) | mantissa) & 0xFF;
 }
 
+/**
+ * Convert a single linear PCM sample to A-law
+ */
+function linearToAlaw(sample) {
+  let sign = 0x80;  // Positive
+  
+  if (sample < 0) {
+    sign = 0;
+    sample = -sample - 1;  // -32768 maps to the largest magnitude
+  }
+  
+  // Find exponent (segment): position of the highest set bit above bit 7
+  let exponent = 0;
+  if (sample >= 0x100) {
+    exponent = 1;
+    while (exponent < 7 && sample >= (0x100 << exponent)) {
+      exponent++;
+    }
+  }
+  
+  // Extract mantissa (segment 0 is linear with the same step as segment 1)
+  const mantissa = (sample >> (exponent === 0 ? 4 : exponent + 3)) & 0x0F;
+  
+  // Combine and invert even bits
+  return (sign | (exponent << 4) | mantissa) ^ 0x55;
+}
+
 /**
  * Decode μ-law buffer to 16-bit PCM
  * 
  * @param {Buffer} mulawBuffer - μ-law encoded audio
+ * @param {Buffer|Int16Array} [output] - Where to write the PCM
  * @returns {Buffer} - PCM audio (16-bit signed, little-endian)
  */
-export function mulawDecode(mulawBuffer) {
-  const pcmBuffer = Buffer.alloc(mulawBuffer.length * 2);
+export function mulawDecode(mulawBuffer, output) {
+  const samples = outputSamples(output, mulawBuffer.length);
   
   for (let i = 0; i < mulawBuffer.length; i++) {
-    const pcmSample = MULAW_DECODE_TABLE[mulawBuffer[i]];
-    pcmBuffer.writeInt16LE(pcmSample, i * 2);
+    samples[i] = MULAW_DECODE_TABLE[mulawBuffer[i]];
   }
   
-  return pcmBuffer;
+  return toBuffer(samples);
 }
 
 /**
  * Encode 16-bit PCM to μ-law
  * 
- * @param {Buffer} pcmBuffer - PCM audio (16-bit signed, little-endian)
+ * @param {Buffer|Int16Array} pcmBuffer - PCM audio (16-bit signed, little-endian)
+ * @param {Buffer|Uint8Array} [output] - Where to write the μ-law bytes
  * @returns {Buffer} - μ-law encoded audio
  */
-export function mulawEncode(pcmBuffer) {
-  const numSamples = Math.floor(pcmBuffer.length / 2);
-  const mulawBuffer = Buffer.alloc(numSamples);
+export function mulawEncode(pcmBuffer, output) {
+  const samples = toSamples(pcmBuffer);
+  const mulawBuffer = encodedOutput(output, samples.length);
   
-  for (let i = 0; i < numSamples; i++) {
-    const pcmSample = pcmBuffer.readInt16LE(i * 2);
+  for (let i = 0; i < samples.length; i++) {
     // Convert signed to unsigned index
-    const tableIndex = pcmSample + 32768;
-    mulawBuffer[i] = MULAW_ENCODE_TABLE[tableIndex];
+    mulawBuffer[i] = MULAW_ENCODE_TABLE[samples[i] + 32768];
   }
   
   return mulawBuffer;
 }
 
 /**
- * Resample audio using linear interpolation
+ * Decode A-law buffer to 16-bit PCM
+ * 
+ * @param {Buffer} alawBuffer - A-law encoded audio
+ * @param {Buffer|Int16Array} [output] - Where to write the PCM
+ * @returns {Buffer} - PCM audio (16-bit signed, little-endian)
+ */
+export function alawDecode(alawBuffer, output) {
+  const samples = outputSamples(output, alawBuffer.length);
+  
+  for (let i = 0; i < alawBuffer.length; i++) {
+    samples[i] = ALAW_DECODE_TABLE[alawBuffer[i]];
+  }
+  
+  return toBuffer(samples);
+}
+
+/**
+ * Encode 16-bit PCM to A-law
+ * 
+ * @param {Buffer|Int16Array} pcmBuffer - PCM audio (16-bit signed, little-endian)
+ * @param {Buffer|Uint8Array} [output] - Where to write the A-law bytes
+ * @returns {Buffer} - A-law encoded audio
+ */
+export function alawEncode(pcmBuffer, output) {
+  const samples = toSamples(pcmBuffer);
+  const alawBuffer = encodedOutput(output, samples.length);
+  
+  for (let i = 0; i < samples.length; i++) {
+    alawBuffer[i] = ALAW_ENCODE_TABLE[samples[i] + 32768];
+  }
+  
+  return alawBuffer;
+}
+
+/**
+ * G.711 codecs for the phone leg. Each carries its wire encoding (as in
+ * Twilio's start.mediaFormat), decode/encode (same signatures as
+ * mulawDecode/mulawEncode) and the byte that encodes digital silence.
+ */
+export const TELEPHONY_CODECS = {
+  MULAW: {
+    name: 'mulaw',
+    encoding: 'audio/x-mulaw',
+    decode: mulawDecode,
+    encode: mulawEncode,
+    silenceByte: 0xFF,
+  },
+  ALAW: {
+    name: 'alaw',
+    encoding: 'audio/x-alaw',
+    decode: alawDecode,
+    encode: alawEncode,
+    silenceByte: 0xD5,
+  },
+};
+
+// Encoding names seen in stream metadata (MIME types, SDP names, short names)
+const CODEC_ALIASES = {
+  'audio/x-mulaw': TELEPHONY_CODECS.MULAW,
+  'audio/pcmu': TELEPHONY_CODECS.MULAW,
+  'pcmu': TELEPHONY_CODECS.MULAW,
+  'mulaw': TELEPHONY_CODECS.MULAW,
+  'ulaw': TELEPHONY_CODECS.MULAW,
+  'audio/x-alaw': TELEPHONY_CODECS.ALAW,
+  'audio/pcma': TELEPHONY_CODECS.ALAW,
+  'pcma': TELEPHONY_CODECS.ALAW,
+  'alaw': TELEPHONY_CODECS.ALAW,
+};
+
+/**
+ * Pick the codec for a stream's encoding
+ * 
+ * @param {string} [encoding] - e.g. start.mediaFormat.encoding; μ-law when absent
+ * @returns {object} - One of TELEPHONY_CODECS
+ * @throws {Error} - Encoding is not G.711
+ */
+export function getTelephonyCodec(encoding) {
+  if (!encoding) {
+    return TELEPHONY_CODECS.MULAW;
+  }
+  
+  const codec = CODEC_ALIASES[String(encoding).toLowerCase()];
+  if (!codec) {
+    throw new Error(`Unsupported telephony audio encoding: ${encoding}`);
+  }
+  return codec;
+}
+
+/**
+ * Where an encoder writes `numBytes` bytes: a Buffer over the caller's
+ * output when given, else a new one
+ */
+function encodedOutput(output, numBytes) {
+  if (!output) {
+    return Buffer.allocUnsafe(numBytes);
+  }
+  if (output.length < numBytes) {
+    throw new RangeError(`Output buffer holds ${output.length} bytes, ${numBytes} needed`);
+  }
+  return Buffer.from(output.buffer, output.byteOffset, numBytes);
+}
+
+/**
+ * Resample a complete clip (band-limited, see utils/resampler.js)
  * 
- * @param {Buffer} pcmBuffer - Input PCM audio (16-bit signed)
+ * Edges are extended rather than faded, and the output holds exactly
+ * floor(samples * toRate / fromRate) samples. For a continuous stream cut
+ * into chunks use a Resampler instance, which keeps state between chunks.
+ * 
+ * @param {Buffer|Int16Array} pcmBuffer - PCM audio (16-bit signed)
  * @param {number} fromRate - Source sample rate
  * @param {number} toRate - Target sample rate
+ * @param {Buffer|Int16Array} [output] - Where to write the resampled PCM
  * @returns {Buffer} - Resampled PCM audio
  */
-export function resample(pcmBuffer, fromRate, toRate) {
-  if (fromRate === toRate) {
-    return pcmBuffer;
-  }
-  
-  const inputSamples = Math.floor(pcmBuffer.length / 2);
-  const ratio = fromRate / toRate;
-  const outputSamples = Math.floor(inputSamples / ratio);
-  const outputBuffer = Buffer.alloc(outputSamples * 2);
+export function resample(pcmBuffer, fromRate, toRate, output) {
+  const input = toSamples(pcmBuffer);
   
-  for (let i = 0; i < outputSamples; i++) {
-    const srcPos = i * ratio;
-    const srcIndex = Math.floor(srcPos);
-    const frac = srcPos - srcIndex;
-    
-    // Get samples for interpolation
-    const sample1 = pcmBuffer.readInt16LE(Math.min(srcIndex * 2, (inputSamples - 1) * 2));
-    const sample2 = srcIndex + 1 < inputSamples
-      ? pcmBuffer.readInt16LE((srcIndex + 1) * 2)
-      : sample1;
-    
-    // Linear interpolation
-    const interpolated = Math.round(sample1 * (1 - frac) + sample2 * frac);
-    
-    // Clamp to 16-bit range
-    const clamped = Math.max(-32768, Math.min(32767, interpolated));
-    outputBuffer.writeInt16LE(clamped, i * 2);
+  if (fromRate === toRate) {
+    if (!output) {
+      return toBuffer(input);
+    }
+    const samples = outputSamples(output, input.length);
+    samples.set(input);
+    return toBuffer(samples);
   }
   
-  return outputBuffer;
+  const samples = outputSamples(output, Math.floor(input.length * toRate / fromRate));
+  resampleClip(input, fromRate, toRate, samples);
+  return toBuffer(samples);
 }
 
 /**
  * Normalize audio levels (apply gain and clipping)
  * 
- * @param {Buffer} pcmBuffer - PCM audio
+ * @param {Buffer|Int16Array} pcmBuffer - PCM audio
  * @param {number} gain - Gain multiplier (1.0 = no change)
+ * @param {Buffer|Int16Array} [output] - Where to write (may be the input itself)
  * @returns {Buffer} - Normalized PCM audio
  */
-export function normalizeAudio(pcmBuffer, gain = 1.0) {
-  if (gain === 1.0) {
-    return pcmBuffer;
+export function normalizeAudio(pcmBuffer, gain = 1.0, output) {
+  if (gain === 1.0 && !output) {
+    return Buffer.isBuffer(pcmBuffer) ? pcmBuffer : toBuffer(pcmBuffer);
   }
   
-  const numSamples = Math.floor(pcmBuffer.length / 2);
-  const outputBuffer = Buffer.alloc(numSamples * 2);
+  const input = toSamples(pcmBuffer);
+  const samples = outputSamples(output, input.length);
   
-  for (let i = 0; i < numSamples; i++) {
-    let sample = pcmBuffer.readInt16LE(i * 2);
-    sample = Math.round(sample * gain);
+  for (let i = 0; i < input.length; i++) {
+    const sample = Math.round(input[i] * gain);
     
     // Clamp to 16-bit range
-    sample = Math.max(-32768, Math.min(32767, sample));
-    outputBuffer.writeInt16LE(sample, i * 2);
+    samples[i] = sample > 32767 ? 32767 : sample < -32768 ? -32768 : sample;
   }
   
-  return outputBuffer;
+  return toBuffer(samples);
 }
 
 /**
  * Calculate RMS (Root Mean Square) of audio buffer
  * Useful for detecting silence
  * 
- * @param {Buffer} pcmBuffer - PCM audio
+ * @param {Buffer|Int16Array} pcmBuffer - PCM audio
  * @returns {number} - RMS value (0-32768)
  */
 export function calculateRMS(pcmBuffer) {
-  const numSamples = Math.floor(pcmBuffer.length / 2);
-  if (numSamples === 0) return 0;
+  const samples = toSamples(pcmBuffer);
+  if (samples.length === 0) return 0;
   
   let sum = 0;
-  for (let i = 0; i < numSamples; i++) {
-    const sample = pcmBuffer.readInt16LE(i * 2);
-    sum += sample * sample;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
   }
   
-  return Math.sqrt(sum / numSamples);
+  return Math.sqrt(sum / samples.length);
 }
 
 /**
@@ -208,6 +365,29 @@ export function isSilence(pcmBuffer, threshold = 100) {
   return calculateRMS(pcmBuffer) < threshold;
 }
 
+/**
+ * Generate low-level comfort noise
+ * 
+ * Gently low-passed white noise so the line doesn't sound dead (which
+ * listeners read as a dropped call) without carrying any speech.
+ * 
+ * @param {number} numSamples - Number of 16-bit samples
+ * @param {number} amplitude - Peak level (default 40, about -58 dBFS)
+ * @param {Buffer|Int16Array} [output] - Where to write the noise
+ * @returns {Buffer} - PCM audio
+ */
+export function generateComfortNoise(numSamples, amplitude = 40, output) {
+  const samples = outputSamples(output, numSamples);
+  let previous = 0;
+  
+  for (let i = 0; i < numSamples; i++) {
+    previous = previous * 0.6 + (Math.random() * 2 - 1) * 0.4;
+    samples[i] = Math.round(previous * amplitude);
+  }
+  
+  return toBuffer(samples);
+}
+
 /**
  * Convert stereo to mono by averaging channels
  */
@@ -224,3 +404,119 @@ export function stereoToMono(pcmBuffer) {
   
   return monoBuffer;
 }
+
+/**
+ * Wrap PCM in a WAV (RIFF) container
+ * 
+ * @param {Buffer} pcmBuffer - PCM audio
+ * @param {number} sampleRate - Sample rate (default 16000)
+ * @param {number} numChannels - Channel count (default 1)
+ * @param {number} bitsPerSample - Bit depth (default 16)
+ * @returns {Buffer} - WAV file
+ */
+export function pcmToWav(pcmBuffer, sampleRate = 16000, numChannels = 1, bitsPerSample = 16) {
+  const byteRate = sampleRate * numChannels * (bitsPerSample / 8);
+  const blockAlign = numChannels * (bitsPerSample / 8);
+  const dataSize = pcmBuffer.length;
+  const headerSize = 44;
+  
+  const wavBuffer = Buffer.alloc(headerSize + dataSize);
+  let offset = 0;
+  
+  // RIFF header
+  wavBuffer.write('RIFF', offset); offset += 4;
+  wavBuffer.writeUInt32LE(36 + dataSize, offset); offset += 4;
+  wavBuffer.write('WAVE', offset); offset += 4;
+  
+  // fmt chunk
+  wavBuffer.write('fmt ', offset); offset += 4;
+  wavBuffer.writeUInt32LE(16, offset); offset += 4;  // Chunk size
+  wavBuffer.writeUInt16LE(1, offset); offset += 2;   // Audio format (PCM)
+  wavBuffer.writeUInt16LE(numChannels, offset); offset += 2;
+  wavBuffer.writeUInt32LE(sampleRate, offset); offset += 4;
+  wavBuffer.writeUInt32LE(byteRate, offset); offset += 4;
+  wavBuffer.writeUInt16LE(blockAlign, offset); offset += 2;
+  wavBuffer.writeUInt16LE(bitsPerSample, offset); offset += 2;
+  
+  // data chunk
+  wavBuffer.write('data', offset); offset += 4;
+  wavBuffer.writeUInt32LE(dataSize, offset); offset += 4;
+  
+  // Copy PCM data
+  pcmBuffer.copy(wavBuffer, offset);
+  
+  return wavBuffer;
+}
+
+/**
+ * Read a WAV (RIFF) file as mono 16-bit PCM
+ * 
+ * Accepts 8/16-bit PCM and G.711 (μ-law, A-law), including
+ * WAVE_FORMAT_EXTENSIBLE headers; channels are averaged.
+ * 
+ * @param {Buffer} wavBuffer - WAV file
+ * @returns {{pcm: Buffer, sampleRate: number, channels: number}}
+ * @throws {Error} - Not a WAV file, or an encoding that isn't supported
+ */
+export function wavToPcm(wavBuffer) {
+  if (wavBuffer.length < 12 || wavBuffer.toString('ascii', 0, 4) !== 'RIFF' || wavBuffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+  
+  // Walk the chunks for 'fmt ' and 'data' (chunks are padded to even sizes)
+  let format = null;
+  let data = null;
+  for (let offset = 12; offset + 8 <= wavBuffer.length; ) {
+    const id = wavBuffer.toString('ascii', offset, offset + 4);
+    const size = wavBuffer.readUInt32LE(offset + 4);
+    const body = wavBuffer.subarray(offset + 8, offset + 8 + size);
+    
+    if (id === 'fmt ' && body.length >= 16) {
+      format = {
+        tag: body.readUInt16LE(0) === 0xFFFE && body.length >= 26 ? body.readUInt16LE(24) : body.readUInt16LE(0),
+        channels: body.readUInt16LE(2),
+        sampleRate: body.readUInt32LE(4),
+        bitsPerSample: body.readUInt16LE(14),
+      };
+    } else if (id === 'data') {
+      data = body;  // May be cut short by a truncated file
+      break;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  
+  if (!format || !data) {
+    throw new Error(`WAV file has no ${format ? 'data' : 'fmt'} chunk`);
+  }
+  if (format.channels < 1 || format.sampleRate < 1) {
+    throw new Error('WAV header is invalid');
+  }
+  
+  let samples;
+  if (format.tag === 1 && format.bitsPerSample === 16) {
+    samples = toSamples(data);
+  } else if (format.tag === 1 && format.bitsPerSample === 8) {
+    samples = Int16Array.from(data, byte => (byte - 128) << 8);
+  } else if (format.tag === 7 || format.tag === 6) {
+    samples = toSamples(format.tag === 7 ? mulawDecode(data) : alawDecode(data));
+  } else {
+    throw new Error(`Unsupported WAV encoding (format ${format.tag}, ${format.bitsPerSample}-bit) - use 16-bit PCM`);
+  }
+  
+  if (format.channels === 1) {
+    return { pcm: toBuffer(samples), sampleRate: format.sampleRate, channels: 1 };
+  }
+  
+  // Average interleaved channels
+  const numFrames = Math.floor(samples.length / format.channels);
+  const mono = new Int16Array(numFrames);
+  for (let i = 0; i < numFrames; i++) {
+    let sum = 0;
+    for (let channel = 0; channel < format.channels; channel++) {
+      sum += samples[i * format.channels + channel];
+    }
+    mono[i] = Math.round(sum / format.channels);
+  }
+  
+  return { pcm: toBuffer(mono), sampleRate: format.sampleRate, channels: format.channels };
+}
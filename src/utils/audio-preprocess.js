@@ -0,0 +1,358 @@
+/**
+ * Audio Preprocessing
+ *
+ * Conditions a caller's audio before it reaches the voice provider, which
+ * copes badly with rumble, background noise and quiet microphones:
+ *
+ *   highPass         - 2nd-order Butterworth high-pass at 100Hz (rumble, hum, DC)
+ *   noiseSuppression - spectral subtraction against a per-bin noise floor
+ *                      tracked from the quietest recent frames
+ *   agc              - automatic gain control towards a speech level, applied
+ *                      with normalizeAudio in 10ms blocks
+ *
+ * Stages run in that order and each can be turned off per call. Keep one
+ * AudioPreprocessor per call so filter state and the noise estimate carry
+ * across chunks.
+ */
+
+import { normalizeAudio, calculateRMS } from './audio-codec.js';
+import { toSamples, toBuffer } from './pcm-samples.js';
+import { fft, nextPowerOfTwo } from './voice-dsp.js';
+
+// Stages on unless switched off (per call via the `preprocess` option)
+export const DEFAULT_PREPROCESSING = {
+  highPass: process.env.AUDIO_HIGH_PASS !== 'false',
+  noiseSuppression: process.env.AUDIO_NOISE_SUPPRESSION !== 'false',
+  agc: process.env.AUDIO_AGC !== 'false',
+};
+
+const STAGES = Object.keys(DEFAULT_PREPROCESSING);
+
+// High-pass corner (Hz)
+const HIGH_PASS_HZ = 100;
+
+// Noise suppression: analysis frame (~32ms, 50% overlap), how much of the
+// noise estimate to subtract (the minimum sits below the mean noise level),
+// the most a bin is attenuated, and how fast the floor may rise
+const NS_FRAME_MS = 32;
+const NS_OVERSUBTRACT = 2.5;
+const NS_GAIN_FLOOR = 0.1;
+const NS_RISE_DB_PER_SECOND = 5;
+
+// AGC: target speech RMS (about -20 dBFS), gain limits, and per-block
+// adaptation (quick to turn down, slow to turn up). Blocks quieter than the
+// gate are background - the gain holds rather than boosting noise.
+const AGC_TARGET_RMS = 3300;
+const AGC_MIN_GAIN = 0.5;
+const AGC_MAX_GAIN = 8;
+const AGC_BLOCK_MS = 10;
+const AGC_ATTACK = 0.5;
+const AGC_RELEASE = 0.05;
+const AGC_GATE_RMS = 300;
+
+/**
+ * Resolve per-call stage toggles
+ *
+ * @param {object|string} [value] - { highPass, noiseSuppression, agc } booleans
+ *   (missing ones keep the default), or a comma-separated list of the stages to
+ *   enable ('highPass,agc'; 'none' disables all)
+ * @returns {{highPass: boolean, noiseSuppression: boolean, agc: boolean}}
+ */
+export function parsePreprocessing(value) {
+  if (value === undefined || value === null || value === '') {
+    return { ...DEFAULT_PREPROCESSING };
+  }
+
+  if (typeof value === 'string') {
+    const enabled = value === 'none' ? [] : value.split(',').map(name => name.trim()).filter(Boolean);
+    const stages = Object.fromEntries(STAGES.map(stage => [stage, false]));
+    for (const name of enabled) {
+      if (!STAGES.includes(name)) {
+        throw new Error(`Unknown preprocessing stage: ${name}`);
+      }
+      stages[name] = true;
+    }
+    return stages;
+  }
+
+  const stages = { ...DEFAULT_PREPROCESSING };
+  for (const [name, enabled] of Object.entries(value)) {
+    if (!STAGES.includes(name)) {
+      throw new Error(`Unknown preprocessing stage: ${name}`);
+    }
+    stages[name] = Boolean(enabled);
+  }
+  return stages;
+}
+
+/**
+ * Stage toggles as a parameter string (the inverse of parsePreprocessing)
+ */
+export function formatPreprocessing(stages) {
+  const enabled = STAGES.filter(stage => stages[stage]);
+  return enabled.length > 0 ? enabled.join(',') : 'none';
+}
+
+/**
+ * The preprocessing chain
+ *
+ * process() returns as many samples as it receives; with noise suppression
+ * on, the output lags the input by `latencySamples`.
+ */
+export class AudioPreprocessor {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.sampleRate] - PCM sample rate (default 16000)
+   * @param {object} [options.stages] - Stage toggles (parsePreprocessing)
+   */
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 16000;
+    this.highPass = new HighPassFilter(this.sampleRate);
+    this.noiseSuppressor = new NoiseSuppressor(this.sampleRate);
+    this.agc = new AutoGainControl(this.sampleRate);
+    this.signal = new Float64Array(0);
+    this.configure(options.stages);
+  }
+
+  /**
+   * Turn stages on or off
+   */
+  configure(stages) {
+    this.stages = parsePreprocessing(stages);
+  }
+
+  get isBypass() {
+    return !this.stages.highPass && !this.stages.noiseSuppression && !this.stages.agc;
+  }
+
+  get latencySamples() {
+    return this.stages.noiseSuppression ? this.noiseSuppressor.latencySamples : 0;
+  }
+
+  /**
+   * Process the next chunk
+   *
+   * @param {Buffer|Int16Array} pcm - PCM audio (16-bit signed, mono)
+   * @returns {Buffer} - Conditioned PCM, same length
+   */
+  process(pcm) {
+    const input = toSamples(pcm);
+    const output = new Int16Array(input.length);
+
+    if (this.stages.highPass || this.stages.noiseSuppression) {
+      if (this.signal.length < input.length) {
+        this.signal = new Float64Array(input.length);
+      }
+      const signal = this.signal.subarray(0, input.length);
+      for (let i = 0; i < input.length; i++) {
+        signal[i] = input[i] / 32768;
+      }
+
+      if (this.stages.highPass) this.highPass.process(signal);
+      if (this.stages.noiseSuppression) this.noiseSuppressor.process(signal);
+
+      for (let i = 0; i < signal.length; i++) {
+        const sample = Math.round(signal[i] * 32768);
+        output[i] = sample > 32767 ? 32767 : sample < -32768 ? -32768 : sample;
+      }
+    } else {
+      output.set(input);
+    }
+
+    if (this.stages.agc) {
+      this.agc.process(output);
+    }
+
+    return toBuffer(output);
+  }
+
+  getStats() {
+    return {
+      stages: formatPreprocessing(this.stages),
+      noiseFloorDb: this.stages.noiseSuppression ? this.noiseSuppressor.getNoiseFloorDb() : null,
+      agcGainDb: this.stages.agc ? Math.round(20 * Math.log10(this.agc.gain) * 10) / 10 : null,
+    };
+  }
+}
+
+/**
+ * Streaming biquad high-pass (RBJ cookbook, Q = 1/√2)
+ */
+export class HighPassFilter {
+  constructor(sampleRate, cutoff = HIGH_PASS_HZ) {
+    const w0 = 2 * Math.PI * cutoff / sampleRate;
+    const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+    const cos = Math.cos(w0);
+    const a0 = 1 + alpha;
+
+    this.b0 = (1 + cos) / 2 / a0;
+    this.b1 = -(1 + cos) / a0;
+    this.b2 = this.b0;
+    this.a1 = -2 * cos / a0;
+    this.a2 = (1 - alpha) / a0;
+
+    this.x1 = 0;
+    this.x2 = 0;
+    this.y1 = 0;
+    this.y2 = 0;
+  }
+
+  /**
+   * Filter in place
+   *
+   * @param {Float64Array} signal - Samples in [-1, 1]
+   */
+  process(signal) {
+    for (let i = 0; i < signal.length; i++) {
+      const x = signal[i];
+      const y = this.b0 * x + this.b1 * this.x1 + this.b2 * this.x2 - this.a1 * this.y1 - this.a2 * this.y2;
+      this.x2 = this.x1;
+      this.x1 = x;
+      this.y2 = this.y1;
+      this.y1 = y;
+      signal[i] = y;
+    }
+  }
+}
+
+/**
+ * Streaming spectral-subtraction noise suppressor
+ *
+ * Each bin's noise floor follows the minimum of its smoothed power, rising
+ * slowly so it adapts when the background gets louder; bins are attenuated
+ * by how little they stand above it. Overlap-add with sqrt-Hann windows.
+ */
+export class NoiseSuppressor {
+  constructor(sampleRate) {
+    const n = nextPowerOfTwo(sampleRate * NS_FRAME_MS / 1000);
+    const bins = n / 2 + 1;
+
+    this.frameSize = n;
+    this.hopSize = n / 2;
+    this.latencySamples = n - this.hopSize;
+    this.rise = Math.pow(10, NS_RISE_DB_PER_SECOND / 10 * this.hopSize / sampleRate);
+
+    this.window = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      this.window[i] = Math.sqrt(0.5 - 0.5 * Math.cos(2 * Math.PI * i / n));
+    }
+
+    // Streaming FIFOs
+    this.inFifo = new Float64Array(n);
+    this.outFifo = new Float64Array(this.hopSize);
+    this.outAccum = new Float64Array(n);
+    this.rover = this.latencySamples;
+
+    // FFT work buffers and per-bin state
+    this.re = new Float64Array(n);
+    this.im = new Float64Array(n);
+    this.smoothedPower = new Float64Array(bins);
+    this.noise = new Float64Array(bins).fill(Infinity);  // Starts from the first frame
+    this.gain = new Float64Array(bins).fill(1);
+    this.framesProcessed = 0;
+  }
+
+  /**
+   * Suppress noise in place (delayed by latencySamples)
+   *
+   * @param {Float64Array} signal - Samples in [-1, 1]
+   */
+  process(signal) {
+    for (let i = 0; i < signal.length; i++) {
+      this.inFifo[this.rover] = signal[i];
+      signal[i] = this.outFifo[this.rover - this.latencySamples];
+      this.rover++;
+
+      if (this.rover >= this.frameSize) {
+        this.rover = this.latencySamples;
+        this.processFrame();
+      }
+    }
+  }
+
+  processFrame() {
+    const n = this.frameSize;
+    const hop = this.hopSize;
+    const { re, im, window } = this;
+
+    for (let i = 0; i < n; i++) {
+      re[i] = this.inFifo[i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im, false);
+
+    for (let k = 0; k <= n / 2; k++) {
+      const power = re[k] * re[k] + im[k] * im[k];
+
+      this.smoothedPower[k] = this.framesProcessed > 0 ? 0.7 * this.smoothedPower[k] + 0.3 * power : power;
+      this.noise[k] = Math.min(this.smoothedPower[k], this.noise[k] * this.rise);
+
+      const gain = power > 0
+        ? Math.sqrt(Math.max(NS_GAIN_FLOOR * NS_GAIN_FLOOR, 1 - NS_OVERSUBTRACT * this.noise[k] / power))
+        : NS_GAIN_FLOOR;
+      // Smoothing over time keeps isolated bins from twinkling ("musical noise")
+      this.gain[k] = 0.5 * gain + 0.5 * this.gain[k];
+
+      re[k] *= this.gain[k];
+      im[k] *= this.gain[k];
+      if (k > 0 && k < n / 2) {
+        re[n - k] *= this.gain[k];
+        im[n - k] *= this.gain[k];
+      }
+    }
+
+    fft(re, im, true);
+    for (let i = 0; i < n; i++) {
+      this.outAccum[i] += re[i] / n * window[i];
+    }
+
+    this.outFifo.set(this.outAccum.subarray(0, hop));
+    this.outAccum.copyWithin(0, hop);
+    this.outAccum.fill(0, n - hop);
+    this.inFifo.copyWithin(0, hop);
+    this.framesProcessed++;
+  }
+
+  /**
+   * Average noise floor across bins, in dBFS
+   */
+  getNoiseFloorDb() {
+    if (this.framesProcessed === 0) return null;
+
+    let sum = 0;
+    for (let k = 0; k < this.noise.length; k++) {
+      sum += this.noise[k];
+    }
+    const power = sum / this.noise.length / (this.frameSize / 2);
+    return Math.round(10 * Math.log10(Math.max(power, 1e-12)) * 10) / 10;
+  }
+}
+
+/**
+ * Block-wise automatic gain control
+ */
+export class AutoGainControl {
+  constructor(sampleRate) {
+    this.blockSamples = Math.round(sampleRate * AGC_BLOCK_MS / 1000);
+    this.gain = 1;
+  }
+
+  /**
+   * Level in place
+   *
+   * @param {Int16Array} samples - PCM samples
+   */
+  process(samples) {
+    for (let offset = 0; offset < samples.length; offset += this.blockSamples) {
+      const block = samples.subarray(offset, offset + this.blockSamples);
+      const rms = calculateRMS(block);
+
+      if (rms >= AGC_GATE_RMS) {
+        const desired = Math.max(AGC_MIN_GAIN, Math.min(AGC_MAX_GAIN, AGC_TARGET_RMS / rms));
+        this.gain += (desired - this.gain) * (desired < this.gain ? AGC_ATTACK : AGC_RELEASE);
+      }
+
+      normalizeAudio(block, this.gain, block);
+    }
+  }
+}
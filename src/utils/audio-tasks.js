@@ -0,0 +1,255 @@
+/**
+ * Audio Tasks
+ *
+ * The CPU-heavy steps of the media path - G.711 decode, resampling,
+ * preprocessing and local DSP - as named operations on plain arguments, so
+ * the same code runs on an AudioWorkerPool thread or inline on the event
+ * loop. State that carries from one chunk of a call to the next (DSP engine,
+ * preprocessor, streaming resamplers, the last output of each) lives in a
+ * session per key, on whichever thread runs that key's tasks. Within a
+ * session, each named stream (e.g. a Twilio track, or the browser mic) gets
+ * its own state, so the audio streams of one call never share an engine.
+ */
+
+// Stream name for tasks that don't give one
+const DEFAULT_STREAM = 'main';
+
+import { getTelephonyCodec, resample } from './audio-codec.js';
+import { Resampler } from './resampler.js';
+import { VoiceDisguiser, disguiseVoice } from './voice-dsp.js';
+import { AudioPreprocessor } from './audio-preprocess.js';
+
+export class AudioTaskRunner {
+  constructor() {
+    this.sessions = new Map();  // key -> { engines, preprocessors, tails, resamplers } (each by stream)
+  }
+
+  /**
+   * Run one operation
+   *
+   * @param {string} op - 'decode', 'resample', 'preprocess' or 'dsp'
+   * @param {string|null} key - Session (usually the call ID); null for stateless work
+   * @param {object} args - Operation arguments (see the methods below)
+   * @returns {Buffer} - PCM audio (16-bit signed)
+   */
+  run(op, key, args) {
+    switch (op) {
+      case 'decode':
+        return this.decode(key, args);
+      case 'resample':
+        return this.resample(key, args);
+      case 'preprocess':
+        return this.preprocess(key, args);
+      case 'dsp':
+        return this.dsp(key, args);
+      default:
+        throw new Error(`Unknown audio task: ${op}`);
+    }
+  }
+
+  /**
+   * G.711 to PCM, optionally resampled
+   *
+   * @param {object} args
+   * @param {Buffer} args.audio - Encoded audio
+   * @param {string} args.encoding - Codec name or stream encoding (getTelephonyCodec)
+   * @param {number} [args.fromRate] - Rate of the encoded audio
+   * @param {number} [args.toRate] - Rate to resample to
+   * @param {string} [args.stream] - Resample through the session's continuous resampler of this name
+   */
+  decode(key, { audio, encoding, fromRate, toRate, stream }) {
+    const pcm = getTelephonyCodec(encoding).decode(audio);
+    if (!toRate || toRate === fromRate) {
+      return pcm;
+    }
+    return this.resample(key, { pcm, fromRate, toRate, stream });
+  }
+
+  /**
+   * Resample PCM as a complete clip, or as the next chunk of a named stream
+   *
+   * @param {object} args
+   * @param {Buffer} args.pcm - PCM audio (16-bit signed)
+   * @param {number} args.fromRate - Source sample rate
+   * @param {number} args.toRate - Target sample rate
+   * @param {string} [args.stream] - Continuous stream name (needs a key)
+   */
+  resample(key, { pcm, fromRate, toRate, stream }) {
+    if (!stream || key == null) {
+      return resample(pcm, fromRate, toRate);
+    }
+
+    const resamplers = this.getSession(key).resamplers;
+    let resampler = resamplers.get(stream);
+    if (!resampler || resampler.fromRate !== fromRate || resampler.toRate !== toRate) {
+      resampler = new Resampler(fromRate, toRate);
+      resamplers.set(stream, resampler);
+    }
+    return resampler.process(pcm);
+  }
+
+  /**
+   * Disguise a voice with the phase-vocoder engine (see LocalDspProvider)
+   *
+   * @param {object} args
+   * @param {Buffer} args.pcm - PCM audio (16-bit signed)
+   * @param {object} args.params - Preset `dsp` block, e.g. { pitch: 0.8, formant: 0.9 }
+   * @param {number} args.sampleRate - PCM sample rate
+   * @param {number} [args.contextSamples] - Leading samples the engine already heard
+   * @param {string} [args.stream] - Audio stream within the session (default 'main')
+   */
+  dsp(key, { pcm, params, sampleRate, contextSamples, stream = DEFAULT_STREAM }) {
+    // One-off clips: process the whole buffer with latency compensation
+    if (key == null) {
+      return disguiseVoice(pcm, params, sampleRate);
+    }
+
+    // One engine per call and stream so analysis frames overlap across chunks
+    const session = this.getSession(key);
+    let engine = session.engines.get(stream);
+    if (!engine || engine.sampleRate !== sampleRate) {
+      engine = new VoiceDisguiser({ sampleRate });
+      session.engines.set(stream, engine);
+    }
+    engine.configure(params);
+
+    if (engine.isBypass) {
+      return pcm;
+    }
+
+    return this.continueWindow(session, `dsp:${stream}`, pcm, contextSamples, chunk => engine.process(chunk));
+  }
+
+  /**
+   * Condition audio before the transform (high-pass, noise suppression, AGC)
+   *
+   * @param {object} args
+   * @param {Buffer} args.pcm - PCM audio (16-bit signed)
+   * @param {number} args.sampleRate - PCM sample rate
+   * @param {object|string} [args.stages] - Stage toggles (parsePreprocessing)
+   * @param {number} [args.contextSamples] - Leading samples the chain already heard
+   * @param {string} [args.stream] - Audio stream within the session (default 'main')
+   */
+  preprocess(key, { pcm, sampleRate, stages, contextSamples, stream = DEFAULT_STREAM }) {
+    if (key == null) {
+      return new AudioPreprocessor({ sampleRate, stages }).process(pcm);
+    }
+
+    const session = this.getSession(key);
+    let preprocessor = session.preprocessors.get(stream);
+    if (!preprocessor || preprocessor.sampleRate !== sampleRate) {
+      preprocessor = new AudioPreprocessor({ sampleRate, stages });
+      session.preprocessors.set(stream, preprocessor);
+    }
+    preprocessor.configure(stages);
+
+    if (preprocessor.isBypass) {
+      return pcm;
+    }
+
+    return this.continueWindow(session, `preprocess:${stream}`, pcm, contextSamples, chunk => preprocessor.process(chunk));
+  }
+
+  /**
+   * Run a stateful stage over an overlapping window: the first
+   * `contextSamples` went through with the previous window, so only the new
+   * audio is processed and the stage's earlier output is repeated for them
+   */
+  continueWindow(session, stage, pcm, contextSamples, process) {
+    const contextBytes = Math.min((contextSamples || 0) * 2, pcm.length);
+    const output = process(pcm.subarray(contextBytes));
+    if (contextBytes === 0) {
+      session.tails.set(stage, output);
+      return output;
+    }
+
+    const previous = session.tails.get(stage) || Buffer.alloc(0);
+    const context = previous.length >= contextBytes
+      ? previous.subarray(previous.length - contextBytes)
+      : Buffer.concat([Buffer.alloc(contextBytes - previous.length), previous]);
+    const result = Buffer.concat([context, output]);
+    session.tails.set(stage, result);
+    return result;
+  }
+
+  getSession(key) {
+    if (!this.sessions.has(key)) {
+      this.sessions.set(key, { engines: new Map(), preprocessors: new Map(), tails: new Map(), resamplers: new Map() });
+    }
+    return this.sessions.get(key);
+  }
+
+  /**
+   * Whether a result is also kept as session state (a stage's last output),
+   * so it must not be handed off - e.g. transferred to another thread
+   */
+  isSessionState(key, result) {
+    const tails = this.sessions.get(key)?.tails;
+    return tails ? [...tails.values()].includes(result) : false;
+  }
+
+  /**
+   * Drop a session's state (end of call)
+   */
+  release(key) {
+    this.sessions.delete(key);
+  }
+}
+
+/**
+ * Prepare a Buffer/typed array for postMessage: an exact-size copy whose
+ * ArrayBuffer can be transferred (structured-cloning a view would copy its
+ * whole backing store, e.g. Node's 8KB Buffer pool slab), or the view itself
+ * when it owns its ArrayBuffer and the sender is done with it.
+ *
+ * @param {ArrayBufferView} view
+ * @param {boolean} [owned] - The sender won't touch the view again
+ * @returns {{data: Uint8Array, transfer: ArrayBuffer[]}}
+ */
+export function toTransferable(view, owned = false) {
+  const bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+  if (owned && bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength) {
+    return { data: bytes, transfer: [bytes.buffer] };
+  }
+
+  const copy = new Uint8Array(bytes);
+  return { data: copy, transfer: [copy.buffer] };
+}
+
+/**
+ * Pack an argument object for postMessage (Buffers become transferable copies)
+ *
+ * @returns {{args: object, transfer: ArrayBuffer[]}}
+ */
+export function packArgs(args) {
+  const packed = {};
+  const transfer = [];
+  for (const [name, value] of Object.entries(args)) {
+    if (ArrayBuffer.isView(value)) {
+      const prepared = toTransferable(value);
+      packed[name] = prepared.data;
+      transfer.push(...prepared.transfer);
+    } else {
+      packed[name] = value;
+    }
+  }
+  return { args: packed, transfer };
+}
+
+/**
+ * Undo packArgs on the receiving side (byte arrays back to Buffers)
+ */
+export function unpackArgs(args) {
+  const unpacked = {};
+  for (const [name, value] of Object.entries(args)) {
+    unpacked[name] = value instanceof Uint8Array ? toNodeBuffer(value) : value;
+  }
+  return unpacked;
+}
+
+/**
+ * View received bytes as a Buffer (no copy)
+ */
+export function toNodeBuffer(bytes) {
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
@@ -0,0 +1,168 @@
+/**
+ * Client Audio Frame Protocol
+ *
+ * Binary framing for raw PCM sent by the browser AudioWorklet over
+ * /client-audio-stream. Each WebSocket message carries one frame:
+ *
+ *   offset  size  field
+ *   0       1     version (currently 1)
+ *   1       1     reserved (0)
+ *   2       4     sequence number (uint32 LE, wraps)
+ *   6       8     capture timestamp in ms (float64 LE, sender's clock - only
+ *                 differences between frames are meaningful)
+ *   14      n     payload - 16-bit signed PCM, little-endian, 16kHz mono
+ */
+
+export const FRAME_VERSION = 1;
+export const FRAME_HEADER_BYTES = 14;
+
+// Client audio formats negotiated on connect
+export const CLIENT_AUDIO_FORMATS = {
+  WEBM: 'webm',    // MediaRecorder audio/webm;codecs=opus chunks
+  PCM16: 'pcm16',  // AudioWorklet frames in the format above
+};
+
+// Frames further behind than this are treated as a stream restart
+const MAX_REORDER_DISTANCE = 1000;
+
+/**
+ * Encode a client audio frame
+ *
+ * @param {number} sequence - Frame sequence number
+ * @param {number} timestamp - Capture timestamp in ms
+ * @param {Buffer} pcmPayload - 16-bit PCM audio
+ * @returns {Buffer}
+ */
+export function encodeClientFrame(sequence, timestamp, pcmPayload) {
+  const frame = Buffer.alloc(FRAME_HEADER_BYTES + pcmPayload.length);
+  frame.writeUInt8(FRAME_VERSION, 0);
+  frame.writeUInt32LE(sequence >>> 0, 2);
+  frame.writeDoubleLE(timestamp, 6);
+  pcmPayload.copy(frame, FRAME_HEADER_BYTES);
+  return frame;
+}
+
+/**
+ * Parse a client audio frame
+ *
+ * @param {Buffer} data - Raw WebSocket message
+ * @returns {{version: number, sequence: number, timestamp: number, payload: Buffer}}
+ */
+export function parseClientFrame(data) {
+  if (data.length < FRAME_HEADER_BYTES) {
+    throw new Error(`Client frame too short: ${data.length} bytes`);
+  }
+
+  const version = data.readUInt8(0);
+  if (version !== FRAME_VERSION) {
+    throw new Error(`Unsupported client frame version: ${version}`);
+  }
+
+  const payload = data.subarray(FRAME_HEADER_BYTES);
+  if (payload.length % 2 !== 0) {
+    throw new Error(`Client frame payload not 16-bit aligned: ${payload.length} bytes`);
+  }
+
+  return {
+    version,
+    sequence: data.readUInt32LE(2),
+    timestamp: data.readDoubleLE(6),
+    payload,
+  };
+}
+
+/**
+ * PCM Frame Decoder
+ *
+ * Unpacks framed PCM from the AudioWorklet client and tracks the sequence
+ * to detect lost, duplicated and reordered frames. Late (reordered) frames
+ * are dropped since the audio after them has already been forwarded.
+ * Capture timestamps against arrival times give the network jitter.
+ */
+export class PcmFrameDecoder {
+  constructor() {
+    this.expectedSequence = null;
+    this.missing = new Set();  // Skipped sequence numbers, oldest first
+    this.lastTransit = null;   // Arrival minus capture time of the last frame (ms)
+    this.jitter = 0;
+    this.stats = {
+      framesReceived: 0,
+      framesLost: 0,
+      framesReordered: 0,
+      framesDuplicate: 0,
+    };
+  }
+
+  /**
+   * Decode one frame
+   *
+   * @param {Buffer} data - Raw WebSocket message
+   * @param {number} [arrivedAt] - Arrival time in ms (default: now)
+   * @returns {Promise<Buffer>} - PCM payload (empty if the frame was dropped)
+   */
+  async decode(data, arrivedAt = Date.now()) {
+    const frame = parseClientFrame(data);
+    this.stats.framesReceived++;
+
+    if (this.expectedSequence !== null) {
+      const distance = (frame.sequence - this.expectedSequence) | 0;
+
+      if (distance < 0 && distance > -MAX_REORDER_DISTANCE) {
+        if (this.missing.delete(frame.sequence)) {
+          // Counted as lost when we skipped past it - it was only reordered
+          this.stats.framesReordered++;
+          this.stats.framesLost--;
+        } else {
+          this.stats.framesDuplicate++;
+        }
+        return Buffer.alloc(0);
+      }
+
+      if (distance > 0 && distance < MAX_REORDER_DISTANCE) {
+        this.stats.framesLost += distance;
+        for (let i = 0; i < distance; i++) {
+          this.missing.add((this.expectedSequence + i) >>> 0);
+        }
+        while (this.missing.size > MAX_REORDER_DISTANCE) {
+          this.missing.delete(this.missing.values().next().value);
+        }
+      } else if (distance !== 0) {
+        // Stream restart - earlier gaps can't be filled any more, and
+        // timestamps may start over
+        this.missing.clear();
+        this.lastTransit = null;
+      }
+    }
+
+    this.expectedSequence = (frame.sequence + 1) >>> 0;
+    this.updateJitter(arrivedAt - frame.timestamp);
+
+    return frame.payload;
+  }
+
+  /**
+   * Interarrival jitter as in RFC 3550: a running average of how much the
+   * spacing of arrivals differs from the spacing of capture timestamps
+   * (the sender's clock offset cancels out)
+   */
+  updateJitter(transit) {
+    if (this.lastTransit !== null) {
+      this.jitter += (Math.abs(transit - this.lastTransit) - this.jitter) / 16;
+    }
+    this.lastTransit = transit;
+  }
+
+  /**
+   * Get sequence statistics
+   */
+  getStats() {
+    const expected = this.stats.framesReceived - this.stats.framesDuplicate + this.stats.framesLost;
+    return {
+      ...this.stats,
+      lossRate: expected > 0 ? this.stats.framesLost / expected : 0,
+      jitterMs: Math.round(this.jitter * 10) / 10,
+    };
+  }
+
+  close() {}
+}
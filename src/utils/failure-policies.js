@@ -0,0 +1,25 @@
+/**
+ * Failure Policies
+ *
+ * What to send when a voice provider is unavailable or a transformation
+ * fails. Kept apart from the transformer so preset validation (and the CLI)
+ * can check policy names without loading the audio pipeline.
+ */
+
+export const FAILURE_POLICIES = {
+  PASSTHROUGH: 'passthrough',  // Original audio - leaks the real voice
+  SILENCE: 'silence',          // Comfort noise only
+  DSP: 'dsp',                  // Disguise locally with the preset's `dsp` block
+  HANGUP: 'hangup',            // Comfort noise, then end the call after N consecutive failures
+};
+
+/**
+ * Validate a failure policy name
+ *
+ * @param {string} policy - Candidate policy
+ * @returns {string|null} - The policy, or null if unknown/empty
+ */
+export function parseFailurePolicy(policy) {
+  const value = String(policy || '').toLowerCase();
+  return Object.values(FAILURE_POLICIES).includes(value) ? value : null;
+}
@@ -20,6 +20,9 @@ export class LatencyTracker {
     // Track breakdown by stage
     this.stages = new Map();
     
+    // Event counters (e.g. reordered / dropped chunks)
+    this.counters = new Map();
+    
     // Alerting thresholds
     this.warningThreshold = 300;  // ms
     this.criticalThreshold = 500;  // ms
@@ -60,6 +63,25 @@ export class LatencyTracker {
     }
   }
   
+  /**
+   * Count a pipeline event
+   * 
+   * @param {string} event - Event name (e.g. 'reordered', 'dropped_late')
+   * @param {number} amount - Increment (default 1)
+   */
+  count(event, amount = 1) {
+    this.counters.set(event, (this.counters.get(event) || 0) + amount);
+  }
+  
+  /**
+   * Get all event counters
+   * 
+   * @returns {object} - Event name → count
+   */
+  getCounters() {
+    return Object.fromEntries(this.counters);
+  }
+  
   /**
    * Get current statistics
    * 
@@ -148,6 +170,7 @@ export class LatencyTracker {
     this.runningSum = 0;
     this.totalSamples = 0;
     this.stages.clear();
+    this.counters.clear();
   }
   
   /**
@@ -169,6 +192,7 @@ export class LatencyTracker {
       },
       samples: metrics.count,
       stages: this.getAllStageMetrics(),
+      events: this.getCounters(),
     };
   }
 }
@@ -0,0 +1,237 @@
+/**
+ * Packet Loss Detection and Concealment
+ *
+ * Twilio media messages number each track's frames (`media.chunk`, with
+ * `media.timestamp` in ms). PacketLossDetector turns those into lost,
+ * duplicate and late frames; LossConcealer fills the holes before the
+ * audio is buffered, G.711 Appendix I style: the last pitch period is
+ * repeated (so voiced sounds carry on naturally), held for 10ms, then faded
+ * out over 50ms, and the next real frame is faded back in so there's no
+ * click where the real signal resumes.
+ */
+
+import { toSamples } from './pcm-samples.js';
+
+// Lost frame numbers remembered, to tell late arrivals from duplicates
+const MAX_TRACKED_MISSING = 64;
+
+// Concealment shape (ms): signal kept for pitch estimation, played at full
+// level, faded to silence, and crossfaded into the next real frame
+const HISTORY_MS = 40;
+const HOLD_MS = 10;
+const FADE_OUT_MS = 50;
+const FADE_IN_MS = 4;
+
+// Pitch search range (Hz)
+const MIN_PITCH = 66;
+const MAX_PITCH = 400;
+
+export class PacketLossDetector {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.frameMs] - Duration of one frame (Twilio sends 20ms)
+   */
+  constructor(options = {}) {
+    this.frameMs = options.frameMs || 20;
+    this.lastFrame = null;
+    this.missing = new Set();
+
+    this.received = 0;
+    this.lost = 0;
+    this.duplicates = 0;
+    this.late = 0;
+    this.gaps = 0;
+    this.longestGap = 0;
+  }
+
+  /**
+   * Classify the next frame
+   *
+   * @param {number} chunk - media.chunk (counts from 1 per track); NaN if absent
+   * @param {number} timestamp - media.timestamp in ms, used when chunk is absent
+   * @returns {{status: string, lost: number}} - status is 'ok', 'gap' (`lost`
+   *   frames are missing before this one), 'duplicate' or 'late' (arrived
+   *   after it was given up as lost); drop duplicate and late frames
+   */
+  check(chunk, timestamp) {
+    const frame = Number.isFinite(chunk)
+      ? chunk
+      : Number.isFinite(timestamp) ? Math.round(timestamp / this.frameMs) + 1 : null;
+
+    // Nothing to go on - take frames as they come
+    if (frame === null) {
+      this.received++;
+      return { status: 'ok', lost: 0 };
+    }
+
+    if (this.lastFrame !== null && frame <= this.lastFrame) {
+      if (this.missing.delete(frame)) {
+        this.late++;
+        return { status: 'late', lost: 0 };
+      }
+      this.duplicates++;
+      return { status: 'duplicate', lost: 0 };
+    }
+
+    // Frames before the first one we see weren't lost, we just weren't listening
+    const lost = this.lastFrame === null ? 0 : frame - this.lastFrame - 1;
+    if (lost > 0) {
+      this.lost += lost;
+      this.gaps++;
+      this.longestGap = Math.max(this.longestGap, lost);
+      for (let missing = Math.max(this.lastFrame + 1, frame - MAX_TRACKED_MISSING); missing < frame; missing++) {
+        this.missing.add(missing);
+      }
+      while (this.missing.size > MAX_TRACKED_MISSING) {
+        this.missing.delete(this.missing.values().next().value);
+      }
+    }
+
+    this.lastFrame = frame;
+    this.received++;
+    return { status: lost > 0 ? 'gap' : 'ok', lost };
+  }
+
+  /**
+   * Loss metrics (late frames are also counted as lost - they were concealed)
+   */
+  getStats() {
+    const expected = this.received + this.lost;
+    return {
+      received: this.received,
+      lost: this.lost,
+      duplicates: this.duplicates,
+      late: this.late,
+      gaps: this.gaps,
+      longestGapMs: this.longestGap * this.frameMs,
+      lossRate: expected > 0 ? Math.round(this.lost / expected * 10000) / 10000 : 0,
+    };
+  }
+}
+
+export class LossConcealer {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.sampleRate] - PCM sample rate (default 8000)
+   */
+  constructor(options = {}) {
+    const sampleRate = options.sampleRate || 8000;
+    const perMs = sampleRate / 1000;
+
+    this.history = new Int16Array(HISTORY_MS * perMs);
+    this.holdSamples = HOLD_MS * perMs;
+    this.fadeOutSamples = FADE_OUT_MS * perMs;
+    this.fadeInSamples = FADE_IN_MS * perMs;
+    this.minLag = Math.floor(sampleRate / MAX_PITCH);
+    this.maxLag = Math.ceil(sampleRate / MIN_PITCH);
+
+    this.concealed = 0;  // Samples synthesized in the current loss burst
+    this.period = 0;
+    this.offset = 0;     // Position within the repeated period
+  }
+
+  /**
+   * Pass a received frame through (recording it for concealment)
+   *
+   * @param {Buffer|Int16Array} pcm - PCM audio (16-bit signed)
+   * @returns {Buffer|Int16Array} - The same frame, or after a loss a new
+   *   Int16Array faded in from the concealment
+   */
+  receive(pcm) {
+    const samples = toSamples(pcm);
+    let output = pcm;
+
+    if (this.concealed > 0) {
+      const faded = Int16Array.from(samples);
+      const fadeLength = Math.min(this.fadeInSamples, faded.length);
+      for (let i = 0; i < fadeLength; i++) {
+        const weight = (i + 1) / (fadeLength + 1);
+        faded[i] = Math.round(samples[i] * weight + this.nextSample() * (1 - weight));
+      }
+      this.concealed = 0;
+      output = faded;
+    }
+
+    this.remember(toSamples(output));
+    return output;
+  }
+
+  /**
+   * Synthesize replacement audio for lost frames (call once per lost frame
+   * or once for the whole gap - a burst continues until receive())
+   *
+   * @param {number} numSamples - Samples to produce
+   * @returns {Int16Array}
+   */
+  conceal(numSamples) {
+    if (this.concealed === 0) {
+      this.period = this.estimatePeriod();
+      this.offset = 0;
+    }
+
+    const output = new Int16Array(numSamples);
+    for (let i = 0; i < numSamples; i++) {
+      output[i] = this.nextSample();
+    }
+    return output;
+  }
+
+  /**
+   * Forget the signal (after a discontinuity too long to conceal)
+   */
+  reset() {
+    this.history.fill(0);
+    this.concealed = 0;
+  }
+
+  /**
+   * Next sample of the repeated period, held then faded out
+   */
+  nextSample() {
+    const gain = this.concealed < this.holdSamples
+      ? 1
+      : Math.max(0, 1 - (this.concealed - this.holdSamples) / this.fadeOutSamples);
+    const sample = this.history[this.history.length - this.period + this.offset] * gain;
+
+    this.offset = (this.offset + 1) % this.period;
+    this.concealed++;
+    return Math.round(sample);
+  }
+
+  /**
+   * Pitch period of the recent signal: the lag with the highest normalized
+   * autocorrelation over the pitch range
+   */
+  estimatePeriod() {
+    const history = this.history;
+    const start = this.maxLag;
+    let bestLag = this.minLag;
+    let bestScore = -Infinity;
+
+    for (let lag = this.minLag; lag <= this.maxLag; lag++) {
+      let cross = 0;
+      let energy = 0;
+      for (let n = start; n < history.length; n++) {
+        cross += history[n] * history[n - lag];
+        energy += history[n - lag] * history[n - lag];
+      }
+      const score = energy > 0 ? cross / Math.sqrt(energy) : 0;
+      if (score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+
+    return bestLag;
+  }
+
+  remember(samples) {
+    const history = this.history;
+    if (samples.length >= history.length) {
+      history.set(samples.subarray(samples.length - history.length));
+    } else {
+      history.copyWithin(0, samples.length);
+      history.set(samples, history.length - samples.length);
+    }
+  }
+}
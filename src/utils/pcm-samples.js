@@ -0,0 +1,66 @@
+/**
+ * PCM Sample Views
+ *
+ * The audio path passes 16-bit PCM around as Buffers (that's what sockets
+ * and the providers speak) but processes it as Int16Array views over the
+ * same memory - no per-sample readInt16LE/writeInt16LE and no copies.
+ * Typed arrays use the host's byte order; the hosts we deploy on (x64,
+ * arm64) are little-endian like the PCM itself.
+ */
+
+/**
+ * View PCM as 16-bit samples
+ *
+ * Shares memory with the Buffer unless it starts at an odd byte offset
+ * (e.g. a subarray of a larger message), in which case it is copied.
+ *
+ * @param {Buffer|Int16Array} pcm - PCM audio (16-bit signed, little-endian)
+ * @returns {Int16Array}
+ */
+export function toSamples(pcm) {
+  if (pcm instanceof Int16Array) {
+    return pcm;
+  }
+
+  const numSamples = pcm.length >> 1;
+  if (pcm.byteOffset % 2 === 0) {
+    return new Int16Array(pcm.buffer, pcm.byteOffset, numSamples);
+  }
+
+  const copy = new Int16Array(numSamples);
+  new Uint8Array(copy.buffer).set(pcm.subarray(0, numSamples * 2));
+  return copy;
+}
+
+/**
+ * View samples as a PCM Buffer (shares memory)
+ *
+ * @param {Int16Array} samples
+ * @returns {Buffer}
+ */
+export function toBuffer(samples) {
+  return Buffer.from(samples.buffer, samples.byteOffset, samples.length * 2);
+}
+
+/**
+ * Where a codec function writes `numSamples` samples: the caller's output
+ * buffer when given (Buffer or Int16Array, at least that large), else a new one
+ *
+ * @param {Buffer|Int16Array|undefined} output
+ * @param {number} numSamples
+ * @returns {Int16Array}
+ */
+export function outputSamples(output, numSamples) {
+  if (!output) {
+    return new Int16Array(numSamples);
+  }
+  if (!(output instanceof Int16Array) && output.byteOffset % 2 !== 0) {
+    throw new RangeError('Output buffer must start at an even byte offset');
+  }
+
+  const samples = toSamples(output);
+  if (samples.length < numSamples) {
+    throw new RangeError(`Output buffer holds ${samples.length} samples, ${numSamples} needed`);
+  }
+  return samples.subarray(0, numSamples);
+}
@@ -0,0 +1,152 @@
+/**
+ * Reorder Buffer
+ *
+ * Releases asynchronously produced results strictly in sequence order.
+ * Each unit of work takes a sequence number when it is dispatched; results
+ * are held until every earlier sequence number has been released. A result
+ * that never arrives can be expired, which releases a placeholder so later
+ * results are not held up - the caller conceals the gap.
+ */
+
+// How long (in sequence numbers) to remember expired slots for late arrivals
+const LATE_WINDOW = 32;
+
+export class ReorderBuffer {
+  /**
+   * @param {object} options
+   * @param {function} [options.onEvent] - Called with 'reordered', 'dropped_late' or 'concealed'
+   */
+  constructor(options = {}) {
+    this.onEvent = options.onEvent || null;
+
+    this.nextSequence = 0;   // Next number handed out by next()
+    this.nextRelease = 0;    // Lowest sequence number not yet released
+    this.pending = new Map();  // sequence -> { meta, arrived, data, expired }
+
+    this.released = 0;
+    this.reordered = 0;
+    this.droppedLate = 0;
+    this.concealed = 0;
+  }
+
+  /**
+   * Reserve the next sequence number
+   *
+   * @param {object} meta - Anything the caller needs to conceal this slot later
+   * @returns {number} - Sequence number
+   */
+  next(meta = {}) {
+    const sequence = this.nextSequence++;
+    this.pending.set(sequence, { meta, arrived: false, data: null, expired: false });
+    return sequence;
+  }
+
+  /**
+   * Reserve the next sequence number with its result already known
+   * (e.g. audio that was skipped rather than processed)
+   *
+   * @param {object} meta - As for next()
+   * @param {*} data - Result
+   * @returns {Array} - Now releasable, in order (see push)
+   */
+  add(meta = {}, data = null) {
+    const sequence = this.nextSequence++;
+    this.pending.set(sequence, { meta, arrived: true, data, expired: false });
+    return this.drain();
+  }
+
+  /**
+   * Deliver the result for a sequence number
+   *
+   * @param {number} sequence - From next()
+   * @param {*} data - Result (null = nothing to output for this slot)
+   * @returns {Array<{sequence: number, data: *, meta: object, concealed: boolean}>} - Now releasable, in order
+   */
+  push(sequence, data) {
+    const slot = this.pending.get(sequence);
+    if (!slot || slot.expired) {
+      // Already given up on - releasing it now would play audio out of order
+      this.droppedLate++;
+      this.onEvent?.('dropped_late');
+      if (slot) this.pending.delete(sequence);
+      return this.drain();
+    }
+
+    if (sequence > this.nextRelease) {
+      this.reordered++;
+      this.onEvent?.('reordered');
+    }
+
+    slot.arrived = true;
+    slot.data = data;
+    return this.drain();
+  }
+
+  /**
+   * Give up waiting for a sequence number
+   *
+   * @param {number} sequence - From next()
+   * @returns {Array} - Now releasable, in order (see push)
+   */
+  expire(sequence) {
+    const slot = this.pending.get(sequence);
+    if (slot && !slot.arrived) {
+      slot.expired = true;
+    }
+    return this.drain();
+  }
+
+  /**
+   * Release everything that is ready at the head of the sequence
+   */
+  drain() {
+    const ready = [];
+
+    while (this.pending.has(this.nextRelease)) {
+      const slot = this.pending.get(this.nextRelease);
+      if (!slot.arrived && !slot.expired) {
+        break;
+      }
+
+      if (slot.expired) {
+        this.concealed++;
+        this.onEvent?.('concealed');
+        // Keep the slot so a late arrival is recognised and dropped
+        ready.push({ sequence: this.nextRelease, data: null, meta: slot.meta, concealed: true });
+      } else {
+        this.pending.delete(this.nextRelease);
+        this.released++;
+        ready.push({ sequence: this.nextRelease, data: slot.data, meta: slot.meta, concealed: false });
+      }
+
+      this.nextRelease++;
+    }
+
+    // Forget expired slots whose result is never coming
+    for (const [sequence, slot] of this.pending) {
+      if (slot.expired && sequence < this.nextRelease - LATE_WINDOW) {
+        this.pending.delete(sequence);
+      }
+    }
+
+    return ready;
+  }
+
+  /**
+   * Number of dispatched results not yet released
+   */
+  get waiting() {
+    return this.nextSequence - this.nextRelease;
+  }
+
+  getStats() {
+    return {
+      dispatched: this.nextSequence,
+      released: this.released,
+      reordered: this.reordered,
+      droppedLate: this.droppedLate,
+      concealed: this.concealed,
+      waiting: this.waiting,
+    };
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * Polyphase Resampler
+ *
+ * Band-limited sample rate conversion between any two integer rates
+ * (8k ↔ 16k for the phone leg, 22.05k/24k/44.1k from providers). The rate
+ * ratio is reduced to L/M; a Kaiser-windowed sinc low-pass at the lower of
+ * the two Nyquist frequencies is split into L phases, and each output
+ * sample is one phase dotted with the recent input. History and phase
+ * carry over between process() calls, so a stream cut into chunks resamples
+ * exactly as if it were one buffer - no clicks at chunk boundaries.
+ */
+
+import { toSamples, toBuffer, outputSamples } from './pcm-samples.js';
+
+// Sinc zero crossings kept on each side of the centre (filter length)
+const ZERO_CROSSINGS = 24;
+
+// Passband edge as a fraction of the lower Nyquist frequency
+const ROLLOFF = 0.85;
+
+// Kaiser window shape (~80 dB stopband)
+const KAISER_BETA = 8;
+
+// Filters are shared by every resampler with the same ratio
+const filterCache = new Map();
+
+// Working signal for resampleClip, grown as needed and reused
+let clipSignal = new Float64Array(0);
+
+export class Resampler {
+  /**
+   * @param {number} fromRate - Input sample rate
+   * @param {number} toRate - Output sample rate
+   * @param {object} [options]
+   * @param {number} [options.initialSample] - Value assumed before the first input (default 0)
+   */
+  constructor(fromRate, toRate, options = {}) {
+    const divisor = gcd(fromRate, toRate);
+    this.fromRate = fromRate;
+    this.toRate = toRate;
+    this.up = toRate / divisor;      // L
+    this.down = fromRate / divisor;  // M
+
+    const { taps, coefficients } = getFilter(this.up, this.down);
+    this.taps = taps;
+    this.coefficients = coefficients;
+
+    // Working signal: the last taps-1 input samples (history) followed by
+    // the current chunk. `position` is where the next output falls in it,
+    // in 1/L input samples; the filter is centred, so each output waits for
+    // taps/2 samples of lookahead.
+    this.historyLength = taps - 1;
+    this.signal = new Float64Array(this.historyLength).fill(options.initialSample || 0);
+    this.position = this.historyLength * this.up + (taps / 2) * this.up;
+  }
+
+  /**
+   * Most samples process() can return for a chunk (to size output buffers)
+   *
+   * @param {number} inputSamples - Chunk length in samples
+   */
+  maxOutputSamples(inputSamples) {
+    return Math.ceil(inputSamples * this.up / this.down) + 1;
+  }
+
+  /**
+   * Resample the next chunk of a stream
+   *
+   * @param {Buffer|Int16Array} pcmBuffer - PCM audio (16-bit signed) at fromRate
+   * @param {Buffer|Int16Array} [output] - Where to write (see maxOutputSamples)
+   * @returns {Buffer} - PCM at toRate (lags the input by half the filter)
+   */
+  process(pcmBuffer, output) {
+    const input = toSamples(pcmBuffer);
+    const { historyLength, up, down } = this;
+    const length = historyLength + input.length;
+
+    if (this.signal.length < length) {
+      const grown = new Float64Array(length);
+      grown.set(this.signal.subarray(0, historyLength));
+      this.signal = grown;
+    }
+    const signal = this.signal;
+    for (let i = 0; i < input.length; i++) {
+      signal[historyLength + i] = input[i];
+    }
+
+    const outputCount = Math.max(0, Math.ceil((length * up - this.position) / down));
+    const samples = outputSamples(output, outputCount);
+    filterInto(signal, this.position, samples, this);
+
+    // Keep the tail as history for the next chunk
+    signal.copyWithin(0, input.length, length);
+    this.position += outputCount * down - input.length * up;
+
+    return toBuffer(samples);
+  }
+
+  /**
+   * Push out the lookahead still inside the filter (end of stream)
+   *
+   * @param {number} padSample - Value assumed after the last input (default 0)
+   * @returns {Buffer} - Remaining PCM at toRate
+   */
+  flush(padSample = 0) {
+    const padding = Buffer.alloc((this.taps / 2 + 1) * 2);
+    for (let i = 0; i < padding.length; i += 2) {
+      padding.writeInt16LE(padSample, i);
+    }
+    return this.process(padding);
+  }
+
+  /**
+   * Forget the stream's history (e.g. after a discontinuity)
+   */
+  reset() {
+    this.signal.fill(0);
+    this.position = this.historyLength * this.up + (this.taps / 2) * this.up;
+  }
+}
+
+/**
+ * Resample a complete clip, extending its first and last samples past the
+ * edges (no streaming state)
+ *
+ * @param {Int16Array} input - Samples at fromRate
+ * @param {number} fromRate - Input sample rate
+ * @param {number} toRate - Output sample rate
+ * @param {Int16Array} output - Receives floor(length * toRate / fromRate) samples
+ */
+export function resampleClip(input, fromRate, toRate, output) {
+  if (input.length === 0) {
+    return;
+  }
+
+  const divisor = gcd(fromRate, toRate);
+  const up = toRate / divisor;
+  const down = fromRate / divisor;
+  const filter = { up, down, ...getFilter(up, down) };
+
+  // [first × (taps-1), input, last × (taps/2 + 1)]
+  const before = filter.taps - 1;
+  const length = before + input.length + filter.taps / 2 + 1;
+  if (clipSignal.length < length) {
+    clipSignal = new Float64Array(length);
+  }
+  clipSignal.fill(input[0], 0, before);
+  for (let i = 0; i < input.length; i++) {
+    clipSignal[before + i] = input[i];
+  }
+  clipSignal.fill(input[input.length - 1], before + input.length, length);
+
+  filterInto(clipSignal, before * up + (filter.taps / 2) * up, output, filter);
+}
+
+/**
+ * Compute output.length samples, the first at `position` (1/L input samples)
+ * in `signal`, each `down` further on
+ */
+function filterInto(signal, position, output, { up, down, taps, coefficients }) {
+  for (let n = 0; n < output.length; n++) {
+    const index = Math.floor(position / up);
+    const phase = (position - index * up) * taps;
+
+    let sum = 0;
+    for (let k = 0; k < taps; k++) {
+      sum += signal[index - k] * coefficients[phase + k];
+    }
+
+    const sample = Math.round(sum);
+    output[n] = sample > 32767 ? 32767 : sample < -32768 ? -32768 : sample;
+    position += down;
+  }
+}
+
+/**
+ * Polyphase coefficients for an L/M conversion, laid out phase-major:
+ * coefficients[phase * taps + k] multiplies input sample (index - k)
+ */
+function getFilter(up, down) {
+  const key = `${up}/${down}`;
+  if (filterCache.has(key)) {
+    return filterCache.get(key);
+  }
+
+  // Cutoff in cycles per input sample, and taps per phase to cover the sinc
+  const cutoff = 0.5 * Math.min(1, up / down) * ROLLOFF;
+  const taps = 2 * Math.ceil(ZERO_CROSSINGS / (2 * cutoff));
+  const length = taps * up;
+  const centre = length / 2;
+
+  // Prototype low-pass at the upsampled rate, scaled by L so the
+  // interpolated signal keeps its level
+  const prototype = new Float64Array(length);
+  const normalizer = besselI0(KAISER_BETA);
+  let total = 0;
+  for (let j = 0; j < length; j++) {
+    const t = (j - centre) / up;  // In input samples
+    const x = 2 * cutoff * t;
+    const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+    const r = (j - centre) / centre;
+    const window = Math.abs(r) <= 1 ? besselI0(KAISER_BETA * Math.sqrt(1 - r * r)) / normalizer : 0;
+    prototype[j] = sinc * window;
+    total += prototype[j];
+  }
+
+  const coefficients = new Float64Array(length);
+  for (let phase = 0; phase < up; phase++) {
+    for (let k = 0; k < taps; k++) {
+      coefficients[phase * taps + k] = prototype[k * up + phase] * up / total;
+    }
+  }
+
+  const filter = { taps, coefficients };
+  filterCache.set(key, filter);
+  return filter;
+}
+
+/**
+ * Zeroth-order modified Bessel function of the first kind (series)
+ */
+function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  for (let k = 1; k < 50; k++) {
+    term *= (x / (2 * k)) * (x / (2 * k));
+    sum += term;
+    if (term < sum * 1e-12) break;
+  }
+  return sum;
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
@@ -0,0 +1,108 @@
+/**
+ * Voice Activity Detection
+ *
+ * Frame-by-frame speech/silence decisions from short-term energy and
+ * zero-crossing rate. The energy threshold follows the line's noise floor,
+ * and a hangover keeps the detector in speech for a while after the last
+ * speech frame so word endings and short pauses aren't clipped.
+ */
+
+import { calculateRMS } from './audio-codec.js';
+import { toSamples } from './pcm-samples.js';
+
+// Energy never counts as speech below this RMS (16-bit scale)
+const MIN_THRESHOLD = 300;
+
+// Speech must be this many times louder than the noise floor
+const NOISE_MARGIN = 3;
+
+// Frames crossing zero more often than this look like hiss, unless loud
+const MAX_SPEECH_ZCR = 0.35;
+const LOUD_MARGIN = 4;
+
+const DEFAULT_HANGOVER_MS = 300;
+
+export class VoiceActivityDetector {
+  /**
+   * @param {object} options
+   * @param {number} [options.frameMs] - Duration of each frame passed to process()
+   * @param {number} [options.hangoverMs] - Stay in speech this long after the last speech frame
+   * @param {number} [options.minThreshold] - Minimum RMS considered speech
+   */
+  constructor(options = {}) {
+    this.frameMs = options.frameMs || 20;
+    this.hangoverFrames = Math.ceil((options.hangoverMs ?? DEFAULT_HANGOVER_MS) / this.frameMs);
+    this.minThreshold = options.minThreshold || MIN_THRESHOLD;
+
+    this.noiseFloor = this.minThreshold / NOISE_MARGIN;
+    this.hangover = 0;
+    this.speaking = false;
+
+    this.speechFrames = 0;
+    this.silenceFrames = 0;
+    this.segments = 0;
+  }
+
+  /**
+   * Classify the next frame
+   *
+   * @param {Buffer|Int16Array} pcmFrame - PCM audio (16-bit signed)
+   * @returns {boolean} - True while in speech (including hangover)
+   */
+  process(pcmFrame) {
+    const rms = calculateRMS(pcmFrame);
+    const zcr = zeroCrossingRate(pcmFrame);
+    const threshold = Math.max(this.minThreshold, this.noiseFloor * NOISE_MARGIN);
+
+    const voiced = rms > threshold && (zcr < MAX_SPEECH_ZCR || rms > threshold * LOUD_MARGIN);
+
+    if (voiced) {
+      if (!this.speaking) this.segments++;
+      this.speaking = true;
+      this.hangover = this.hangoverFrames;
+    } else {
+      // Only learn the noise floor from frames that aren't speech
+      this.noiseFloor = this.noiseFloor * 0.95 + rms * 0.05;
+      if (this.hangover > 0) {
+        this.hangover--;
+      } else {
+        this.speaking = false;
+      }
+    }
+
+    if (this.speaking) {
+      this.speechFrames++;
+    } else {
+      this.silenceFrames++;
+    }
+
+    return this.speaking;
+  }
+
+  getStats() {
+    return {
+      speechMs: this.speechFrames * this.frameMs,
+      silenceMs: this.silenceFrames * this.frameMs,
+      segments: this.segments,
+      noiseFloor: Math.round(this.noiseFloor),
+    };
+  }
+}
+
+/**
+ * Fraction of adjacent samples that change sign
+ */
+function zeroCrossingRate(pcm) {
+  const samples = toSamples(pcm);
+  if (samples.length < 2) return 0;
+
+  let crossings = 0;
+  let previous = samples[0];
+  for (let i = 1; i < samples.length; i++) {
+    const sample = samples[i];
+    if ((sample >= 0) !== (previous >= 0)) crossings++;
+    previous = sample;
+  }
+
+  return crossings / (samples.length - 1);
+}
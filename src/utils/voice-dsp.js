@@ -0,0 +1,357 @@
+/**
+ * Voice DSP Engine
+ *
+ * Offline voice disguise: phase-vocoder pitch shifting with independent
+ * formant control. The spectral envelope (cepstrally smoothed) is divided
+ * out before the harmonics are moved and re-applied afterwards, so the
+ * pitch can change while vowels keep their shape - or the envelope can be
+ * warped on its own to change apparent head size.
+ *
+ * Preset parameters (`dsp` block):
+ *   pitch     - pitch ratio (0.8 = lower, 1.25 = higher), or
+ *   semitones - pitch shift in semitones (used when `pitch` is absent)
+ *   formant   - formant ratio (1.0 = preserve, <1 larger/deeper, >1 smaller)
+ */
+
+// Analysis frame length (~32ms) and overlap factor
+const FRAME_MS = 32;
+const OVERSAMPLING = 4;
+
+// Cepstral lifter length in milliseconds of quefrency (~ envelope resolution)
+const LIFTER_MS = 1.5;
+
+// Parameter bounds - beyond these the result stops sounding like speech
+const MIN_RATIO = 0.5;
+const MAX_RATIO = 2.0;
+
+/**
+ * Normalize a preset's `dsp` block into { pitch, formant } ratios
+ *
+ * @param {object} params - { pitch, semitones, formant }
+ * @returns {{pitch: number, formant: number}}
+ */
+export function resolveDspParams(params = {}) {
+  let pitch = params.pitch;
+  if (pitch === undefined && params.semitones !== undefined) {
+    pitch = Math.pow(2, params.semitones / 12);
+  }
+
+  return {
+    pitch: clampRatio(pitch ?? 1.0),
+    formant: clampRatio(params.formant ?? 1.0),
+  };
+}
+
+function clampRatio(value) {
+  return Math.max(MIN_RATIO, Math.min(MAX_RATIO, Number(value) || 1.0));
+}
+
+/**
+ * Streaming pitch/formant shifter
+ *
+ * process() returns as many samples as it receives; the output lags the
+ * input by `latencySamples`. Keep one instance per call so frames overlap
+ * across chunk boundaries.
+ */
+export class VoiceDisguiser {
+  /**
+   * @param {object} options
+   * @param {number} [options.sampleRate] - PCM sample rate (default 16000)
+   * @param {number} [options.pitch] - Pitch ratio
+   * @param {number} [options.semitones] - Pitch shift in semitones
+   * @param {number} [options.formant] - Formant ratio
+   */
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 16000;
+    this.frameSize = nextPowerOfTwo(this.sampleRate * FRAME_MS / 1000);
+    this.hopSize = this.frameSize / OVERSAMPLING;
+    this.latencySamples = this.frameSize - this.hopSize;
+    this.lifter = Math.max(4, Math.round(this.sampleRate * LIFTER_MS / 1000));
+    this.configure(options);
+
+    const n = this.frameSize;
+    const bins = n / 2 + 1;
+
+    this.window = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      this.window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / n);
+    }
+
+    // Streaming FIFOs
+    this.inFifo = new Float64Array(n);
+    this.outFifo = new Float64Array(n);
+    this.outAccum = new Float64Array(2 * n);
+    this.rover = this.latencySamples;
+
+    // FFT work buffers
+    this.re = new Float64Array(n);
+    this.im = new Float64Array(n);
+    this.cepRe = new Float64Array(n);
+    this.cepIm = new Float64Array(n);
+
+    // Per-bin analysis/synthesis state
+    this.magnitude = new Float64Array(bins);
+    this.trueBin = new Float64Array(bins);
+    this.envelope = new Float64Array(bins);
+    this.lastPhase = new Float64Array(bins);
+    this.sumPhase = new Float64Array(bins);
+    this.synthMag = new Float64Array(bins);
+    this.synthBin = new Float64Array(bins);
+
+    this.framesProcessed = 0;
+  }
+
+  /**
+   * Change the pitch/formant ratios (e.g. on a preset switch)
+   */
+  configure(params = {}) {
+    const { pitch, formant } = resolveDspParams(params);
+    this.pitch = pitch;
+    this.formant = formant;
+  }
+
+  /**
+   * Whether the current settings leave audio unchanged
+   */
+  get isBypass() {
+    return this.pitch === 1.0 && this.formant === 1.0;
+  }
+
+  /**
+   * Process the next chunk
+   *
+   * @param {Buffer} pcmBuffer - PCM audio (16-bit signed, mono)
+   * @returns {Buffer} - Shifted PCM, same length, delayed by latencySamples
+   */
+  process(pcmBuffer) {
+    const numSamples = Math.floor(pcmBuffer.length / 2);
+    const output = Buffer.alloc(numSamples * 2);
+
+    for (let i = 0; i < numSamples; i++) {
+      this.inFifo[this.rover] = pcmBuffer.readInt16LE(i * 2) / 32768;
+      const sample = this.outFifo[this.rover - this.latencySamples];
+      output.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(sample * 32768))), i * 2);
+      this.rover++;
+
+      if (this.rover >= this.frameSize) {
+        this.rover = this.latencySamples;
+        this.processFrame();
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Analyse, shift and resynthesize one frame, then advance the FIFOs by a hop
+   */
+  processFrame() {
+    const n = this.frameSize;
+    const half = n / 2;
+    const hop = this.hopSize;
+    const expected = 2 * Math.PI * hop / n;
+    const { re, im } = this;
+
+    // Analysis
+    for (let i = 0; i < n; i++) {
+      re[i] = this.inFifo[i] * this.window[i];
+      im[i] = 0;
+    }
+    fft(re, im, false);
+
+    for (let k = 0; k <= half; k++) {
+      const magnitude = Math.hypot(re[k], im[k]);
+      const phase = Math.atan2(im[k], re[k]);
+
+      // Deviation from the bin centre frequency → true frequency in bins
+      let delta = phase - this.lastPhase[k] - k * expected;
+      this.lastPhase[k] = phase;
+      delta -= 2 * Math.PI * Math.round(delta / (2 * Math.PI));
+
+      this.magnitude[k] = magnitude;
+      this.trueBin[k] = k + delta * OVERSAMPLING / (2 * Math.PI);
+    }
+
+    this.estimateEnvelope();
+
+    // Move the excitation (spectrum with the envelope divided out)
+    this.synthMag.fill(0);
+    this.synthBin.fill(0);
+    for (let k = 0; k <= half; k++) {
+      const target = Math.round(k * this.pitch);
+      if (target > half) break;
+      this.synthMag[target] += this.magnitude[k] / this.envelope[k];
+      this.synthBin[target] = this.trueBin[k] * this.pitch;
+    }
+
+    // Re-apply the (optionally warped) envelope and accumulate phase
+    for (let k = 0; k <= half; k++) {
+      const magnitude = this.synthMag[k] * this.envelopeAt(k / this.formant);
+      const delta = (this.synthBin[k] - k) * 2 * Math.PI / OVERSAMPLING + k * expected;
+      this.sumPhase[k] += delta;
+
+      re[k] = magnitude * Math.cos(this.sumPhase[k]);
+      im[k] = magnitude * Math.sin(this.sumPhase[k]);
+      if (k > 0 && k < half) {
+        re[n - k] = re[k];
+        im[n - k] = -im[k];
+      }
+    }
+
+    // Synthesis: Hann² overlap at 4x sums to 1.5
+    fft(re, im, true);
+    const gain = 1 / (n * 1.5);
+    for (let i = 0; i < n; i++) {
+      this.outAccum[i] += this.window[i] * re[i] * gain;
+    }
+
+    this.outFifo.set(this.outAccum.subarray(0, hop));
+    this.outAccum.copyWithin(0, hop);
+    this.outAccum.fill(0, 2 * n - hop);
+    this.inFifo.copyWithin(0, hop);
+
+    this.framesProcessed++;
+  }
+
+  /**
+   * Cepstrally smoothed magnitude envelope of the current frame
+   */
+  estimateEnvelope() {
+    const n = this.frameSize;
+    const half = n / 2;
+    const { cepRe, cepIm } = this;
+
+    for (let k = 0; k <= half; k++) {
+      const logMag = Math.log(this.magnitude[k] + 1e-9);
+      cepRe[k] = logMag;
+      cepIm[k] = 0;
+      if (k > 0 && k < half) {
+        cepRe[n - k] = logMag;
+        cepIm[n - k] = 0;
+      }
+    }
+    fft(cepRe, cepIm, true);
+
+    // Keep only the low quefrencies (vocal tract, not pitch harmonics)
+    for (let i = this.lifter + 1; i < n - this.lifter; i++) {
+      cepRe[i] = 0;
+    }
+    for (let i = 0; i < n; i++) {
+      cepRe[i] /= n;
+      cepIm[i] = 0;
+    }
+    fft(cepRe, cepIm, false);
+
+    for (let k = 0; k <= half; k++) {
+      this.envelope[k] = Math.exp(cepRe[k]);
+    }
+  }
+
+  /**
+   * Linearly interpolated envelope at a fractional bin
+   */
+  envelopeAt(bin) {
+    const half = this.frameSize / 2;
+    if (bin >= half) {
+      return this.envelope[half];
+    }
+    const index = Math.floor(bin);
+    const frac = bin - index;
+    return this.envelope[index] * (1 - frac) + this.envelope[index + 1] * frac;
+  }
+
+  /**
+   * Clear all history (e.g. after a long gap)
+   */
+  reset() {
+    this.inFifo.fill(0);
+    this.outFifo.fill(0);
+    this.outAccum.fill(0);
+    this.lastPhase.fill(0);
+    this.sumPhase.fill(0);
+    this.rover = this.latencySamples;
+  }
+
+  getStats() {
+    return {
+      pitch: this.pitch,
+      formant: this.formant,
+      frameSize: this.frameSize,
+      latencyMs: Math.round(this.latencySamples / this.sampleRate * 1000),
+      framesProcessed: this.framesProcessed,
+    };
+  }
+}
+
+/**
+ * Disguise a complete clip (no streaming state, latency compensated)
+ *
+ * @param {Buffer} pcmBuffer - PCM audio (16-bit signed, mono)
+ * @param {object} params - { pitch, semitones, formant }
+ * @param {number} sampleRate - Sample rate (default 16000)
+ * @returns {Buffer} - Shifted PCM, same length as the input
+ */
+export function disguiseVoice(pcmBuffer, params, sampleRate = 16000) {
+  const disguiser = new VoiceDisguiser({ ...params, sampleRate });
+  if (disguiser.isBypass) {
+    return pcmBuffer;
+  }
+
+  // Pad with silence so the tail comes out, then drop the leading latency
+  const padding = Buffer.alloc(disguiser.latencySamples * 2);
+  const output = disguiser.process(Buffer.concat([pcmBuffer, padding]));
+  return output.subarray(padding.length, padding.length + pcmBuffer.length - (pcmBuffer.length % 2));
+}
+
+/**
+ * In-place iterative radix-2 complex FFT (length must be a power of two)
+ *
+ * @param {Float64Array} re - Real parts
+ * @param {Float64Array} im - Imaginary parts
+ * @param {boolean} inverse - Inverse transform (unnormalized)
+ */
+export function fft(re, im, inverse) {
+  const n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (inverse ? 2 : -2) * Math.PI / size;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+}
+
+export function nextPowerOfTwo(value) {
+  return 1 << Math.ceil(Math.log2(value));
+}
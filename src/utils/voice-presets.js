@@ -3,7 +3,23 @@
  * 
  * Defines available voice presets and their ElevenLabs voice IDs.
  * These are default ElevenLabs voices - custom voices can be added.
+ * 
+ * Each preset may name the provider that renders it (`provider`); presets
+ * without one use ElevenLabs. The `dsp` block ({ pitch, semitones, formant },
+ * see utils/voice-dsp.js) drives the local DSP provider - for ElevenLabs
+ * presets it is the offline disguise used when the API is unavailable.
+ * `failurePolicy` (see utils/failure-policies.js)
+ * overrides what is sent when transformation fails.
+ * 
+ * VOICE_PRESETS is the live registry: at startup the PresetStore
+ * (services/preset-store.js) applies the presets created or edited through
+ * the API on top of the built-ins below.
+ */
+
+/**
+ * Provider used by presets that do not specify one
  */
+export const DEFAULT_PROVIDER = 'elevenlabs';
 
 /**
  * Voice presets with ElevenLabs voice IDs and settings
@@ -25,6 +41,10 @@ export const VOICE_PRESETS = {
       style: 0.0,
       use_speaker_boost: true,
     },
+    dsp: {
+      pitch: 0.8,
+      formant: 0.9,
+    },
   },
   
   young_male: {
@@ -38,6 +58,10 @@ export const VOICE_PRESETS = {
       style: 0.1,
       use_speaker_boost: true,
     },
+    dsp: {
+      pitch: 0.9,
+      formant: 0.95,
+    },
   },
   
   british_male: {
@@ -51,6 +75,10 @@ export const VOICE_PRESETS = {
       style: 0.0,
       use_speaker_boost: true,
     },
+    dsp: {
+      pitch: 0.88,
+      formant: 0.95,
+    },
   },
   
   narrator_male: {
@@ -64,6 +92,10 @@ export const VOICE_PRESETS = {
       style: 0.0,
       use_speaker_boost: false,
     },
+    dsp: {
+      pitch: 0.82,
+      formant: 0.9,
+    },
   },
   
   // Female voices
@@ -78,6 +110,10 @@ export const VOICE_PRESETS = {
       style: 0.0,
       use_speaker_boost: true,
     },
+    dsp: {
+      pitch: 1.25,
+      formant: 1.1,
+    },
   },
   
   professional_female: {
@@ -91,6 +127,10 @@ export const VOICE_PRESETS = {
       style: 0.0,
       use_speaker_boost: true,
     },
+    dsp: {
+      pitch: 1.2,
+      formant: 1.08,
+    },
   },
   
   warm_female: {
@@ -104,6 +144,10 @@ export const VOICE_PRESETS = {
       style: 0.1,
       use_speaker_boost: true,
     },
+    dsp: {
+      pitch: 1.18,
+      formant: 1.05,
+    },
   },
   
   // Character voices
@@ -118,6 +162,10 @@ export const VOICE_PRESETS = {
       style: 0.2,
       use_speaker_boost: true,
     },
+    dsp: {
+      pitch: 0.75,
+      formant: 0.85,
+    },
   },
   
   friendly_elder: {
@@ -131,6 +179,51 @@ export const VOICE_PRESETS = {
       style: 0.0,
       use_speaker_boost: true,
     },
+    dsp: {
+      pitch: 0.85,
+      formant: 0.95,
+    },
+  },
+  
+  // Local voices - no API key or network needed
+  dsp_deep: {
+    name: 'Deep (Local DSP)',
+    provider: 'local-dsp',
+    description: 'Lower pitch and larger vocal tract, works offline',
+    category: 'local',
+    dsp: {
+      pitch: 0.78,
+      formant: 0.88,
+    },
+  },
+  
+  dsp_high: {
+    name: 'High (Local DSP)',
+    provider: 'local-dsp',
+    description: 'Higher pitch and smaller vocal tract, works offline',
+    category: 'local',
+    dsp: {
+      pitch: 1.3,
+      formant: 1.12,
+    },
+  },
+  
+  dsp_disguise: {
+    name: 'Neutral Disguise (Local DSP)',
+    provider: 'local-dsp',
+    description: 'Same pitch, shifted formants - harder to recognise',
+    category: 'local',
+    dsp: {
+      pitch: 1.0,
+      formant: 1.15,
+    },
+  },
+  
+  original: {
+    name: 'Original Voice (Passthrough)',
+    provider: 'passthrough',
+    description: 'No transformation - for testing the pipeline',
+    category: 'local',
   },
   
   // Custom voice placeholder
@@ -145,9 +238,18 @@ export const VOICE_PRESETS = {
       style: 0.0,
       use_speaker_boost: true,
     },
+    dsp: {
+      pitch: 0.9,
+      formant: 0.95,
+    },
   },
 };
 
+/**
+ * The presets shipped with the app, before any stored changes
+ */
+export const BUILTIN_PRESETS = structuredClone(VOICE_PRESETS);
+
 /**
  * Get voice ID for a preset
  * 
@@ -162,6 +264,28 @@ export function getVoiceId(presetId) {
   return preset.voiceId;
 }
 
+/**
+ * Get the provider that renders a preset
+ * 
+ * @param {string} presetId - Preset identifier
+ * @returns {string|null} - Provider name
+ */
+export function getPresetProvider(presetId) {
+  const preset = VOICE_PRESETS[presetId];
+  if (!preset) {
+    return null;
+  }
+  return preset.provider || DEFAULT_PROVIDER;
+}
+
+/**
+ * Whether a preset has what its provider needs
+ * (ElevenLabs presets need a voice ID, local ones need nothing)
+ */
+function isConfigured(preset) {
+  return (preset.provider || DEFAULT_PROVIDER) !== DEFAULT_PROVIDER || !!preset.voiceId;
+}
+
 /**
  * Get voice settings for a preset
  * 
@@ -183,24 +307,26 @@ export function getVoiceSettings(presetId) {
  */
 export function listPresets() {
   return Object.entries(VOICE_PRESETS)
-    .filter(([_, preset]) => preset.voiceId)  // Only include configured presets
+    .filter(([_, preset]) => isConfigured(preset))  // Only include configured presets
     .map(([id, preset]) => ({
       id,
       name: preset.name,
       description: preset.description,
       category: preset.category,
+      provider: preset.provider || DEFAULT_PROVIDER,
+      version: preset.version || 1,
     }));
 }
 
 /**
  * Get presets by category
  * 
- * @param {string} category - Category filter (male, female, character)
+ * @param {string} category - Category filter (male, female, character, local)
  * @returns {Array} - Filtered presets
  */
 export function getPresetsByCategory(category) {
   return Object.entries(VOICE_PRESETS)
-    .filter(([_, preset]) => preset.category === category && preset.voiceId)
+    .filter(([_, preset]) => preset.category === category && isConfigured(preset))
     .map(([id, preset]) => ({
       id,
       name: preset.name,
@@ -215,11 +341,11 @@ export function getPresetsByCategory(category) {
  * @returns {boolean}
  */
 export function isValidPreset(presetId) {
-  return presetId in VOICE_PRESETS && !!VOICE_PRESETS[presetId].voiceId;
+  return presetId in VOICE_PRESETS && isConfigured(VOICE_PRESETS[presetId]);
 }
 
 /**
- * Add a custom voice
+ * Add a custom voice (in memory only - PresetStore.create() persists it)
  * 
  * @param {string} id - Unique identifier
  * @param {object} config - Voice configuration
@@ -236,6 +362,7 @@ export function addCustomVoice(id, config) {
       style: 0.0,
       use_speaker_boost: true,
     },
+    dsp: config.dsp,
   };
 }
 
@@ -0,0 +1,350 @@
+/**
+ * WebM Demuxer
+ *
+ * Minimal streaming EBML/WebM parser for browser MediaRecorder output.
+ * Extracts Opus frames from Clusters as chunks arrive over the WebSocket.
+ *
+ * MediaRecorder only sends the EBML header, Segment info and Tracks in the
+ * first chunk - later chunks contain bare Cluster data, often with unknown
+ * element sizes. The demuxer therefore keeps track info across chunks and
+ * descends into master elements without waiting for them to complete.
+ */
+
+// EBML element IDs we care about
+const EBML_IDS = {
+  EBML: 0x1A45DFA3,
+  SEGMENT: 0x18538067,
+  CLUSTER: 0x1F43B675,
+  TRACKS: 0x1654AE6B,
+  TRACK_ENTRY: 0xAE,
+  TRACK_NUMBER: 0xD7,
+  CODEC_ID: 0x86,
+  CODEC_PRIVATE: 0x63A2,
+  AUDIO: 0xE1,
+  SAMPLING_FREQUENCY: 0xB5,
+  CHANNELS: 0x9F,
+  TIMECODE: 0xE7,
+  BLOCK_GROUP: 0xA0,
+  BLOCK: 0xA1,
+  SIMPLE_BLOCK: 0xA3,
+};
+
+// Master elements we descend into instead of skipping
+const MASTER_IDS = new Set([
+  EBML_IDS.SEGMENT,
+  EBML_IDS.CLUSTER,
+  EBML_IDS.TRACKS,
+  EBML_IDS.TRACK_ENTRY,
+  EBML_IDS.AUDIO,
+  EBML_IDS.BLOCK_GROUP,
+]);
+
+const CLUSTER_ID_BYTES = Buffer.from([0x1F, 0x43, 0xB6, 0x75]);
+
+// Upper bound for a single non-master element we are willing to buffer
+const MAX_ELEMENT_BYTES = 1024 * 1024;
+
+/**
+ * Read an EBML variable-length integer
+ *
+ * @param {Buffer} buffer - Source data
+ * @param {number} offset - Read position
+ * @param {boolean} keepMarker - Keep the length marker bit (for element IDs)
+ * @returns {{value: number, length: number, unknown: boolean}|null} - null if incomplete
+ */
+export function readVint(buffer, offset, keepMarker = false) {
+  if (offset >= buffer.length) {
+    return null;
+  }
+
+  const first = buffer[offset];
+  let length = 1;
+  let mask = 0x80;
+
+  while (length <= 8 && !(first & mask)) {
+    length++;
+    mask >>= 1;
+  }
+
+  if (length > 8) {
+    throw new Error(`Invalid EBML vint at offset ${offset}`);
+  }
+
+  if (offset + length > buffer.length) {
+    return null;
+  }
+
+  let value = keepMarker ? first : first & (mask - 1);
+  let allOnes = (first & (mask - 1)) === mask - 1;
+
+  for (let i = 1; i < length; i++) {
+    const byte = buffer[offset + i];
+    value = value * 256 + byte;
+    if (byte !== 0xFF) allOnes = false;
+  }
+
+  return { value, length, unknown: !keepMarker && allOnes };
+}
+
+export class WebMDemuxer {
+  constructor() {
+    this.pending = Buffer.alloc(0);
+    this.tracks = new Map();
+    this.audioTrack = null;
+    this.clusterTimecode = 0;
+    this.resyncs = 0;  // Times corrupt data was skipped up to the next Cluster
+
+    // Track entry being assembled while parsing Tracks
+    this.currentTrack = null;
+  }
+
+  /**
+   * Feed a chunk of WebM data
+   *
+   * @param {Buffer} chunk - Next chunk from MediaRecorder
+   * @returns {Array<{data: Buffer, timecode: number}>} - Audio frames completed by this chunk
+   */
+  push(chunk) {
+    this.pending = this.pending.length > 0
+      ? Buffer.concat([this.pending, chunk])
+      : Buffer.from(chunk);
+
+    const frames = [];
+    let offset = 0;
+
+    while (offset < this.pending.length) {
+      let next;
+      try {
+        next = this.parseElement(offset, frames);
+      } catch (error) {
+        // Corrupt or missing data - skip ahead to the next Cluster
+        next = this.findCluster(offset + 1);
+        this.resyncs++;
+      }
+
+      if (next === null) break;
+      offset = next;
+    }
+
+    this.pending = this.pending.subarray(offset);
+    return frames;
+  }
+
+  /**
+   * Parse one element at offset
+   *
+   * @returns {number|null} - Offset after the element, or null if more data is needed
+   */
+  parseElement(offset, frames) {
+    const id = readVint(this.pending, offset, true);
+    if (!id) return null;
+
+    const size = readVint(this.pending, offset + id.length);
+    if (!size) return null;
+
+    const headerLength = id.length + size.length;
+
+    // Master elements: consume the header only and parse children in-line
+    if (MASTER_IDS.has(id.value)) {
+      this.enterMaster(id.value);
+      return offset + headerLength;
+    }
+
+    if (size.unknown || size.value > MAX_ELEMENT_BYTES) {
+      throw new Error(`Unsupported WebM element 0x${id.value.toString(16)} of size ${size.value}`);
+    }
+
+    const end = offset + headerLength + size.value;
+    if (end > this.pending.length) return null;
+
+    this.handleElement(id.value, this.pending.subarray(offset + headerLength, end), frames);
+    return end;
+  }
+
+  /**
+   * Find the next Cluster ID at or after offset
+   *
+   * @returns {number} - Cluster offset, or where to resume scanning once more data arrives
+   */
+  findCluster(offset) {
+    const index = this.pending.indexOf(CLUSTER_ID_BYTES, offset);
+    if (index >= 0) {
+      return index;
+    }
+    // Keep a possible partial ID at the end of the buffer
+    return Math.max(offset, this.pending.length - (CLUSTER_ID_BYTES.length - 1));
+  }
+
+  /**
+   * Bookkeeping when a master element starts
+   */
+  enterMaster(id) {
+    if (id === EBML_IDS.TRACK_ENTRY) {
+      this.currentTrack = { number: 0, codecId: null, codecPrivate: null, sampleRate: 48000, channels: 1 };
+    }
+  }
+
+  /**
+   * Handle a fully-buffered leaf element
+   */
+  handleElement(id, body, frames) {
+    switch (id) {
+      case EBML_IDS.EBML:
+        // Header body is skipped, but a new header means a fresh stream
+        this.tracks.clear();
+        this.audioTrack = null;
+        break;
+
+      case EBML_IDS.TRACK_NUMBER:
+        if (this.currentTrack) this.currentTrack.number = readUnsigned(body);
+        break;
+
+      case EBML_IDS.CODEC_ID:
+        if (this.currentTrack) {
+          this.currentTrack.codecId = body.toString('ascii');
+          this.registerTrack(this.currentTrack);
+        }
+        break;
+
+      case EBML_IDS.CODEC_PRIVATE:
+        if (this.currentTrack) this.currentTrack.codecPrivate = Buffer.from(body);
+        break;
+
+      case EBML_IDS.SAMPLING_FREQUENCY:
+        if (this.currentTrack) {
+          this.currentTrack.sampleRate = body.length === 4 ? body.readFloatBE(0) : body.readDoubleBE(0);
+        }
+        break;
+
+      case EBML_IDS.CHANNELS:
+        if (this.currentTrack) this.currentTrack.channels = readUnsigned(body);
+        break;
+
+      case EBML_IDS.TIMECODE:
+        this.clusterTimecode = readUnsigned(body);
+        break;
+
+      case EBML_IDS.SIMPLE_BLOCK:
+      case EBML_IDS.BLOCK:
+        this.readBlock(body, frames);
+        break;
+
+      default:
+        // Skip everything else (SeekHead, Info, Cues, Tags, Void...)
+        break;
+    }
+  }
+
+  /**
+   * Register a track once its codec is known
+   */
+  registerTrack(track) {
+    this.tracks.set(track.number, track);
+    if (!this.audioTrack && track.codecId?.startsWith('A_')) {
+      this.audioTrack = track;
+    }
+  }
+
+  /**
+   * Extract frames from a (Simple)Block body
+   */
+  readBlock(body, frames) {
+    const trackNumber = readVint(body, 0);
+    if (!trackNumber || body.length < trackNumber.length + 3) return;
+
+    // Without a header we can't tell tracks apart; assume the single audio track
+    if (this.audioTrack && trackNumber.value !== this.audioTrack.number) return;
+
+    const timecode = this.clusterTimecode + body.readInt16BE(trackNumber.length);
+    const flags = body[trackNumber.length + 2];
+    const payload = body.subarray(trackNumber.length + 3);
+
+    for (const data of splitLacing(payload, (flags >> 1) & 0x03)) {
+      frames.push({ data: Buffer.from(data), timecode });
+    }
+  }
+
+  /**
+   * Get the active audio track info (null until the header is seen)
+   */
+  getAudioTrack() {
+    return this.audioTrack;
+  }
+
+  /**
+   * Reset parser state
+   */
+  reset() {
+    this.pending = Buffer.alloc(0);
+    this.tracks.clear();
+    this.audioTrack = null;
+    this.currentTrack = null;
+    this.clusterTimecode = 0;
+  }
+}
+
+/**
+ * Read a big-endian unsigned integer element body
+ */
+function readUnsigned(body) {
+  let value = 0;
+  for (let i = 0; i < body.length; i++) {
+    value = value * 256 + body[i];
+  }
+  return value;
+}
+
+/**
+ * Split a block payload into frames according to its lacing mode
+ *
+ * @param {Buffer} payload - Block data after the header
+ * @param {number} lacing - 0 none, 1 Xiph, 2 fixed-size, 3 EBML
+ * @returns {Buffer[]}
+ */
+function splitLacing(payload, lacing) {
+  if (lacing === 0) {
+    return [payload];
+  }
+
+  const frameCount = payload[0] + 1;
+  let offset = 1;
+  const sizes = [];
+
+  if (lacing === 1) {
+    // Xiph: each size is a run of 255s plus a terminating byte
+    for (let i = 0; i < frameCount - 1; i++) {
+      let size = 0;
+      let byte;
+      do {
+        byte = payload[offset++];
+        size += byte;
+      } while (byte === 0xFF);
+      sizes.push(size);
+    }
+  } else if (lacing === 3) {
+    // EBML: first size as vint, then signed differences
+    const first = readVint(payload, offset);
+    offset += first.length;
+    sizes.push(first.value);
+
+    for (let i = 1; i < frameCount - 1; i++) {
+      const diff = readVint(payload, offset);
+      const bias = 2 ** (7 * diff.length - 1) - 1;
+      offset += diff.length;
+      sizes.push(sizes[i - 1] + diff.value - bias);
+    }
+  } else {
+    // Fixed: equal split of the remaining bytes
+    const size = Math.floor((payload.length - offset) / frameCount);
+    for (let i = 0; i < frameCount - 1; i++) sizes.push(size);
+  }
+
+  const laced = [];
+  for (const size of sizes) {
+    laced.push(payload.subarray(offset, offset + size));
+    offset += size;
+  }
+  laced.push(payload.subarray(offset));
+
+  return laced;
+}
@@ -0,0 +1,139 @@
+/**
+ * WebM/Opus Decoder
+ *
+ * Turns MediaRecorder `audio/webm;codecs=opus` chunks into 16-bit mono PCM.
+ * Uses the WebMDemuxer for container parsing and the WASM build of libopus
+ * from `opus-decoder` - no ffmpeg binary required.
+ */
+
+import { OpusDecoder } from 'opus-decoder';
+import { WebMDemuxer } from './webm-demuxer.js';
+
+// Rates libopus can decode to natively
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+
+export class WebMOpusDecoder {
+  /**
+   * Create a decoder for one client stream
+   *
+   * @param {number} sampleRate - Output sample rate (default 16000)
+   */
+  constructor(sampleRate = 16000) {
+    if (!OPUS_SAMPLE_RATES.includes(sampleRate)) {
+      throw new Error(`Unsupported Opus output rate: ${sampleRate}`);
+    }
+
+    this.sampleRate = sampleRate;
+    this.demuxer = new WebMDemuxer();
+    this.opusDecoder = null;
+    this.framesDecoded = 0;
+    this.decodeErrors = 0;
+  }
+
+  /**
+   * Decode the next WebM chunk
+   *
+   * @param {Buffer} chunk - WebM data from MediaRecorder
+   * @returns {Promise<Buffer>} - PCM audio (16-bit signed, mono) - may be empty
+   */
+  async decode(chunk) {
+    const frames = this.demuxer.push(chunk);
+    if (frames.length === 0) {
+      return Buffer.alloc(0);
+    }
+
+    const track = this.demuxer.getAudioTrack();
+    if (track && track.codecId !== 'A_OPUS') {
+      throw new Error(`Unsupported WebM audio codec: ${track.codecId}`);
+    }
+
+    const decoder = await this.getOpusDecoder(track);
+    const decoded = decoder.decodeFrames(frames.map(frame => frame.data));
+
+    this.framesDecoded += frames.length;
+    this.decodeErrors += decoded.errors.length;
+
+    return floatToPcm16Mono(decoded.channelData, decoded.samplesDecoded);
+  }
+
+  /**
+   * Lazily create the Opus decoder once track info is available
+   */
+  async getOpusDecoder(track) {
+    if (this.opusDecoder) {
+      return this.opusDecoder;
+    }
+
+    const head = parseOpusHead(track?.codecPrivate);
+
+    this.opusDecoder = new OpusDecoder({
+      sampleRate: this.sampleRate,
+      channels: head.channels,
+      preSkip: head.preSkip,
+    });
+    await this.opusDecoder.ready;
+
+    return this.opusDecoder;
+  }
+
+  /**
+   * Get decoder statistics
+   */
+  getStats() {
+    return {
+      framesDecoded: this.framesDecoded,
+      decodeErrors: this.decodeErrors,
+      resyncs: this.demuxer.resyncs,
+      trackKnown: !!this.demuxer.getAudioTrack(),
+    };
+  }
+
+  /**
+   * Release the WASM decoder
+   */
+  close() {
+    if (this.opusDecoder) {
+      this.opusDecoder.free();
+      this.opusDecoder = null;
+    }
+    this.demuxer.reset();
+  }
+}
+
+/**
+ * Parse the OpusHead identification header from CodecPrivate
+ *
+ * @param {Buffer|null} codecPrivate - Track CodecPrivate data
+ * @returns {{channels: number, preSkip: number}}
+ */
+export function parseOpusHead(codecPrivate) {
+  if (!codecPrivate || codecPrivate.length < 19 || codecPrivate.toString('ascii', 0, 8) !== 'OpusHead') {
+    // MediaRecorder mic capture is mono; assume that if the header was missed
+    return { channels: 1, preSkip: 0 };
+  }
+
+  return {
+    channels: Math.min(2, codecPrivate[9]),
+    preSkip: codecPrivate.readUInt16LE(10),
+  };
+}
+
+/**
+ * Downmix float channel data and convert to 16-bit PCM
+ */
+function floatToPcm16Mono(channelData, numSamples) {
+  const pcmBuffer = Buffer.alloc(numSamples * 2);
+  const channels = channelData.length;
+
+  for (let i = 0; i < numSamples; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) {
+      sum += channelData[c][i];
+    }
+
+    const sample = Math.round((sum / channels) * 32767);
+    pcmBuffer.writeInt16LE(Math.max(-32768, Math.min(32767, sample)), i * 2);
+  }
+
+  return pcmBuffer;
+}